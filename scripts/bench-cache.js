@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Embedding Cache Benchmark
+ *
+ * Writes and reads a synthetic tag corpus through the embedding cache twice:
+ * - per-row: one INSERT / SELECT per tag with SQLite's default rollback journal
+ *   (how the cache worked before bulk access and WAL)
+ * - bulk: Cache.saveEmbeddings / Cache.getEmbeddings with WAL enabled
+ * - file: the same bulk calls against the pure-JS file backend
+ *
+ * Usage: node scripts/bench-cache.js [--tags 500] [--dimensions 256]
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Cache = require('../src/utils/cache');
+
+const MODEL = 'bench:synthetic';
+
+function parseArgs(argv) {
+    const options = { tags: 500, dimensions: 256 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--tags' && argv[i + 1]) options.tags = parseInt(argv[++i]);
+        if (argv[i] === '--dimensions' && argv[i + 1]) options.dimensions = parseInt(argv[++i]);
+    }
+    return options;
+}
+
+function corpus(count, dimensions) {
+    const words = ['trading', 'python', 'health', 'garden', 'travel', 'music', 'finance', 'coding'];
+    const vectors = {};
+    for (let i = 0; i < count; i++) {
+        const tag = `${words[i % words.length]}-${i}`;
+        vectors[tag] = Array.from({ length: dimensions }, (_, d) => Math.sin(i * 31 + d));
+    }
+    return vectors;
+}
+
+async function time(fn) {
+    const start = process.hrtime.bigint();
+    await fn();
+    return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+async function run(label, vectors, dimensions, { backend, bulk }) {
+    const config = {
+        advanced: { cache_directory: `.polish-cache-${label}/` },
+        performance: { cache_backend: backend },
+        cleanup: {}
+    };
+    const logger = { debug() {}, info() {}, warn() {} };
+    const cache = new Cache(config, logger);
+    const tags = Object.keys(vectors);
+
+    await cache.init();
+    if (!bulk) {
+        await cache.backend.db.exec('PRAGMA journal_mode = DELETE; PRAGMA synchronous = FULL;');
+    }
+
+    const write = await time(async () => {
+        if (bulk) {
+            await cache.saveEmbeddings(vectors, MODEL, dimensions);
+        } else {
+            for (const tag of tags) {
+                await cache.saveEmbedding(tag, vectors[tag], MODEL, dimensions);
+            }
+        }
+    });
+
+    let hits = 0;
+    const read = await time(async () => {
+        if (bulk) {
+            hits = Object.keys(await cache.getEmbeddings(tags, MODEL, dimensions)).length;
+        } else {
+            for (const tag of tags) {
+                if (await cache.getEmbedding(tag, MODEL, dimensions)) hits++;
+            }
+        }
+    });
+
+    await cache.close();
+
+    if (hits !== tags.length) {
+        throw new Error(`${label}: expected ${tags.length} hits, got ${hits}`);
+    }
+
+    return { write, read };
+}
+
+async function main() {
+    const { tags, dimensions } = parseArgs(process.argv.slice(2));
+    const vectors = corpus(tags, dimensions);
+
+    const workspace = await fs.mkdtemp(path.join(os.tmpdir(), 'polisher-bench-'));
+    const originalCwd = process.cwd();
+    process.chdir(workspace);
+
+    try {
+        console.log(`Embedding cache: ${tags} tags × ${dimensions} dimensions (${workspace})\n`);
+
+        const perRow = await run('per-row', vectors, dimensions, { backend: 'sqlite', bulk: false });
+        const bulk = await run('bulk', vectors, dimensions, { backend: 'sqlite', bulk: true });
+        const file = await run('file', vectors, dimensions, { backend: 'file', bulk: true });
+
+        const fmt = (ms) => `${ms.toFixed(1).padStart(9)} ms`;
+        const speedup = (a, b) => `${(a / b).toFixed(1)}×`;
+
+        console.log(`              ${'write'.padStart(12)} ${'read'.padStart(12)}`);
+        console.log(`per-row       ${fmt(perRow.write)} ${fmt(perRow.read)}`);
+        console.log(`bulk + WAL    ${fmt(bulk.write)} ${fmt(bulk.read)}`);
+        console.log(`speed-up      ${speedup(perRow.write, bulk.write).padStart(12)} ${speedup(perRow.read, bulk.read).padStart(12)}`);
+        console.log(`file backend  ${fmt(file.write)} ${fmt(file.read)}`);
+    } finally {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    }
+}
+
+main().catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exit(1);
+});
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+/**
+ * Matryoshka Dimension Comparison
+ *
+ * Runs Phase 1 discovery on the workspace in the current directory, then
+ * scores every topic pair at each requested dimension and lists the pairs
+ * whose merge decision (score >= topic_similarity.threshold) differs.
+ *
+ * Full-size vectors are cached once, so every dimension after the first is
+ * a truncation of cached vectors, not a new round of provider calls.
+ *
+ * Usage: node scripts/compare-dimensions.js [--dims 256,768] [--lookback-days 7]
+ *                                           [--config path/to/config.yaml]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const Phase1Discover = require('../src/phases/phase1-discover');
+const Similarity = require('../src/core/similarity');
+
+function parseArgs(argv) {
+    const options = { dims: [256, 768], lookbackDays: null, config: path.join(__dirname, '../config.yaml') };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dims' && argv[i + 1]) options.dims = argv[++i].split(',').map(d => parseInt(d));
+        if (argv[i] === '--lookback-days' && argv[i + 1]) options.lookbackDays = parseInt(argv[++i]);
+        if (argv[i] === '--config' && argv[i + 1]) options.config = path.resolve(argv[++i]);
+    }
+    return options;
+}
+
+const quietLogger = { debug() {}, info() {}, warn() {}, phase() {} };
+
+/**
+ * Score of every compared pair at one dimension: { 'a↔b': score }
+ */
+async function scorePairs(config, dimensions, tags, discoveredTopics, contexts) {
+    const similarity = new Similarity({
+        ...config,
+        // Keep every pair; the real threshold is applied by the caller
+        topic_similarity: { ...config.topic_similarity, dimensions, threshold: -1 },
+        synonyms: []
+    }, quietLogger);
+
+    try {
+        const proposals = await similarity.computeEmbeddingSimilarity([...tags], discoveredTopics, contexts);
+
+        const scores = {};
+        for (const { canonical, alias, confidence } of proposals) {
+            scores[[canonical, alias].sort().join('↔')] = confidence;
+        }
+        return scores;
+    } finally {
+        await similarity.embeddings.close();
+    }
+}
+
+async function main() {
+    const { dims, lookbackDays, config: configPath } = parseArgs(process.argv.slice(2));
+
+    const config = yaml.load(await fs.readFile(configPath, 'utf8'));
+    config.topic_similarity.method = 'embedding';
+    if (lookbackDays) config.advanced.lookback_days = lookbackDays;
+
+    const fullSize = config.topic_similarity.provider?.dimensions || 768;
+    const tooLarge = dims.find(d => !(d > 0 && d <= fullSize));
+    if (tooLarge !== undefined) {
+        throw new Error(`--dims values must be between 1 and the provider's ${fullSize} dimensions (got ${tooLarge})`);
+    }
+
+    const threshold = config.topic_similarity.threshold || 0.8;
+
+    const phase1 = new Phase1Discover(config, quietLogger, {});
+    const discoveredTopics = await phase1.discoverHashtags();
+    const tags = Object.keys(discoveredTopics);
+
+    if (tags.length < 2) {
+        console.log('Not enough topics to compare (need at least 2 after min_tag_frequency filtering)');
+        return;
+    }
+
+    const scores = {};
+    for (const d of dims) {
+        scores[d] = await scorePairs(config, d, tags, discoveredTopics, phase1.topicContexts);
+    }
+
+    const pairs = [...new Set(dims.flatMap(d => Object.keys(scores[d])))].sort();
+    const merges = (d) => pairs.filter(pair => (scores[d][pair] ?? -1) >= threshold).length;
+    const differing = pairs.filter(pair => new Set(dims.map(d => (scores[d][pair] ?? -1) >= threshold)).size > 1);
+
+    console.log(`Merge decisions at ${dims.join(' vs ')} dimensions ` +
+        `(threshold ${threshold}, ${tags.length} topics, ${pairs.length} pairs compared)\n`);
+    console.log(`Merges: ${dims.map(d => `${d} → ${merges(d)}`).join(', ')}`);
+
+    if (differing.length === 0) {
+        console.log('No merge decision differs');
+        return;
+    }
+
+    console.log(`${differing.length} merge decision(s) differ:\n`);
+    const width = Math.max(...differing.map(pair => pair.length)) + 2;
+
+    for (const pair of differing) {
+        const columns = dims.map(d => {
+            const score = scores[d][pair];
+            const decision = (score ?? -1) >= threshold ? 'merge' : 'keep';
+            return `${d}: ${score === undefined ? '  –  ' : score.toFixed(3)} ${decision.padEnd(5)}`;
+        });
+        console.log(`  ${`#${pair.replace('↔', ' ↔ #')}`.padEnd(width + 4)} ${columns.join('   ')}`.trimEnd());
+    }
+}
+
+main().catch(error => {
+    console.error('Comparison failed:', error.message);
+    process.exit(1);
+});
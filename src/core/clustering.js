@@ -0,0 +1,303 @@
+/**
+ * Clustering Module
+ *
+ * Responsibilities:
+ * - Resolve pairwise merge proposals into disjoint topic clusters
+ *   (single linkage via union-find; average/complete linkage agglomeratively)
+ * - Choose one canonical per cluster
+ * - Rewrite proposals as direct alias → cluster canonical merges, so chains
+ *   (a→b, b→c) and conflicts (a→b, a→c) cannot reach Phases 2–3
+ *
+ * Canonical rule, first match wins:
+ * 1. a pinned topic in the topic registry
+ * 2. a registered canonical (earliest first_seen first)
+ * 3. the earliest-listed tag of a `synonyms` group (its canonical, else the
+ *    first alias present, as in Similarity.applySynonymRules)
+ * 4. the highest occurrence count
+ * 5. the shorter name
+ * 6. alphabetical order
+ *
+ * A cluster never holds two pinned topics, nor both tags of a never_merge pair,
+ * nor two registered canonicals unless a synonym group, an approved synonym or
+ * a registry alias joins them (registered names stay stable).
+ */
+
+const LINKAGES = ['single', 'average', 'complete'];
+
+// Proposals that always join, whatever the linkage
+const FORCED_METHODS = ['synonym_rule', 'registry'];
+
+/**
+ * Disjoint-set forest with path compression; sets holding the two sides of a
+ * cannot-link pair are never joined
+ */
+class UnionFind {
+    constructor(cannotLink = []) {
+        this.parent = new Map();
+        this.cannotLink = cannotLink;
+    }
+
+    find(item) {
+        if (!this.parent.has(item)) this.parent.set(item, item);
+
+        let root = item;
+        while (this.parent.get(root) !== root) {
+            root = this.parent.get(root);
+        }
+
+        while (item !== root) {
+            const next = this.parent.get(item);
+            this.parent.set(item, root);
+            item = next;
+        }
+
+        return root;
+    }
+
+    /**
+     * Returns: false if the sets could not be joined
+     */
+    union(a, b) {
+        const rootA = this.find(a);
+        const rootB = this.find(b);
+        if (rootA === rootB) return true;
+
+        const separated = this.cannotLink.some(([x, y]) => {
+            const rootX = this.find(x);
+            const rootY = this.find(y);
+            return (rootX === rootA && rootY === rootB) || (rootX === rootB && rootY === rootA);
+        });
+        if (separated) return false;
+
+        this.parent.set(rootB, rootA);
+        return true;
+    }
+
+    groups() {
+        const groups = new Map();
+        for (const item of this.parent.keys()) {
+            const root = this.find(item);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(item);
+        }
+        return [...groups.values()];
+    }
+}
+
+class Clustering {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.threshold = config.topic_similarity.threshold || 0.8;
+        this.linkage = config.topic_similarity.clustering?.linkage || 'single';
+
+        if (!LINKAGES.includes(this.linkage)) {
+            throw new Error(`Unknown clustering linkage: ${this.linkage} (expected ${LINKAGES.join(', ')})`);
+        }
+
+        // Position of each tag within its synonym group (0 = canonical)
+        this.synonymPositions = new Map();
+        this.synonymGroups = (config.synonyms || []).filter(group => Array.isArray(group) && group.length >= 2);
+        for (const group of this.synonymGroups) {
+            group.forEach((tag, index) => {
+                if (!this.synonymPositions.has(tag)) this.synonymPositions.set(tag, index);
+            });
+        }
+    }
+
+    /**
+     * Resolve proposals into clusters
+     * registered: topic registry entries ({ canonical: { first_seen, pinned } })
+     * neverMerge: [[a, b]] pairs that must end up in different clusters
+     * synonyms: approved [canonical, alias] pairs (registry review decisions)
+     * Returns: { clusters: [{ canonical, aliases }], proposals: [alias → canonical] }
+     */
+    resolve(proposals, discoveredTopics, { registered = {}, neverMerge = [], synonyms = [] } = {}) {
+        const edges = this.bestEdges(proposals);
+        const cannotLink = [
+            ...neverMerge,
+            ...this.pinnedPairs(registered),
+            ...this.registeredPairs(registered, proposals, synonyms)
+        ];
+        const unionFind = new UnionFind(cannotLink);
+
+        // Forced proposals first, then strongest first, so a cannot-link conflict
+        // drops the weakest link
+        const ordered = [...proposals].sort((a, b) =>
+            FORCED_METHODS.includes(b.method) - FORCED_METHODS.includes(a.method) || b.confidence - a.confidence);
+
+        for (const proposal of ordered) {
+            unionFind.find(proposal.canonical);
+            unionFind.find(proposal.alias);
+
+            if (this.linkage === 'single' || FORCED_METHODS.includes(proposal.method)) {
+                if (!unionFind.union(proposal.canonical, proposal.alias)) {
+                    this.logger.debug(`Not merging #${proposal.alias} and #${proposal.canonical}: registered canonicals or a never_merge pair`);
+                }
+            }
+        }
+
+        let groups = unionFind.groups();
+        if (this.linkage !== 'single') {
+            groups = this.agglomerate(groups, edges, cannotLink);
+        }
+
+        const clusters = groups
+            .filter(members => members.length > 1)
+            .map(members => {
+                const canonical = this.chooseCanonical(members, discoveredTopics, registered);
+                return { canonical, aliases: members.filter(tag => tag !== canonical).sort() };
+            })
+            .sort((a, b) => a.canonical.localeCompare(b.canonical));
+
+        const resolved = clusters
+            .flatMap(cluster => cluster.aliases.map(alias => this.mergeProposal(cluster, alias, edges)))
+            .sort((a, b) => b.confidence - a.confidence);
+
+        return { clusters, proposals: resolved };
+    }
+
+    /**
+     * Every pair of pinned topics (a cluster holds at most one)
+     */
+    pinnedPairs(registered) {
+        const pinned = Object.keys(registered).filter(tag => registered[tag].pinned);
+        return pinned.flatMap((a, i) => pinned.slice(i + 1).map(b => [a, b]));
+    }
+
+    /**
+     * Pairs of registered canonicals in these proposals (pinned pairs aside)
+     * that no synonym group, approved synonym or registry alias joins
+     */
+    registeredPairs(registered, proposals, synonyms = []) {
+        const tags = new Set(proposals.flatMap(p => [p.canonical, p.alias]));
+        const canonicals = Object.keys(registered).filter(tag => tags.has(tag)).sort();
+
+        const joined = (a, b) =>
+            this.synonymGroups.some(group => group.includes(a) && group.includes(b)) ||
+            synonyms.some(([x, y]) => (x === a && y === b) || (x === b && y === a)) ||
+            (registered[a].aliases || []).includes(b) ||
+            (registered[b].aliases || []).includes(a);
+
+        return canonicals.flatMap((a, i) => canonicals.slice(i + 1)
+            .filter(b => !(registered[a].pinned && registered[b].pinned) && !joined(a, b))
+            .map(b => [a, b]));
+    }
+
+    pairKey(a, b) {
+        return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+    }
+
+    /**
+     * Highest-confidence proposal per unordered pair
+     */
+    bestEdges(proposals) {
+        const edges = new Map();
+
+        for (const proposal of proposals) {
+            const key = this.pairKey(proposal.canonical, proposal.alias);
+            if (!edges.has(key) || proposal.confidence > edges.get(key).confidence) {
+                edges.set(key, proposal);
+            }
+        }
+
+        return edges;
+    }
+
+    /**
+     * Repeatedly join the two clusters with the highest linkage score while
+     * it reaches the threshold (never across a cannot-link pair)
+     */
+    agglomerate(groups, edges, cannotLink = []) {
+        const clusters = groups.map(group => [...group]);
+        const separated = (a, b) => cannotLink.some(([x, y]) =>
+            (a.includes(x) && b.includes(y)) || (a.includes(y) && b.includes(x)));
+
+        for (;;) {
+            let best = null;
+
+            for (let i = 0; i < clusters.length; i++) {
+                for (let j = i + 1; j < clusters.length; j++) {
+                    if (separated(clusters[i], clusters[j])) continue;
+
+                    const score = this.linkageScore(clusters[i], clusters[j], edges);
+                    if (score >= this.threshold && (!best || score > best.score)) {
+                        best = { i, j, score };
+                    }
+                }
+            }
+
+            if (!best) return clusters;
+
+            clusters[best.i].push(...clusters[best.j]);
+            clusters.splice(best.j, 1);
+        }
+    }
+
+    /**
+     * average: mean score over all cross-cluster pairs; complete: lowest.
+     * Pairs without a proposal count as 0.
+     */
+    linkageScore(clusterA, clusterB, edges) {
+        const scores = [];
+        for (const a of clusterA) {
+            for (const b of clusterB) {
+                scores.push(edges.get(this.pairKey(a, b))?.confidence ?? 0);
+            }
+        }
+
+        if (this.linkage === 'complete') return Math.min(...scores);
+        return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+
+    chooseCanonical(members, discoveredTopics, registered = {}) {
+        const rank = (tag) => [
+            registered[tag]?.pinned ? 0 : 1,
+            registered[tag] ? 0 : 1,
+            registered[tag]?.first_seen || '9999-99-99',
+            this.synonymPositions.get(tag) ?? Number.MAX_SAFE_INTEGER,
+            -(discoveredTopics[tag]?.count || 0),
+            tag.length,
+            tag
+        ];
+
+        return [...members].sort((a, b) => {
+            const rankA = rank(a);
+            const rankB = rank(b);
+            for (let i = 0; i < rankA.length; i++) {
+                if (rankA[i] === rankB[i]) continue;
+                return typeof rankA[i] === 'string' ? rankA[i].localeCompare(rankB[i]) : rankA[i] - rankB[i];
+            }
+            return 0;
+        })[0];
+    }
+
+    /**
+     * Merge of one alias into its cluster canonical, carrying the proposal
+     * that placed it there: the direct pair if proposed, else the alias's
+     * strongest link inside the cluster (recorded as `via`)
+     */
+    mergeProposal(cluster, alias, edges) {
+        const members = [cluster.canonical, ...cluster.aliases];
+        let source = edges.get(this.pairKey(alias, cluster.canonical));
+        let via = null;
+
+        if (!source) {
+            for (const member of members) {
+                if (member === alias) continue;
+                const edge = edges.get(this.pairKey(alias, member));
+                if (edge && (!source || edge.confidence > source.confidence)) {
+                    source = edge;
+                    via = member;
+                }
+            }
+        }
+
+        const proposal = { ...(source || { confidence: 0 }), canonical: cluster.canonical, alias };
+        if (via) proposal.via = via;
+
+        return proposal;
+    }
+}
+
+module.exports = Clustering;
@@ -12,9 +12,10 @@ const path = require('path');
 const crypto = require('crypto');
 
 class FileOps {
-    constructor(config, logger) {
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
+        this.fs = options.fs || fs;
     }
 
     /**
@@ -26,22 +27,22 @@ class FileOps {
 
         try {
             // Write to temp file
-            await fs.writeFile(tempPath, content, 'utf8');
+            await this.fs.writeFile(tempPath, content, 'utf8');
 
             // Verify temp file
-            const written = await fs.readFile(tempPath, 'utf8');
+            const written = await this.fs.readFile(tempPath, 'utf8');
             if (written !== content) {
                 throw new Error('Write verification failed: content mismatch');
             }
 
             // Atomic rename (commit)
-            await fs.rename(tempPath, filepath);
+            await this.fs.rename(tempPath, filepath);
 
             return true;
         } catch (error) {
             // Cleanup temp file on error
             try {
-                await fs.unlink(tempPath);
+                await this.fs.unlink(tempPath);
             } catch {
                 // Ignore cleanup errors
             }
@@ -55,7 +56,7 @@ class FileOps {
      */
     async readSafe(filepath) {
         try {
-            return await fs.readFile(filepath, 'utf8');
+            return await this.fs.readFile(filepath, 'utf8');
         } catch (error) {
             if (error.code === 'ENOENT') {
                 return null; // File doesn't exist
@@ -68,7 +69,7 @@ class FileOps {
      * Calculate file hash (SHA-256)
      */
     async calculateHash(filepath) {
-        const content = await fs.readFile(filepath, 'utf8');
+        const content = await this.fs.readFile(filepath, 'utf8');
         return crypto.createHash('sha256').update(content).digest('hex');
     }
 
@@ -84,7 +85,7 @@ class FileOps {
      * Copy file with verification
      */
     async copySafe(source, destination) {
-        const content = await fs.readFile(source, 'utf8');
+        const content = await this.fs.readFile(source, 'utf8');
         const sourceHash = crypto.createHash('sha256').update(content).digest('hex');
 
         await this.writeAtomic(destination, content);
@@ -104,13 +105,13 @@ class FileOps {
     async moveSafe(source, destination) {
         try {
             // Try atomic rename first (same filesystem)
-            await fs.rename(source, destination);
+            await this.fs.rename(source, destination);
             return true;
         } catch (error) {
             if (error.code === 'EXDEV') {
                 // Cross-filesystem, use copy+delete
                 await this.copySafe(source, destination);
-                await fs.unlink(source);
+                await this.fs.unlink(source);
                 return true;
             }
             throw error;
@@ -122,7 +123,7 @@ class FileOps {
      */
     async exists(filepath) {
         try {
-            await fs.access(filepath);
+            await this.fs.access(filepath);
             return true;
         } catch {
             return false;
@@ -133,15 +134,27 @@ class FileOps {
      * Get file size in bytes
      */
     async getSize(filepath) {
-        const stats = await fs.stat(filepath);
+        const stats = await this.fs.stat(filepath);
         return stats.size;
     }
 
     /**
      * Ensure directory exists
+     * Returns: directories that had to be created (outermost first)
      */
     async ensureDir(dirpath) {
-        await fs.mkdir(dirpath, { recursive: true });
+        const missing = [];
+        let cur = path.resolve(dirpath);
+
+        while (!(await this.exists(cur))) {
+            missing.unshift(cur);
+            const parent = path.dirname(cur);
+            if (parent === cur) break;
+            cur = parent;
+        }
+
+        await this.fs.mkdir(dirpath, { recursive: true });
+        return missing;
     }
 }
 
@@ -0,0 +1,83 @@
+/**
+ * Frontmatter Module
+ *
+ * Responsibilities:
+ * - Find the YAML frontmatter block at the top of a daily log (--- ... ---)
+ * - Parse it with js-yaml; read tags (list or comma-separated string) and date
+ * - Report its raw text and line count, so callers can leave it untouched
+ *
+ * A block that is not valid YAML or not a mapping is not frontmatter: it is
+ * left to the markdown parser (a leading --- may just be a thematic break).
+ */
+
+const yaml = require('js-yaml');
+
+// Optional BOM, opening ---, body, closing --- (or ...), end of line
+const FRONTMATTER = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+class Frontmatter {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+    }
+
+    /**
+     * Parse frontmatter at the start of content
+     * Returns: null | { raw, lineCount, data, tags, date }
+     * - raw: exact text of the block, including the closing line break
+     * - lineCount: lines the block spans (the first body line is lineCount, 0-based)
+     * - tags: raw tag strings, leading # removed (not yet normalized)
+     * - date: "YYYY-MM-DD" or null
+     * Invalid YAML is reported only when filename is given, so a file read by
+     * several modules warns once.
+     */
+    parse(content, filename = '') {
+        const match = typeof content === 'string' && content.match(FRONTMATTER);
+        if (!match) return null;
+
+        let data;
+        try {
+            data = yaml.load(match[1] || '') ?? {};
+        } catch (error) {
+            if (filename) this.logger.warn(`Ignoring invalid frontmatter in ${filename}: ${error.reason || error.message}`);
+            return null;
+        }
+
+        if (typeof data !== 'object' || Array.isArray(data)) return null;
+
+        const raw = match[0];
+        return {
+            raw,
+            lineCount: raw.split('\n').length - (raw.endsWith('\n') ? 1 : 0),
+            data,
+            tags: this.readTags(data.tags),
+            date: this.readDate(data.date)
+        };
+    }
+
+    /**
+     * tags: [trading, health] | "trading, health" | "#trading #health"
+     */
+    readTags(value) {
+        const values = Array.isArray(value) ? value : typeof value === 'string' ? value.split(/[,\s]+/) : [];
+
+        return values
+            .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+            .map(tag => String(tag).trim().replace(/^#/, ''))
+            .filter(Boolean);
+    }
+
+    /**
+     * date: 2026-02-05 (js-yaml reads unquoted dates as Date) or "2026-02-05..."
+     */
+    readDate(value) {
+        if (value instanceof Date && !isNaN(value)) {
+            return value.toISOString().split('T')[0];
+        }
+
+        const match = typeof value === 'string' && value.match(/^(\d{4}-\d{2}-\d{2})/);
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = Frontmatter;
@@ -0,0 +1,187 @@
+/**
+ * Markdown Tokenizer Module
+ *
+ * Responsibilities:
+ * - Mask markdown that is not prose before hashtags and headers are matched:
+ *   fenced, indented and inline code, HTML comments, link and image URLs,
+ *   link definitions, autolinks, bare URLs and YAML frontmatter
+ * - Keep offsets and line numbers: masked characters become spaces
+ *
+ * Built on remark-parse (as Parser.parseMarkdownAST) once load() has run, or
+ * on a processor passed in. remark is ESM-only, so where it cannot be imported
+ * a line-based scanner covers the same constructs.
+ */
+
+const Frontmatter = require('./frontmatter');
+
+// Shared by all instances: remark is imported once per process
+let processor = null;
+let loading = null;
+
+const BARE_URL = /\b[a-z][a-z0-9+.-]*:\/\/[^\s<>()[\]]+/gi;
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const HTML_COMMENT = /<!--[\s\S]*?(?:-->|$)/g;
+const INLINE_CODE = /(?<!`)(`+)[^`\n](?:[^\n]*?[^`\n])?\1(?!`)/g;
+const IMAGE = /!\[[^\]\n]*\]\([^)\n]*\)/g;
+const LINK_DESTINATION = /(\[[^\]\n]*\])(\([^)\n]*\))/g;
+const AUTOLINK = /<[a-z][a-z0-9+.-]*:[^\s<>]*>/gi;
+const DEFINITION = /^ {0,3}\[[^\]\n]+\]:[ \t]*\S.*$/gm;
+const INDENTED = /^(?: {4}| {0,3}\t)/;
+const LIST_ITEM = /^ {0,3}(?:[-*+]|\d{1,9}[.)])(?:[ \t]|$)/;
+const HEADING = /^ {0,3}#{1,6}(?:[ \t]|$)/;
+
+const blank = (text) => text.replace(/[^\n]/g, ' ');
+
+class MarkdownTokenizer {
+    /**
+     * options.processor: unified processor with remark-parse to use instead of
+     * the shared one load() imports; null forces the line-based scanner
+     */
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.frontmatter = new Frontmatter(config, logger);
+        this.processor = options.processor;
+    }
+
+    /**
+     * Import remark-parse (falls back to the line-based scanner on failure)
+     */
+    async load() {
+        if (this.processor !== undefined) return this;
+
+        if (!loading) {
+            loading = (async () => {
+                try {
+                    const { unified } = await import('unified');
+                    const remarkParse = (await import('remark-parse')).default;
+                    processor = unified().use(remarkParse);
+                } catch (error) {
+                    this.logger.debug(`remark-parse unavailable (${error.message}); using the line-based markdown scanner`);
+                }
+            })();
+        }
+
+        await loading;
+        return this;
+    }
+
+    /**
+     * Content with everything but prose replaced by spaces
+     */
+    mask(content) {
+        // Frontmatter tags are read from the YAML, not scanned as prose
+        const frontmatter = this.frontmatter.parse(content);
+        if (frontmatter) {
+            content = blank(frontmatter.raw) + content.slice(frontmatter.raw.length);
+        }
+
+        const remark = this.processor === undefined ? processor : this.processor;
+        const masked = remark ? this.maskTree(content, remark.parse(content)) : this.maskLines(content);
+        return masked.replace(BARE_URL, blank);
+    }
+
+    /**
+     * Mask the ranges of non-prose mdast nodes
+     */
+    maskTree(content, tree) {
+        const ranges = [];
+
+        const visit = (node) => {
+            const start = node.position?.start.offset;
+            const end = node.position?.end.offset;
+
+            if (node.type === 'code' || node.type === 'inlineCode' || node.type === 'image' || node.type === 'definition') {
+                ranges.push([start, end]);
+                return;
+            }
+
+            if (node.type === 'html') {
+                if (node.value.startsWith('<!--')) ranges.push([start, end]);
+                return;
+            }
+
+            if (node.type === 'link') {
+                const children = node.children || [];
+                const autolink = content[start] === '<' || (children.length === 1 && children[0].value === node.url);
+                if (autolink || children.length === 0) {
+                    ranges.push([start, end]);
+                    return;
+                }
+
+                // Keep [text], mask the (destination) after it
+                const textEnd = children[children.length - 1].position.end.offset;
+                ranges.push([content[textEnd] === ']' ? textEnd + 1 : textEnd, end]);
+            }
+
+            for (const child of node.children || []) visit(child);
+        };
+        visit(tree);
+
+        let masked = content;
+        for (const [start, end] of ranges) {
+            if (start == null || end == null) continue;
+            masked = masked.slice(0, start) + blank(masked.slice(start, end)) + masked.slice(end);
+        }
+        return masked;
+    }
+
+    /**
+     * Line-based fallback: code blocks first, then inline constructs.
+     * Indented code cannot interrupt a paragraph, and indented lines under a
+     * list item are taken as its content, not as code.
+     */
+    maskLines(content) {
+        let fence = null;
+        let paragraph = false;
+        let list = false;
+        let afterBlank = true;
+
+        const lines = content.split('\n').map(line => {
+            const match = line.match(FENCE);
+
+            if (fence) {
+                if (match && match[1][0] === fence[0] && match[1].length >= fence.length && line.trim() === match[1]) {
+                    fence = null;
+                }
+                return blank(line);
+            }
+
+            if (!line.trim()) {
+                paragraph = false;
+                afterBlank = true;
+                return line;
+            }
+
+            if (INDENTED.test(line) && !paragraph && !list) {
+                return blank(line);
+            }
+
+            if (LIST_ITEM.test(line)) {
+                list = true;
+            } else if (afterBlank && !/^\s/.test(line)) {
+                list = false;
+            }
+            afterBlank = false;
+
+            if (match) {
+                fence = match[1];
+                paragraph = false;
+                return blank(line);
+            }
+
+            paragraph = !HEADING.test(line);
+            return line;
+        });
+
+        return lines.join('\n')
+            .replace(HTML_COMMENT, blank)
+            .replace(INLINE_CODE, blank)
+            .replace(IMAGE, blank)
+            .replace(AUTOLINK, blank)
+            .replace(DEFINITION, blank)
+            .replace(LINK_DESTINATION, (match, text, destination) => text + blank(destination));
+    }
+}
+
+module.exports = MarkdownTokenizer;
@@ -2,7 +2,10 @@
  * Parser Module
  * 
  * Responsibilities:
- * - Parse markdown into sections
+ * - Parse markdown into sections (headers inside code or HTML comments do not count)
+ * - Nest sections by heading level (### under ##): parent, children, subtree
+ * - Keep YAML frontmatter out of every section
+ * - Split sections into list items with their nested children (bullet granularity)
  * - Extract headers and content
  * - Track line numbers for reference
  * 
@@ -13,24 +16,41 @@
 // To keep this codebase CommonJS-friendly (and Jest-friendly), we lazy-load via dynamic import
 // inside the few methods that need it.
 
+const MarkdownTokenizer = require('./markdown');
+const Frontmatter = require('./frontmatter');
+
+// Bullet or ordered list item: indent, marker, text
+const LIST_ITEM = /^([ \t]*)([-*+]|\d{1,9}[.)])[ \t]+(\S.*)$/;
+
+// Indent width, a tab counting as 4 columns
+const indentWidth = (line) => line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+
 class Parser {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
+        this.markdown = new MarkdownTokenizer(config, logger);
+        this.frontmatter = new Frontmatter(config, logger);
     }
 
     /**
-     * Parse markdown content into sections
-     * Returns: Array of { index, title, level, lineStart, lineEnd, content }
+     * Parse markdown content into sections, in document order
+     * Returns: Array of { index, title, level, lineStart, lineEnd, content,
+     *   parent, children, subtreeEnd } — content is the section's own body (up
+     *   to the next header of any level); parent/children are section indexes
+     *   and subtreeEnd is the last line of the section with its descendants
      */
     async parseSections(content, filename) {
         const lines = content.split('\n');
         const sections = [];
 
-        // Find all headers
+        await this.markdown.load();
+        const maskedLines = this.markdown.mask(content).split('\n');
+
+        // Find all headers (titles keep their inline code)
         const headers = [];
-        lines.forEach((line, index) => {
-            const match = line.match(/^(#{2,})\s+(.+)$/);
+        maskedLines.forEach((masked, index) => {
+            const match = /^#{2,}\s/.test(masked) && lines[index].match(/^(#{2,})\s+(.+)$/);
             if (match) {
                 headers.push({
                     line: index,
@@ -68,21 +88,114 @@ class Parser {
             });
         }
 
-        // If no headers found, treat entire file as one section
-        if (sections.length === 0 && content.trim().length > 0) {
+        // Nest by level: a section's parent is the closest earlier one with a lower level
+        const stack = [];
+        for (const section of sections) {
+            while (stack.length > 0 && stack[stack.length - 1].level >= section.level) stack.pop();
+
+            const parent = stack[stack.length - 1];
+            section.parent = parent ? parent.index : null;
+            section.children = [];
+            section.subtreeEnd = section.lineEnd;
+            if (parent) parent.children.push(section.index);
+
+            for (const ancestor of stack) ancestor.subtreeEnd = section.lineEnd;
+            stack.push(section);
+        }
+
+        // If no headers found, treat entire file (after any frontmatter) as one section
+        const bodyStart = this.frontmatter.parse(content)?.lineCount || 0;
+        const body = lines.slice(bodyStart).join('\n');
+        if (sections.length === 0 && body.trim().length > 0) {
             sections.push({
                 index: 0,
                 title: filename.replace('.md', ''),
                 level: 2,
-                lineStart: 0,
+                lineStart: bodyStart,
                 lineEnd: lines.length - 1,
-                content: content.trim()
+                content: body.trim(),
+                parent: null,
+                children: [],
+                subtreeEnd: lines.length - 1
             });
         }
 
         return sections;
     }
 
+    /**
+     * A section together with its nested sections, as one unit
+     * (lines: the file content split on \n)
+     * Returns: { index, title, level, lineStart, lineEnd, content }
+     */
+    subtree(lines, section) {
+        if (section.subtreeEnd === section.lineEnd) {
+            return { index: section.index, title: section.title, level: section.level, lineStart: section.lineStart, lineEnd: section.lineEnd, content: section.content };
+        }
+
+        return {
+            index: section.index,
+            title: section.title,
+            level: section.level,
+            lineStart: section.lineStart,
+            lineEnd: section.subtreeEnd,
+            content: lines.slice(section.lineStart, section.subtreeEnd + 1).join('\n').trim()
+        };
+    }
+
+    /**
+     * List items of each section, nested ones included, in document order.
+     * An item runs until the next non-blank line indented no deeper than its
+     * marker; list markers inside code or HTML comments do not count.
+     * Returns: Array of { sectionIndex, index, title, indent, marker, lineStart,
+     *   lineEnd, content, text } — content is the item with its children,
+     *   dedented to the marker; text is the item's own lines, before any child
+     */
+    async parseListItems(content, sections) {
+        const lines = content.split('\n');
+
+        await this.markdown.load();
+        const maskedLines = this.markdown.mask(content).split('\n');
+
+        const items = [];
+        for (const section of sections) {
+            const sectionItems = [];
+
+            for (let i = section.lineStart; i <= section.lineEnd; i++) {
+                const match = LIST_ITEM.test(maskedLines[i]) && lines[i].match(LIST_ITEM);
+                if (!match) continue;
+
+                const indent = indentWidth(lines[i]);
+                let lineEnd = i;
+                for (let j = i + 1; j <= section.lineEnd; j++) {
+                    if (lines[j].trim() === '') continue;
+                    if (indentWidth(lines[j]) <= indent) break;
+                    lineEnd = j;
+                }
+
+                const itemLines = lines.slice(i, lineEnd + 1)
+                    .map(line => line.slice(Math.min(match[1].length, line.match(/^[ \t]*/)[0].length)));
+                const firstChild = itemLines.findIndex((line, k) => k > 0 && LIST_ITEM.test(maskedLines[i + k]));
+
+                sectionItems.push({
+                    sectionIndex: section.index,
+                    index: sectionItems.length,
+                    title: match[3].trim().substring(0, 80),
+                    indent: match[1],
+                    marker: match[2],
+                    lineStart: i,
+                    lineEnd,
+                    content: itemLines.join('\n'),
+                    text: itemLines.slice(0, firstChild === -1 ? undefined : firstChild).join('\n')
+                });
+            }
+
+            items.push(...sectionItems);
+        }
+
+        return items;
+    }
+
     /**
      * Parse markdown using unified/remark (alternative method)
      */
@@ -115,6 +228,17 @@ class Parser {
             .trim();
     }
 
+    /**
+     * Whether a section is a stub left by Phase 4 (already polished)
+     */
+    isPolishedStub(content) {
+        if (!content) return false;
+        // Markers produced by Phase4Update.generateDailyLogStub
+        const hasPolishArrow = content.includes('→ **Polished to') || content.includes('→ **Primary:**');
+        const hasTopicsLink = content.includes('Topics/') || content.includes('Topics\\');
+        return hasPolishArrow && hasTopicsLink;
+    }
+
     /**
      * Validate markdown syntax
      */
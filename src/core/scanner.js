@@ -3,25 +3,39 @@
  * 
  * Responsibilities:
  * - Find daily log files in date range
- * - Extract hashtags using regex
+ * - Extract hashtags using regex, outside code, HTML comments and URLs
+ * - Unicode tags (#café, #日本語), NFC-normalized and lowercased
+ * - Hierarchical tags (#work/projectx)
+ * - Tags listed in YAML frontmatter (tags: [trading, health])
  * - Track hashtag occurrences
  */
 
+const MarkdownTokenizer = require('./markdown');
+const Frontmatter = require('./frontmatter');
+
+// One tag segment: letters, marks and digits in any script, _ and - inside
+const SEGMENT = '[\\p{L}\\p{M}\\p{N}_](?:[\\p{L}\\p{M}\\p{N}_-]*[\\p{L}\\p{M}\\p{N}_])?';
+const TAG = `${SEGMENT}(?:/${SEGMENT})*`;
+
 class Scanner {
     constructor(config, logger) {
         this.config = config;
         this.logger = logger;
-        this.hashtagPattern = /#([a-z0-9_-]+)\b/gi;
+        this.hashtagPattern = new RegExp(`#(${TAG})`, 'gu');
+        this.markdown = new MarkdownTokenizer(config, logger);
+        this.frontmatter = new Frontmatter(config, logger);
     }
 
     /**
      * Find markdown log files.
      *
      * Default behavior: scan ALL .md files under the memory dir (recursively),
-     * excluding generated folders (Topics/, Archive/, .polish-cache/, .polish-reports/).
+     * excluding generated folders (Topics/, Archive/, .polish-cache/, .polish-reports/)
+     * and the merge review file.
      *
      * NOTE: startDate/endDate are optional; when provided, date-like filenames
-     * (memory-YYYY-MM-DD.md or YYYY-MM-DD.md) are filtered by range.
+     * (memory-YYYY-MM-DD.md or YYYY-MM-DD.md) are filtered by range, and so
+     * are other files whose frontmatter has a date:.
      */
     async findDailyLogs(directory, startDate = null, endDate = null) {
         const fs = require('fs').promises;
@@ -36,6 +50,9 @@ class Scanner {
             '.polish-reports'
         ]);
 
+        // Generated files at the memory root
+        const excludeFiles = new Set([this.config.topic_similarity?.review?.file || 'merge-review.md']);
+
         const out = [];
 
         const walk = async (dirRel) => {
@@ -54,11 +71,13 @@ class Scanner {
                 if (!ent.name.endsWith('.md')) continue;
 
                 const relPath = path.join(dirRel, ent.name);
+                if (excludeFiles.has(relPath)) continue;
 
                 // Optional: date-range filter only applies to date-like filenames
                 if (startDate && endDate) {
                     const m = ent.name.match(/^memory-(\d{4})-(\d{2})-(\d{2})\.md$/) ||
-                              ent.name.match(/^(\d{4})-(\d{2})-(\d{2})\.md$/);
+                              ent.name.match(/^(\d{4})-(\d{2})-(\d{2})\.md$/) ||
+                              (await this.readFrontmatterDate(path.join(abs, ent.name)))?.match(/^(\d{4})-(\d{2})-(\d{2})$/);
                     if (m) {
                         const fileDate = new Date(m[1], m[2] - 1, m[3]);
                         if (fileDate < startDate || fileDate > endDate) continue;
@@ -74,59 +93,106 @@ class Scanner {
         return out.sort();
     }
 
+    async readFrontmatterDate(filePath) {
+        const fs = require('fs').promises;
+        try {
+            return this.frontmatter.parse(await fs.readFile(filePath, 'utf8'))?.date || null;
+        } catch {
+            return null;
+        }
+    }
+
     /**
-     * Extract all hashtags from content
-     * Returns: { tag: { count, occurrences: [{file, line, context}] } }
+     * Extract all hashtags from content (#include in a code fence or #L42 in a
+     * link URL is not a tag; call markdown.load() first to use remark).
+     * Frontmatter tags count once, at their tags: line.
+     * Returns: { tag: { count, spelling, occurrences: [{file, line, context}] } }
      */
     extractHashtags(content, filename) {
         const lines = content.split('\n');
+        const maskedLines = this.markdown.mask(content).split('\n');
         const hashtags = {};
 
-        lines.forEach((line, lineNum) => {
-            let match;
-            this.hashtagPattern.lastIndex = 0; // Reset regex state
+        const add = (raw, lineNum, context) => {
+            const tag = this.acceptTag(raw);
+            if (!tag) return;
 
-            while ((match = this.hashtagPattern.exec(line)) !== null) {
-                const raw = match[1];
-                const tag = raw.toLowerCase();
+            // spelling: first original form, keeps camelCase word boundaries
+            if (!hashtags[tag]) {
+                hashtags[tag] = { count: 0, spelling: raw, occurrences: [] };
+            }
 
-                // Validation rules are a bit nuanced due to tests:
-                // - accept #Trading/#TRADING/#trading as "trading"
-                // - reject numeric-only tags like #123
-                // - reject long ALL-CAPS tags like #UPPERCASE
-                const hasLetter = /[a-z]/i.test(raw);
-                const isAllCaps = hasLetter && raw === raw.toUpperCase();
-                if (!hasLetter) continue;
-                if (isAllCaps && raw.length >= 8) continue;
-                if (!this.isValidHashtag(tag)) continue;
+            hashtags[tag].count++;
+            hashtags[tag].occurrences.push({
+                file: filename,
+                line: lineNum + 1,
+                context: context.trim()
+            });
+        };
 
-                const context = line.substring(Math.max(0, match.index - 20), match.index + match[0].length + 20);
+        const frontmatter = this.frontmatter.parse(content, filename);
+        if (frontmatter) {
+            const tagsLine = Math.max(0, lines.slice(0, frontmatter.lineCount).findIndex(line => /^tags\s*:/.test(line)));
+            for (const raw of frontmatter.tags) add(raw, tagsLine, lines[tagsLine]);
+        }
 
-                if (!hashtags[tag]) {
-                    hashtags[tag] = { count: 0, occurrences: [] };
-                }
+        lines.forEach((line, lineNum) => {
+            let match;
+            this.hashtagPattern.lastIndex = 0; // Reset regex state
 
-                hashtags[tag].count++;
-                hashtags[tag].occurrences.push({
-                    file: filename,
-                    line: lineNum + 1,
-                    context: context.trim()
-                });
+            while ((match = this.hashtagPattern.exec(maskedLines[lineNum])) !== null) {
+                add(match[1], lineNum, line.substring(Math.max(0, match.index - 20), match.index + match[0].length + 20));
             }
         });
 
         return hashtags;
     }
 
+    /**
+     * Normalized tag, or null if it is not a topic tag
+     */
+    acceptTag(raw) {
+        const tag = this.normalizeTag(raw);
+
+        // Validation rules are a bit nuanced due to tests:
+        // - accept #Trading/#TRADING/#trading as "trading"
+        // - reject numeric-only tags like #123
+        // - reject long ALL-CAPS tags like #UPPERCASE (scripts without
+        //   case, e.g. #日本語, are never all caps)
+        const hasLetter = /\p{L}/u.test(raw);
+        const isAllCaps = raw !== raw.toLowerCase() && raw === raw.toUpperCase();
+        if (!hasLetter) return null;
+        if (isAllCaps && raw.length >= 8) return null;
+        if (!this.isValidHashtag(tag)) return null;
+
+        return tag;
+    }
+
+    /**
+     * Normalized, valid tags from parsed frontmatter, in order, without repeats
+     */
+    frontmatterTags(frontmatter) {
+        const tags = (frontmatter?.tags || []).map(raw => this.acceptTag(raw)).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    /**
+     * Canonical form of a tag: NFC (composed accents) and lowercase, so #Café
+     * typed with a combining accent and #café are one topic
+     */
+    normalizeTag(raw) {
+        return raw.normalize('NFC').toLowerCase();
+    }
+
     /**
      * Validate hashtag (basic rules)
      */
     isValidHashtag(tag) {
-        // Must be lowercase alphanumeric with dashes/underscores,
-        // and must contain at least one letter.
+        // Must be lowercase letters/digits (any script) with dashes/underscores,
+        // optionally in /-separated levels, and must contain at least one letter.
         if (tag !== tag.toLowerCase()) return false;
-        if (!/^[a-z0-9_-]+$/.test(tag)) return false;
-        if (!/[a-z]/.test(tag)) return false;
+        if (!new RegExp(`^${TAG}$`, 'u').test(tag)) return false;
+        if (!/\p{L}/u.test(tag)) return false;
         return true;
     }
 }
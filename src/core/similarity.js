@@ -3,7 +3,11 @@
  * 
  * Responsibilities:
  * - Compute topic similarity (embedding or mechanical)
- * - Apply synonym rules
+ * - Mechanical: stems, acronyms, word overlap, abbreviations and typos,
+ *   with a per-signal score breakdown on each proposal
+ * - Blend tag-name similarity with topic context centroids (optional)
+ * - Apply synonym rules (config and approved review decisions)
+ * - Drop never_merge pairs from review decisions
  * - Generate merge proposals
  * 
  * OPTIMIZATION: Early termination and batching for large datasets
@@ -11,25 +15,42 @@
 
 const Embeddings = require('../utils/embeddings');
 const MathUtils = require('../utils/math');
+const TagNormalizer = require('./tag-normalizer');
 
 class Similarity {
-    constructor(config, logger) {
+    /**
+     * options.readOnly: never write the embedding cache (dry run, plan)
+     */
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
         this.method = config.topic_similarity.method || 'levenshtein';
         this.threshold = config.topic_similarity.threshold || 0.8;
 
         if (this.method === 'embedding') {
-            this.embeddings = new Embeddings(config, logger);
+            this.embeddings = new Embeddings(config, logger, { readOnly: options.readOnly });
         }
 
+        // Context mode: compare the sections each tag is used in, not just its name
+        const context = config.topic_similarity.context || {};
+        this.useContext = this.method === 'embedding' && context.enabled === true;
+        this.nameWeight = context.name_weight ?? 0.4;
+        this.contextWeight = context.context_weight ?? 0.6;
+
         this.math = new MathUtils(config, logger);
+        this.normalizer = new TagNormalizer(config, logger);
     }
 
-    async computePairwiseSimilarity(tags, discoveredTopics) {
+    /**
+     * contexts: { tag: [text] } section texts per tag, used in context mode
+     * decisions: { never_merge: [[a, b]], synonyms: [[canonical, alias]] }
+     * from the topic registry
+     * signal: the run's AbortSignal; an abort is not caught by the mechanical fallback
+     */
+    async computePairwiseSimilarity(tags, discoveredTopics, contexts = {}, decisions = {}, { signal } = {}) {
         const proposals = [];
 
-        const synonymProposals = this.applySynonymRules(tags);
+        const synonymProposals = this.applySynonymRules(tags, decisions.synonyms);
         proposals.push(...synonymProposals);
 
         // OPTIMIZATION: For large datasets, use batching
@@ -39,9 +60,10 @@ class Similarity {
 
         if (this.method === 'embedding') {
             try {
-                const embeddingProposals = await this.computeEmbeddingSimilarity(tags, discoveredTopics);
+                const embeddingProposals = await this.computeEmbeddingSimilarity(tags, discoveredTopics, contexts, { signal });
                 proposals.push(...embeddingProposals);
             } catch (error) {
+                signal?.throwIfAborted();
                 this.logger.warn(`Embedding similarity failed: ${error.message}`);
                 this.logger.info('Falling back to mechanical similarity');
 
@@ -53,13 +75,17 @@ class Similarity {
             proposals.push(...mechanicalProposals);
         }
 
-        const uniqueProposals = this.deduplicateProposals(proposals);
+        // Rejected pairs are never proposed again, whatever the score
+        const rejected = new Set((decisions.never_merge || []).map(pair => [...pair].sort().join('\u0000')));
+        const allowed = proposals.filter(p => !rejected.has([p.canonical, p.alias].sort().join('\u0000')));
+
+        const uniqueProposals = this.deduplicateProposals(allowed);
         return uniqueProposals.sort((a, b) => b.confidence - a.confidence);
     }
 
-    applySynonymRules(tags) {
+    applySynonymRules(tags, extraGroups = []) {
         const proposals = [];
-        const synonymGroups = this.config.synonyms || [];
+        const synonymGroups = [...(this.config.synonyms || []), ...(extraGroups || [])];
 
         for (const group of synonymGroups) {
             if (!Array.isArray(group) || group.length < 2) continue;
@@ -94,10 +120,11 @@ class Similarity {
         return proposals;
     }
 
-    async computeEmbeddingSimilarity(tags, discoveredTopics) {
+    async computeEmbeddingSimilarity(tags, discoveredTopics, contexts = {}, { signal } = {}) {
         this.logger.info('Computing embeddings...');
 
-        const embeddings = await this.embeddings.getEmbeddings(tags);
+        const embeddings = await this.embeddings.getEmbeddings(tags, { signal });
+        const centroids = this.useContext ? await this.computeCentroids(tags, contexts, { signal }) : {};
 
         const proposals = [];
 
@@ -110,7 +137,8 @@ class Similarity {
                 const tag2 = sortedTags[j];
 
                 // OPTIMIZATION: Skip if string similarity is very low (early termination)
-                if (this.shouldSkipPair(tag1, tag2)) {
+                // Not in context mode: unrelated names (#car, #automobile) may share a context
+                if (!this.useContext && this.shouldSkipPair(tag1, tag2)) {
                     continue;
                 }
 
@@ -119,7 +147,14 @@ class Similarity {
 
                 if (!vec1 || !vec2) continue;
 
-                const similarity = this.math.cosineSimilarity(vec1, vec2);
+                const nameSimilarity = this.math.cosineSimilarity(vec1, vec2);
+                let similarity = nameSimilarity;
+                let contextSimilarity = null;
+
+                if (centroids[tag1] && centroids[tag2]) {
+                    contextSimilarity = this.math.cosineSimilarity(centroids[tag1], centroids[tag2]);
+                    similarity = this.blend(nameSimilarity, contextSimilarity);
+                }
 
                 if (similarity >= this.threshold) {
                     const count1 = discoveredTopics[tag1]?.count || 0;
@@ -128,12 +163,20 @@ class Similarity {
                     const canonical = count1 >= count2 ? tag1 : tag2;
                     const alias = count1 >= count2 ? tag2 : tag1;
 
-                    proposals.push({
+                    const proposal = {
                         canonical,
                         alias,
                         confidence: similarity,
                         method: 'embeddinggemma'
-                    });
+                    };
+
+                    if (contextSimilarity !== null) {
+                        proposal.method = 'embedding_context';
+                        proposal.name_similarity = nameSimilarity;
+                        proposal.context_similarity = contextSimilarity;
+                    }
+
+                    proposals.push(proposal);
                 }
             }
         }
@@ -141,6 +184,38 @@ class Similarity {
         return proposals;
     }
 
+    /**
+     * Topic centroid per tag: the normalized mean embedding of its context texts
+     * Tags without contexts get no centroid (compared by name only)
+     */
+    async computeCentroids(tags, contexts, { signal } = {}) {
+        const texts = [...new Set(tags.flatMap(tag => contexts[tag] || []))];
+        if (texts.length === 0) return {};
+
+        this.logger.info(`Embedding ${texts.length} topic context sections...`);
+        const embeddings = await this.embeddings.getEmbeddings(texts, { signal });
+
+        const centroids = {};
+        for (const tag of tags) {
+            const vectors = (contexts[tag] || []).map(text => embeddings[text]).filter(Boolean);
+            if (vectors.length > 0) {
+                centroids[tag] = this.math.centroid(vectors);
+            }
+        }
+
+        return centroids;
+    }
+
+    /**
+     * Weighted mean of name and context similarity
+     */
+    blend(nameSimilarity, contextSimilarity) {
+        const total = this.nameWeight + this.contextWeight;
+        if (total <= 0) return contextSimilarity;
+
+        return (this.nameWeight * nameSimilarity + this.contextWeight * contextSimilarity) / total;
+    }
+
     /**
      * OPTIMIZATION: Quick check to skip obviously dissimilar pairs
      */
@@ -168,49 +243,27 @@ class Similarity {
         return false;
     }
 
+    /**
+     * Mechanical similarity: the strongest of several name signals (see
+     * mechanicalSignals); each proposal carries the full breakdown
+     */
     computeMechanicalSimilarity(tags, discoveredTopics) {
         const proposals = [];
 
         // OPTIMIZATION: Sort tags for better cache locality
         const sortedTags = tags.sort();
 
+        // Original spelling keeps camelCase word boundaries (tags are lowercased)
+        const forms = new Map(sortedTags.map(tag =>
+            [tag, this.normalizer.normalize(discoveredTopics[tag]?.spelling || tag)]));
+
         for (let i = 0; i < sortedTags.length; i++) {
             for (let j = i + 1; j < sortedTags.length; j++) {
                 const tag1 = sortedTags[i];
                 const tag2 = sortedTags[j];
 
-                // OPTIMIZATION: Early termination
-                if (this.shouldSkipPair(tag1, tag2)) {
-                    continue;
-                }
-
-                const distance = this.math.levenshteinDistance(tag1, tag2);
-                const maxLen = Math.max(tag1.length, tag2.length);
-                let score = 1 - (distance / maxLen);
-
-                // Bonus 1: substring / abbreviation (e.g. "py" vs "python")
-                const t1ContainsT2 = tag1.includes(tag2);
-                const t2ContainsT1 = tag2.includes(tag1);
-                if (t1ContainsT2 || t2ContainsT1) {
-                    score += 0.25;
-
-                    // If a very short tag is a prefix of a longer tag, treat it as an abbreviation.
-                    // This is needed for tests like "py" vs "python" at a high threshold.
-                    const shorter = tag1.length <= tag2.length ? tag1 : tag2;
-                    const longer = tag1.length <= tag2.length ? tag2 : tag1;
-                    if (shorter.length <= 3 && longer.startsWith(shorter)) {
-                        score += 0.5;
-                    }
-                }
-
-                // Bonus 2: common-prefix (helps "trade" vs "trading" where substring isn't exact)
-                let cpl = 0;
-                while (cpl < tag1.length && cpl < tag2.length && tag1[cpl] === tag2[cpl]) cpl++;
-                if (cpl >= 3) {
-                    score += 0.30;
-                }
-
-                score = Math.min(score, 1.0);
+                const signals = this.mechanicalSignals(tag1, tag2, forms.get(tag1), forms.get(tag2));
+                const score = Math.max(...Object.values(signals));
 
                 if (score >= this.threshold) {
                     const count1 = discoveredTopics[tag1]?.count || 0;
@@ -223,7 +276,8 @@ class Similarity {
                         canonical,
                         alias,
                         confidence: score,
-                        method: 'levenshtein'
+                        method: 'levenshtein',
+                        signals
                     });
                 }
             }
@@ -232,6 +286,66 @@ class Similarity {
         return proposals;
     }
 
+    /**
+     * Per-signal scores (0–1) for a tag pair:
+     * - stem: same words after plural folding and stemming (#meeting, #meetings)
+     * - acronym: same words once acronyms are expanded (#ml, #machine-learning)
+     * - tokens: word overlap of multi-word tags (#alpha-project, #project-alpha)
+     * - abbreviation: a tag of up to 3 letters that starts the other (#py, #python)
+     * - edit: edit similarity of the stemmed names, for typos (#pyhton, #python);
+     *   not applied when one stem extends the other (#trade, #trader)
+     */
+    mechanicalSignals(tag1, tag2, form1, form2) {
+        const signals = { stem: 0, acronym: 0, tokens: 0, abbreviation: 0, edit: 0 };
+        const same = (a, b) => a.length === b.length && a.every((word, i) => word === b[i]);
+
+        if (same(form1.stems, form2.stems)) {
+            signals.stem = 1;
+        } else if (same(form1.expanded, form2.expanded)) {
+            signals.acronym = 1;
+        }
+
+        if (form1.expanded.length > 1 || form2.expanded.length > 1) {
+            const words1 = new Set(form1.expanded);
+            const words2 = new Set(form2.expanded);
+            const shared = [...words1].filter(word => words2.has(word)).length;
+            signals.tokens = shared / (words1.size + words2.size - shared);
+        }
+
+        const shorter = tag1.length <= tag2.length ? tag1 : tag2;
+        const longer = tag1.length <= tag2.length ? tag2 : tag1;
+        if (shorter.length <= 3 && longer.startsWith(shorter) && !this.normalizer.isAcronym(shorter)) {
+            signals.abbreviation = 0.9;
+        }
+
+        const name1 = form1.expanded.join('');
+        const name2 = form2.expanded.join('');
+        const maxLen = Math.max(name1.length, name2.length);
+
+        // OPTIMIZATION: the edit score cannot beat 1 - lengthDiff / maxLen
+        const reachable = maxLen > 0 && 1 - Math.abs(name1.length - name2.length) / maxLen >= this.threshold;
+        if (reachable && !name1.startsWith(name2) && !name2.startsWith(name1)) {
+            signals.edit = 1 - this.math.transpositionDistance(name1, name2) / maxLen;
+        }
+
+        return signals;
+    }
+
+    /**
+     * Score breakdown of a proposal for reports, e.g. "; stem 1.00, edit 0.83"
+     * (non-zero mechanical signals, or name and context similarity)
+     */
+    static formatScores(proposal) {
+        if (proposal.context_similarity != null) {
+            return `; name ${proposal.name_similarity.toFixed(2)}, context ${proposal.context_similarity.toFixed(2)}`;
+        }
+
+        const signals = Object.entries(proposal.signals || {}).filter(([, score]) => score > 0);
+        if (signals.length === 0) return '';
+
+        return '; ' + signals.map(([signal, score]) => `${signal} ${score.toFixed(2)}`).join(', ');
+    }
+
     deduplicateProposals(proposals) {
         const seen = new Set();
         const unique = [];
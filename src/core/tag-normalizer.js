@@ -0,0 +1,219 @@
+/**
+ * Tag Normalizer Module
+ *
+ * Responsibilities:
+ * - Split tags into words (hyphen, underscore, camelCase, hierarchy levels)
+ * - Fold plurals to singular (incl. a few irregular nouns)
+ * - Porter-stem each word
+ * - Expand acronyms from topic_similarity.mechanical.acronyms
+ *
+ * Used by mechanical similarity: #meeting / #meetings and #trade / #trading
+ * share a stem, and #ml matches #machine-learning once expanded.
+ */
+
+const IRREGULAR_PLURALS = {
+    children: 'child',
+    feet: 'foot',
+    geese: 'goose',
+    men: 'man',
+    mice: 'mouse',
+    people: 'person',
+    teeth: 'tooth',
+    women: 'woman'
+};
+
+const STEP2_SUFFIXES = [
+    ['ational', 'ate'], ['tional', 'tion'], ['enci', 'ence'], ['anci', 'ance'],
+    ['izer', 'ize'], ['bli', 'ble'], ['alli', 'al'], ['entli', 'ent'], ['eli', 'e'],
+    ['ousli', 'ous'], ['ization', 'ize'], ['ation', 'ate'], ['ator', 'ate'],
+    ['alism', 'al'], ['iveness', 'ive'], ['fulness', 'ful'], ['ousness', 'ous'],
+    ['aliti', 'al'], ['iviti', 'ive'], ['biliti', 'ble'], ['logi', 'log']
+];
+
+const STEP3_SUFFIXES = [
+    ['icate', 'ic'], ['ative', ''], ['alize', 'al'], ['iciti', 'ic'],
+    ['ical', 'ic'], ['ful', ''], ['ness', '']
+];
+
+const STEP4_SUFFIXES = [
+    'al', 'ance', 'ence', 'er', 'ic', 'able', 'ible', 'ant', 'ement', 'ment',
+    'ent', 'ion', 'ou', 'ism', 'ate', 'iti', 'ous', 'ive', 'ize'
+];
+
+class TagNormalizer {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+
+        // Acronym → expansion, both split into stemmed words
+        this.acronyms = new Map();
+        const table = config.topic_similarity?.mechanical?.acronyms || {};
+        for (const [acronym, expansion] of Object.entries(table)) {
+            this.acronyms.set(this.stems(acronym).join(' '), this.stems(expansion));
+        }
+    }
+
+    /**
+     * Normalized form of a tag (pass the original spelling to split camelCase)
+     * Returns: { stems, expanded } — expanded has acronyms replaced
+     */
+    normalize(tag) {
+        const stems = this.stems(tag);
+        const expanded = stems.flatMap(stem => this.acronyms.get(stem) || [stem]);
+        const whole = this.acronyms.get(stems.join(' '));
+
+        return { stems, expanded: whole || expanded };
+    }
+
+    isAcronym(tag) {
+        return this.acronyms.has(this.stems(tag).join(' '));
+    }
+
+    stems(tag) {
+        return this.tokenize(tag).map(word => this.stem(this.singularize(word)));
+    }
+
+    /**
+     * "machine-learning", "machine_learning", "MachineLearning" → ["machine", "learning"];
+     * hierarchy levels split too ("work/projectx" → ["work", "projectx"])
+     */
+    tokenize(tag) {
+        return tag
+            .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+            .replace(/(\p{Lu}+)(\p{Lu}\p{Ll})/gu, '$1 $2')
+            .split(/[\s_/-]+/)
+            .filter(Boolean)
+            .map(word => word.toLowerCase());
+    }
+
+    singularize(word) {
+        if (IRREGULAR_PLURALS[word]) return IRREGULAR_PLURALS[word];
+        if (word.length <= 3 || /(ss|us|is)$/.test(word)) return word;
+
+        if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+        if (/(s|x|z|ch|sh)es$/.test(word)) return word.slice(0, -2);
+        if (word.endsWith('s')) return word.slice(0, -1);
+        return word;
+    }
+
+    /**
+     * Porter stemmer (M.F. Porter, 1980)
+     */
+    stem(word) {
+        if (word.length <= 2 || !/^[a-z]+$/.test(word)) return word;
+
+        // Step 1a: plurals
+        if (word.endsWith('sses') || word.endsWith('ies')) {
+            word = word.slice(0, -2);
+        } else if (word.endsWith('s') && !word.endsWith('ss')) {
+            word = word.slice(0, -1);
+        }
+
+        // Step 1b: -eed, -ed, -ing
+        if (word.endsWith('eed')) {
+            if (this.measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+        } else {
+            const suffix = ['ed', 'ing'].find(s => word.endsWith(s) && this.hasVowel(word.slice(0, -s.length)));
+            if (suffix) {
+                word = word.slice(0, -suffix.length);
+
+                if (/(at|bl|iz)$/.test(word)) {
+                    word += 'e';
+                } else if (this.endsWithDoubleConsonant(word) && !/[lsz]$/.test(word)) {
+                    word = word.slice(0, -1);
+                } else if (this.measure(word) === 1 && this.endsCvc(word)) {
+                    word += 'e';
+                }
+            }
+        }
+
+        // Step 1c: y → i
+        if (word.endsWith('y') && this.hasVowel(word.slice(0, -1))) {
+            word = word.slice(0, -1) + 'i';
+        }
+
+        // Steps 2–3: double and derivational suffixes
+        word = this.replaceSuffix(word, STEP2_SUFFIXES, 0);
+        word = this.replaceSuffix(word, STEP3_SUFFIXES, 0);
+
+        // Step 4: remove suffixes where the stem stays long enough
+        for (const suffix of STEP4_SUFFIXES) {
+            if (!word.endsWith(suffix)) continue;
+
+            const stem = word.slice(0, -suffix.length);
+            if (this.measure(stem) > 1 && (suffix !== 'ion' || /[st]$/.test(stem))) {
+                word = stem;
+            }
+            break;
+        }
+
+        // Step 5: final -e, -ll
+        if (word.endsWith('e')) {
+            const stem = word.slice(0, -1);
+            const m = this.measure(stem);
+            if (m > 1 || (m === 1 && !this.endsCvc(stem))) word = stem;
+        }
+        if (word.endsWith('ll') && this.measure(word) > 1) {
+            word = word.slice(0, -1);
+        }
+
+        return word;
+    }
+
+    replaceSuffix(word, suffixes, minMeasure) {
+        for (const [suffix, replacement] of suffixes) {
+            if (!word.endsWith(suffix)) continue;
+
+            const stem = word.slice(0, -suffix.length);
+            return this.measure(stem) > minMeasure ? stem + replacement : word;
+        }
+        return word;
+    }
+
+    isConsonant(word, i) {
+        const c = word[i];
+        if ('aeiou'.includes(c)) return false;
+        if (c === 'y') return i === 0 || !this.isConsonant(word, i - 1);
+        return true;
+    }
+
+    /**
+     * Number of vowel–consonant sequences ([C](VC)^m[V])
+     */
+    measure(word) {
+        let m = 0;
+        let previousVowel = false;
+        for (let i = 0; i < word.length; i++) {
+            const vowel = !this.isConsonant(word, i);
+            if (previousVowel && !vowel) m++;
+            previousVowel = vowel;
+        }
+        return m;
+    }
+
+    hasVowel(word) {
+        for (let i = 0; i < word.length; i++) {
+            if (!this.isConsonant(word, i)) return true;
+        }
+        return false;
+    }
+
+    endsWithDoubleConsonant(word) {
+        const n = word.length;
+        return n >= 2 && word[n - 1] === word[n - 2] && this.isConsonant(word, n - 1);
+    }
+
+    /**
+     * consonant–vowel–consonant ending, last consonant not w, x or y (e.g. -hop)
+     */
+    endsCvc(word) {
+        const n = word.length;
+        return n >= 3 &&
+            this.isConsonant(word, n - 3) &&
+            !this.isConsonant(word, n - 2) &&
+            this.isConsonant(word, n - 1) &&
+            !'wxy'.includes(word[n - 1]);
+    }
+}
+
+module.exports = TagNormalizer;
@@ -0,0 +1,149 @@
+/**
+ * Topic Paths Module
+ *
+ * Responsibilities:
+ * - Map topic names to files under the topics directory; hierarchical tags
+ *   nest (#work/projectx → Work/Projectx.md)
+ * - Sanitize every path segment and keep resolved paths inside the topics
+ *   directory (path traversal protection)
+ * - Relative links between topic files, and from topic files to daily logs
+ * - List topic files and parent topic indexes (<Parent>/_index.md)
+ *
+ * Paths returned by file(), link() and listFiles() are POSIX-style and
+ * relative to the topics directory, as written in markdown links.
+ */
+
+const path = require('path');
+
+const INDEX_FILE = '_index.md';
+const MAX_SEGMENT_LENGTH = 100;
+
+class TopicPaths {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.topicsDirectory = path.posix.normalize((config.advanced?.topics_directory || 'Topics/').replace(/\\/g, '/'));
+    }
+
+    static get INDEX_FILE() {
+        return INDEX_FILE;
+    }
+
+    /**
+     * Sanitized path segments of a topic ("work/projectx" → ["work", "projectx"])
+     * SECURITY: no "..", no separators or invalid filename characters in a segment
+     */
+    segments(topic) {
+        const segments = String(topic)
+            .split(/[/\\]/)
+            .map(segment => segment
+                .replace(/\.\./g, '')
+                .replace(/[<>:"|?*\x00-\x1f]/g, '')
+                .substring(0, MAX_SEGMENT_LENGTH))
+            .filter(segment => segment.length > 0 && segment !== '.')
+            .map(segment => (segment.toLowerCase() === INDEX_FILE.replace('.md', '') ? `${segment}_` : segment));
+
+        return segments.length > 0 ? segments : ['unnamed'];
+    }
+
+    /**
+     * Sanitized topic name, as written in tags ("#work/projectx")
+     */
+    name(topic) {
+        return this.segments(topic).join('/');
+    }
+
+    /**
+     * Topic file relative to the topics directory ("Work/Projectx.md")
+     */
+    file(topic) {
+        return this.segments(topic).map(segment => this.capitalize(segment)).join('/') + '.md';
+    }
+
+    /**
+     * Display title ("Work / Projectx")
+     */
+    title(topic) {
+        return this.segments(topic).map(segment => this.capitalize(segment)).join(' / ');
+    }
+
+    /**
+     * Name of a merged-away topic file in .archive (segments joined with "_")
+     */
+    archiveName(topic) {
+        return this.segments(topic).map(segment => this.capitalize(segment)).join('_');
+    }
+
+    /**
+     * Parent topics, outermost first ("a/b/c" → ["a", "a/b"])
+     */
+    parents(topic) {
+        const segments = this.segments(topic);
+        return segments.slice(0, -1).map((_, i) => segments.slice(0, i + 1).join('/'));
+    }
+
+    /**
+     * Absolute topic file path
+     * SECURITY: Validates resolved path is within topics directory
+     */
+    resolve(topicsDir, topic) {
+        const resolvedPath = path.resolve(topicsDir, ...this.file(topic).split('/'));
+        const resolvedTopicsDir = path.resolve(topicsDir);
+
+        if (!resolvedPath.startsWith(resolvedTopicsDir + path.sep)) {
+            throw new Error(`Security violation: Topic path outside directory: ${topic}`);
+        }
+
+        return resolvedPath;
+    }
+
+    /**
+     * Relative link from one topic file to another (both topics-relative)
+     */
+    link(fromFile, toFile) {
+        return path.posix.relative(path.posix.dirname(fromFile), toFile);
+    }
+
+    /**
+     * Relative link from a topic file to a file under memory/ (e.g. a daily log)
+     */
+    memoryLink(fromFile, memoryFile) {
+        const from = path.posix.dirname(path.posix.join(this.topicsDirectory, fromFile));
+        return path.posix.relative(from, memoryFile.replace(/\\/g, '/'));
+    }
+
+    /**
+     * Topic files under the topics directory, recursively (skips dot
+     * directories such as .archive; indexes only with includeIndexes)
+     */
+    async listFiles(fsImpl, topicsDir, { includeIndexes = false } = {}) {
+        const files = [];
+
+        const walk = async (dirRel) => {
+            let entries;
+            try {
+                entries = await fsImpl.readdir(path.join(topicsDir, dirRel), { withFileTypes: true });
+            } catch {
+                return;
+            }
+
+            for (const entry of entries) {
+                const rel = dirRel ? `${dirRel}/${entry.name}` : entry.name;
+                if (entry.isDirectory()) {
+                    if (!entry.name.startsWith('.')) await walk(rel);
+                } else if (entry.name.endsWith('.md')) {
+                    if (includeIndexes || entry.name !== INDEX_FILE) files.push(rel);
+                }
+            }
+        };
+        await walk('');
+
+        return files.sort();
+    }
+
+    capitalize(segment) {
+        return segment.replace(/^./u, c => c.toUpperCase());
+    }
+}
+
+module.exports = TopicPaths;
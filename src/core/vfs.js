@@ -0,0 +1,211 @@
+/**
+ * VirtualFS Module
+ *
+ * Responsibilities:
+ * - In-memory overlay over the real filesystem (used by --dry-run)
+ * - Mirror the subset of fs.promises used by phases and utils
+ * - Report created/modified/moved/deleted files
+ *
+ * Reads fall through to disk until a path is written; writes never touch disk.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class VirtualFS {
+    constructor() {
+        this.files = new Map(); // absolute path → content (null = deleted)
+        this.dirs = new Set();
+        this.moves = new Map(); // destination → source (for change reporting)
+    }
+
+    resolve(filepath) {
+        return path.resolve(filepath);
+    }
+
+    notFound(syscall, filepath) {
+        const error = new Error(`ENOENT: no such file or directory, ${syscall} '${filepath}'`);
+        error.code = 'ENOENT';
+        error.syscall = syscall;
+        error.path = filepath;
+        return error;
+    }
+
+    async readFile(filepath, options) {
+        const abs = this.resolve(filepath);
+
+        if (this.files.has(abs)) {
+            const content = this.files.get(abs);
+            if (content === null) throw this.notFound('open', filepath);
+            return content;
+        }
+
+        return fs.readFile(abs, options);
+    }
+
+    async writeFile(filepath, content) {
+        this.files.set(this.resolve(filepath), String(content));
+    }
+
+    async appendFile(filepath, content) {
+        const existing = await this.readSafe(filepath);
+        await this.writeFile(filepath, (existing || '') + content);
+    }
+
+    async readSafe(filepath) {
+        try {
+            return await this.readFile(filepath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async access(filepath) {
+        const abs = this.resolve(filepath);
+
+        if (this.files.has(abs)) {
+            if (this.files.get(abs) === null) throw this.notFound('access', filepath);
+            return;
+        }
+        if (this.dirs.has(abs)) return;
+
+        return fs.access(abs);
+    }
+
+    async stat(filepath) {
+        const abs = this.resolve(filepath);
+
+        if (this.files.has(abs)) {
+            const content = this.files.get(abs);
+            if (content === null) throw this.notFound('stat', filepath);
+            return {
+                size: Buffer.byteLength(content, 'utf8'),
+                mtimeMs: Date.now(),
+                isFile: () => true,
+                isDirectory: () => false
+            };
+        }
+        if (this.dirs.has(abs)) {
+            return { size: 0, mtimeMs: Date.now(), isFile: () => false, isDirectory: () => true };
+        }
+
+        return fs.stat(abs);
+    }
+
+    async mkdir(dirpath) {
+        let cur = this.resolve(dirpath);
+        while (!this.dirs.has(cur) && path.dirname(cur) !== cur) {
+            this.dirs.add(cur);
+            cur = path.dirname(cur);
+        }
+    }
+
+    async readdir(dirpath, options = {}) {
+        const abs = this.resolve(dirpath);
+        const entries = new Map(); // name → isDirectory
+
+        try {
+            const real = await fs.readdir(abs, { withFileTypes: true });
+            for (const ent of real) entries.set(ent.name, ent.isDirectory());
+        } catch (error) {
+            if (error.code !== 'ENOENT' || !this.dirs.has(abs)) throw error;
+        }
+
+        for (const [filepath, content] of this.files) {
+            if (path.dirname(filepath) !== abs) continue;
+            if (content === null) {
+                entries.delete(path.basename(filepath));
+            } else {
+                entries.set(path.basename(filepath), false);
+            }
+        }
+
+        for (const dir of this.dirs) {
+            if (path.dirname(dir) === abs) entries.set(path.basename(dir), true);
+        }
+
+        const names = [...entries.keys()].sort();
+        if (!options.withFileTypes) return names;
+
+        return names.map(name => ({
+            name,
+            isFile: () => !entries.get(name),
+            isDirectory: () => entries.get(name)
+        }));
+    }
+
+    async rename(source, destination) {
+        const from = this.resolve(source);
+        const to = this.resolve(destination);
+        const content = await this.readFile(from, 'utf8');
+        const overwrite = await this.readSafe(to) !== null;
+
+        this.files.set(to, content);
+        this.files.set(from, null);
+
+        // Track the original location so the change report can show a move.
+        // Overwriting an existing file (temp → rename) keeps the target's identity.
+        if (!overwrite) {
+            this.moves.set(to, this.moves.get(from) || from);
+        }
+        this.moves.delete(from);
+    }
+
+    async unlink(filepath) {
+        await this.access(filepath);
+        this.files.set(this.resolve(filepath), null);
+    }
+
+    async rm(filepath) {
+        try {
+            await this.unlink(filepath);
+        } catch {
+            // force semantics
+        }
+    }
+
+    /**
+     * Compare the overlay against disk
+     * Returns: Array of { type, path, from?, before, after } sorted by path
+     */
+    async getChanges() {
+        const changes = [];
+        const movedSources = new Set(this.moves.values());
+
+        for (const [filepath, after] of this.files) {
+            let before = null;
+            try {
+                before = await fs.readFile(filepath, 'utf8');
+            } catch {
+                // New file
+            }
+
+            if (after === null) {
+                // Deleted sources of a move are reported with the move itself
+                if (before === null || movedSources.has(filepath)) continue;
+                changes.push({ type: 'delete', path: filepath, before, after: null });
+                continue;
+            }
+
+            const from = this.moves.get(filepath);
+            if (from && before === null) {
+                const original = await fs.readFile(from, 'utf8').catch(() => null);
+                if (original !== null) {
+                    changes.push({ type: 'move', path: filepath, from, before: original, after });
+                    continue;
+                }
+            }
+
+            if (before === null) {
+                changes.push({ type: 'create', path: filepath, before: null, after });
+            } else if (before !== after) {
+                changes.push({ type: 'modify', path: filepath, before, after });
+            }
+        }
+
+        return changes.sort((a, b) => a.path.localeCompare(b.path));
+    }
+}
+
+module.exports = VirtualFS;
@@ -23,6 +23,14 @@ const Phase6Resume = require('./phases/phase6-resume');
 
 const Logger = require('./utils/logger');
 const Checkpoint = require('./utils/checkpoint');
+const Diff = require('./utils/diff');
+const Plan = require('./utils/plan');
+const Transaction = require('./utils/transaction');
+const Backup = require('./utils/backup');
+const Rollback = require('./utils/rollback');
+const Lock = require('./utils/lock');
+const Cache = require('./utils/cache');
+const VirtualFS = require('./core/vfs');
 
 class MemoryPolisher {
     constructor(config, options = {}) {
@@ -34,6 +42,9 @@ class MemoryPolisher {
         this.logger = new Logger(config.logging);
         this.checkpoint = new Checkpoint(config);
         this.state = {};
+
+        // Programmatic callers cancel a run through options.signal (an AbortSignal)
+        this.signal = options.signal || null;
     }
 
     /**
@@ -56,7 +67,9 @@ class MemoryPolisher {
         const pathFields = [
             config.advanced?.topics_directory,
             config.advanced?.archive_directory,
-            config.advanced?.cache_directory
+            config.advanced?.cache_directory,
+            config.advanced?.registry_file,
+            config.topic_similarity?.review?.file
         ];
 
         for (const pathField of pathFields) {
@@ -67,11 +80,21 @@ class MemoryPolisher {
     }
 
     async run() {
+        // Hold the workspace lock before Phase6Resume or Phase0Init touch anything
+        if (!this.options.dry_run && !this.lock) {
+            return this.withLock(() => this.run());
+        }
+
         const startTime = Date.now();
 
         try {
             this.logger.info('✨ Memory Polisher v1.0.0 starting...');
 
+            // Dry run never touches the checkpoint or resumes a previous session
+            if (this.options.dry_run) {
+                return await this.dryRun();
+            }
+
             // Optional: clear checkpoint / disable resume
             if (this.options.clear_checkpoint || this.options.no_resume || this.options.force_from_phase !== undefined) {
                 try {
@@ -83,29 +106,18 @@ class MemoryPolisher {
 
             if (!this.options.no_resume && this.options.force_from_phase === undefined) {
                 const resumePhase = new Phase6Resume(this.config, this.logger);
-                const resumeResult = await resumePhase.execute();
+                const resumeResult = await resumePhase.execute({ signal: this.signal });
 
                 if (resumeResult.shouldResume) {
-                    this.logger.info(`⏸️  Resuming from phase ${resumeResult.checkpoint.current_phase}`);
+                    this.logger.info(`⏸️  Resuming after phase ${resumeResult.checkpoint.current_phase}`);
                     this.state = resumeResult.checkpoint;
+                    await this.lock.setSession(this.state.session_id);
                     return await this.resumeExecution(resumeResult.checkpoint);
                 }
             }
 
             await this.executePhases();
-
-            // Mark checkpoint as completed & archive it so future runs don't show "interrupted"
-            try {
-                await this.checkpoint.save({
-                    ...this.state,
-                    status: 'completed',
-                    current_phase: '5',
-                    completed_steps: ['0', '1', '2', '3', '4', '5']
-                });
-                await this.checkpoint.archive();
-            } catch {
-                // ignore
-            }
+            await this.markCompleted();
 
             const duration = ((Date.now() - startTime) / 1000).toFixed(1);
             this.logger.success(`✅ Memory polisher complete in ${duration}s`);
@@ -113,6 +125,12 @@ class MemoryPolisher {
             return { success: true, state: this.state };
 
         } catch (error) {
+            // Interrupted runs keep their changes and resume next time
+            if (this.isAbort(error)) {
+                await this.saveInterrupted();
+                throw error;
+            }
+
             this.logger.error('❌ Memory polisher failed:', error);
 
             const phase5 = new Phase5Validate(this.config, this.logger, this.state);
@@ -122,7 +140,69 @@ class MemoryPolisher {
         }
     }
 
-    async executePhases() {
+    /**
+     * Mark checkpoint as completed & archive it so future runs don't show "interrupted"
+     */
+    async markCompleted() {
+        try {
+            await this.checkpoint.save({
+                ...this.state,
+                status: 'completed',
+                current_phase: '5',
+                completed_steps: ['0', '1', '2', '3', '4', '5']
+            });
+            await this.checkpoint.archive();
+        } catch {
+            // ignore
+        }
+    }
+
+    isAbort(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    }
+
+    /**
+     * Flush an `interrupted` checkpoint. Phases stop between items, so every
+     * file operation already logged is complete; those per-item markers live in
+     * the transaction log and let Phases 3-4 continue where they stopped.
+     */
+    async saveInterrupted() {
+        const completed = this.state.completed_steps || [];
+
+        await this.checkpoint.save({
+            ...this.state,
+            status: 'interrupted',
+            current_phase: completed[completed.length - 1] || null
+        });
+
+        this.logger.warn('⏸️  Run interrupted; checkpoint saved. Run again to resume.');
+    }
+
+    /**
+     * Run fn while holding the workspace run lock (--wait / --force-unlock).
+     * Losing the lock to another run fails the run at its next item.
+     */
+    async withLock(fn) {
+        const lost = new AbortController();
+        const signal = this.signal;
+
+        this.lock = new Lock(this.config, this.logger, { onLost: error => lost.abort(error) });
+        await this.lock.acquire({
+            wait: this.options.wait || 0,
+            force: this.options.force_unlock
+        });
+        this.signal = signal ? AbortSignal.any([signal, lost.signal]) : lost.signal;
+
+        try {
+            return await fn();
+        } finally {
+            this.signal = signal;
+            await this.lock.release();
+            this.lock = null;
+        }
+    }
+
+    async executePhases(phaseIds = null) {
         const phases = [
             { id: '0', name: 'Initialization', class: Phase0Init },
             { id: '1', name: 'Discovery', class: Phase1Discover },
@@ -132,8 +212,10 @@ class MemoryPolisher {
             { id: '5', name: 'Validation', class: Phase5Validate }
         ];
 
+        const selected = phaseIds || this.options.only_phases;
+
         for (const phaseInfo of phases) {
-            if (this.options.only_phases && !this.options.only_phases.includes(phaseInfo.id)) {
+            if (selected && !selected.includes(phaseInfo.id)) {
                 this.logger.info(`⏩ Skipping Phase ${phaseInfo.id} (not in only_phases)`);
                 continue;
             }
@@ -141,21 +223,402 @@ class MemoryPolisher {
             this.logger.info(`\n📍 Phase ${phaseInfo.id}: ${phaseInfo.name}`);
 
             const phase = new phaseInfo.class(this.config, this.logger, this.state);
-            const result = await phase.execute();
+            const result = await phase.execute({ signal: this.signal });
 
             // FIX: Prevent prototype pollution - use safe merge
             this.state = this.safeMerge(this.state, result);
+            this.state.completed_steps = [...(this.state.completed_steps || []), phaseInfo.id];
+            if (this.lock) await this.lock.setSession(this.state.session_id);
 
             await this.checkpoint.save({
                 ...this.state,
-                current_phase: phaseInfo.id,
-                completed_steps: [...(this.state.completed_steps || []), phaseInfo.id]
+                status: 'running',
+                current_phase: phaseInfo.id
             });
 
             this.logger.debug(`Phase ${phaseInfo.id} checkpoint saved`);
         }
     }
 
+    /**
+     * Execute Phases 1-4 against an in-memory VirtualFS
+     * Returns: { changes, state } where changes excludes cache bookkeeping
+     */
+    async simulate(label = 'dry-run') {
+        const memoryDir = path.join(process.cwd(), 'memory');
+        const vfs = new VirtualFS();
+
+        this.state = {
+            session_id: `${label}-${Date.now()}`,
+            started_at: new Date().toISOString()
+        };
+
+        const phases = [
+            { id: '1', name: 'Discovery', class: Phase1Discover },
+            { id: '2', name: 'Extraction', class: Phase2Extract },
+            { id: '3', name: 'Organization', class: Phase3Organize },
+            { id: '4', name: 'Update', class: Phase4Update }
+        ];
+
+        for (const phaseInfo of phases) {
+            this.logger.info(`\n📍 Phase ${phaseInfo.id}: ${phaseInfo.name} (dry run)`);
+
+            const phase = new phaseInfo.class(this.config, this.logger, this.state, { fs: vfs, dry_run: true });
+            const result = await phase.execute({ signal: this.signal });
+
+            this.state = this.safeMerge(this.state, result);
+        }
+
+        // Cache writes (extractions, backups, transaction log) are internal bookkeeping
+        const cacheDir = path.join(memoryDir, this.config.advanced.cache_directory);
+        const changes = (await vfs.getChanges()).filter(change => {
+            const rel = path.relative(cacheDir, change.path);
+            return rel.startsWith('..') || path.isAbsolute(rel);
+        });
+
+        return { changes, state: this.state };
+    }
+
+    /**
+     * Dry run: report every file Phases 1-4 would create, modify, move or delete
+     */
+    async dryRun() {
+        const memoryDir = path.join(process.cwd(), 'memory');
+        const { changes } = await this.simulate();
+
+        const report = this.formatChangePlan(changes, memoryDir);
+        const reportPath = await this.writeReport(`dry-run-${new Date().toISOString().split('T')[0]}.diff`, report);
+
+        console.log(report);
+        this.logger.success(`✅ Dry run complete: ${changes.length} file(s) would change`);
+        this.logger.info(`📊 Change plan saved: ${reportPath}`);
+
+        return { success: true, dry_run: true, changes, report_path: reportPath, state: this.state };
+    }
+
+    /**
+     * Plan step: simulate the run and serialize it for review
+     */
+    async plan(outputPath = null) {
+        this.logger.info('✨ Memory Polisher v1.0.0 planning...');
+
+        const memoryDir = path.join(process.cwd(), 'memory');
+        const { changes, state } = await this.simulate('plan');
+
+        const planUtil = new Plan(this.config, this.logger);
+        const plan = planUtil.build(state, changes);
+
+        const reportDir = path.join(memoryDir, this.config.logging.report_location);
+        const planPath = outputPath || path.join(reportDir, `${plan.plan_id}.json`);
+        await planUtil.save(plan, planPath);
+
+        const diffPath = await this.writeReport(`${plan.plan_id}.diff`, this.formatChangePlan(changes, memoryDir));
+
+        this.logger.success(`✅ Plan written: ${planPath}`);
+        this.logger.info(`   ${plan.extractions.length} extractions, ${plan.merge_proposals.length} merges, ${changes.length} file operations`);
+        this.logger.info(`📊 Diff saved: ${diffPath}`);
+        this.logger.info(`Review it, then run: memory-polisher apply ${planPath}`);
+
+        return { success: true, plan, plan_path: planPath, changes };
+    }
+
+    /**
+     * Apply step: execute exactly the reviewed plan (Phases 0, 3, 4, 5)
+     * Refuses to run if any source file changed since it was planned.
+     */
+    async apply(planPath) {
+        if (!this.lock) {
+            return this.withLock(() => this.apply(planPath));
+        }
+
+        const startTime = Date.now();
+        this.logger.info(`✨ Memory Polisher v1.0.0 applying ${planPath}...`);
+
+        const planUtil = new Plan(this.config, this.logger);
+        const plan = await planUtil.load(planPath);
+
+        const mismatches = await planUtil.verify(plan);
+        if (mismatches.length > 0) {
+            for (const mismatch of mismatches) {
+                this.logger.error(`  ${mismatch.file}: ${mismatch.actual ? 'modified' : 'missing'} since plan was created`);
+            }
+            throw new Error(`Plan ${plan.plan_id} is stale: ${mismatches.length} source file(s) changed. Re-run plan.`);
+        }
+
+        // The plan stands in for discovery and extraction: a resumed apply
+        // must not re-run them and replace what was reviewed
+        this.state = { ...planUtil.toState(plan), completed_steps: ['1', '2'] };
+
+        try {
+            await this.executePhases(['0', '3', '4', '5']);
+            await this.markCompleted();
+        } catch (error) {
+            if (this.isAbort(error)) {
+                await this.saveInterrupted();
+                throw error;
+            }
+
+            this.logger.error('❌ Plan apply failed:', error);
+
+            const phase5 = new Phase5Validate(this.config, this.logger, this.state);
+            await phase5.rollback();
+
+            throw error;
+        }
+
+        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+        this.logger.success(`✅ Plan ${plan.plan_id} applied in ${duration}s`);
+
+        return { success: true, state: this.state, plan_id: plan.plan_id };
+    }
+
+    /**
+     * Revert a finished session (by ID, or the most recent one) from backups.
+     * Refuses with a per-file conflict list if anything changed since.
+     */
+    async undo(sessionId, { last = false } = {}) {
+        if (!this.lock) {
+            return this.withLock(() => this.undo(sessionId, { last }));
+        }
+
+        const memoryDir = path.join(process.cwd(), 'memory');
+        const transaction = new Transaction(this.config, this.logger);
+
+        // Only sessions that recorded file changes can be undone
+        const sessions = (await transaction.listSessions())
+            .filter(s => s.entries.some(e => e.files));
+
+        // --last means the last polish run, not an undo or a `backups restore`
+        const session = last
+            ? sessions.filter(s => !s.undone_by && !/^(undo|restore)-/.test(s.session_id)).pop()
+            : sessions.find(s => s.session_id === sessionId);
+
+        if (!session) {
+            throw new Error(last ? 'No session to undo' : `Session not found in transaction logs: ${sessionId}`);
+        }
+        if (session.undone_by) {
+            throw new Error(`Session ${session.session_id} was already undone by ${session.undone_by}`);
+        }
+
+        this.logger.info(`↩️  Undoing session ${session.session_id} (${session.started_at})`);
+
+        const rollback = new Rollback(this.config, this.logger);
+        const conflicts = await rollback.findConflicts(session.entries);
+
+        if (conflicts.length > 0) {
+            this.logger.error(`Cannot undo ${session.session_id}; ${conflicts.length} conflict(s):`);
+            for (const conflict of conflicts) {
+                this.logger.error(`  ${conflict.path}: ${conflict.reason}`);
+            }
+            const error = new Error(`Undo refused: ${conflicts.length} file(s) changed since session ${session.session_id}`);
+            error.conflicts = conflicts;
+            throw error;
+        }
+
+        // Snapshot the current state first so the undo itself is logged (and undoable)
+        const undoId = `undo-${new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14)}`;
+        const backup = new Backup(this.config, this.logger, { sessionId: undoId });
+        const touched = [...new Set(session.entries.flatMap(e => (e.files || []).map(f => f.path)))];
+        const beforeHashes = {};
+        for (const relPath of touched) {
+            beforeHashes[relPath] = await backup.snapshot(path.join(memoryDir, relPath));
+        }
+
+        const result = await rollback.revert(session.entries);
+
+        const undoLog = new Transaction(this.config, this.logger, { sessionId: undoId });
+        const files = [];
+        for (const relPath of touched) {
+            const absPath = path.join(memoryDir, relPath);
+            const content = await fs.readFile(absPath, 'utf8').catch(() => null);
+            files.push(undoLog.fileChange(absPath, beforeHashes[relPath], content));
+        }
+        await undoLog.log({
+            action: 'undo',
+            undone_session: session.session_id,
+            files,
+            status: result.failed.length === 0 ? 'success' : 'failed'
+        });
+
+        for (const p of result.restored) this.logger.info(`  ✓ Restored ${p}`);
+        for (const p of result.removed) this.logger.info(`  ✓ Removed ${p}`);
+
+        if (result.failed.length > 0) {
+            throw new Error(`Undo of ${session.session_id} incomplete: ${result.failed.length} action(s) failed`);
+        }
+
+        this.logger.success(`✅ Session ${session.session_id} undone (as ${undoId})`);
+        return { success: true, session_id: session.session_id, undo_id: undoId, ...result };
+    }
+
+    /**
+     * Inspect and restore backups: list [path] | show <hash|path> | restore <path> [--at <date>]
+     */
+    async backups(action, target = null, { at = null } = {}) {
+        const backup = new Backup(this.config, this.logger);
+        const format = (e) => `${e.created_at}  ${e.hash.slice(0, 12)}  ${String(e.size).padStart(7)}  ${e.session_id || '-'}  ${e.path}`;
+
+        if (action === 'list') {
+            const entries = target ? await backup.history(target) : await backup.readManifest();
+            console.log(entries.length > 0 ? entries.map(format).join('\n') : 'No backups recorded.');
+            return entries;
+        }
+
+        if (action === 'show') {
+            if (!target) throw new Error('Usage: memory-polisher backups show <hash|path>');
+
+            const entries = await backup.readManifest();
+            const byHash = entries.filter(e => /^[a-f0-9]{6,64}$/.test(target) && e.hash.startsWith(target));
+            if (byHash.length > 0) {
+                const hashes = new Set(byHash.map(e => e.hash));
+                if (hashes.size > 1) throw new Error(`Ambiguous backup hash prefix: ${target}`);
+
+                const content = await fs.readFile(await backup.getBackupPath(byHash[0].hash), 'utf8');
+                console.log(`${byHash.map(format).join('\n')}\n\n${content}`);
+                return { entries: byHash, content };
+            }
+
+            const history = await backup.history(target);
+            if (history.length === 0) throw new Error(`No backups of ${target}`);
+            console.log(history.map(format).join('\n'));
+            return { entries: history };
+        }
+
+        if (action === 'restore') {
+            if (!target) throw new Error('Usage: memory-polisher backups restore <path> [--at <date>]');
+            if (!this.lock) {
+                return this.withLock(() => this.backups(action, target, { at }));
+            }
+
+            const cutoff = at ? this.parseAt(at) : null;
+            const restoreId = `restore-${new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14)}`;
+            const absPath = path.join(process.cwd(), 'memory', target);
+
+            // Pick the backup before snapshotting, or the snapshot would be the latest
+            const latest = await backup.findLatest(target, { at: cutoff });
+
+            // Keep the current version so the restore can itself be undone
+            const current = new Backup(this.config, this.logger, { sessionId: restoreId });
+            const beforeHash = await current.snapshot(absPath);
+            const entry = await backup.restorePath(target, { entry: latest });
+
+            const transaction = new Transaction(this.config, this.logger, { sessionId: restoreId });
+            const content = await fs.readFile(absPath, 'utf8');
+            await transaction.log({
+                action: 'restore_backup',
+                target,
+                files: [transaction.fileChange(absPath, beforeHash, content)],
+                status: 'success'
+            });
+
+            this.logger.success(`✅ Restored ${target} from backup ${entry.hash.slice(0, 12)} (${entry.created_at})`);
+            return entry;
+        }
+
+        throw new Error(`Unknown backups command: ${action}`);
+    }
+
+    /**
+     * Inspect and maintain the embedding cache: stats | prune | clear
+     */
+    async cache(action = 'stats') {
+        const cache = new Cache(this.config, this.logger);
+        const mb = (bytes) => `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+        try {
+            if (action === 'stats') {
+                const stats = await cache.getStats();
+                const cap = cache.maxBytes ? mb(cache.maxBytes) : 'none';
+                const ttl = cache.ttlSeconds ? `${Math.round(cache.ttlSeconds / 86400)} days` : 'none';
+
+                console.log([
+                    `Backend:   ${stats.backend}`,
+                    `Entries:   ${stats.count}`,
+                    `Size:      ${mb(stats.size)} (cap ${cap}; file ${mb(stats.file_size)})`,
+                    `TTL:       ${ttl}`,
+                    `Oldest:    ${stats.oldest || '-'}`,
+                    `Newest:    ${stats.newest || '-'}`,
+                    ...stats.models.map(m => `Model:     ${m.model_version} @ ${m.dimensions}d — ${m.count} entries`)
+                ].join('\n'));
+                return stats;
+            }
+
+            if (action === 'prune') {
+                // Opening the cache applies the TTL and size cap
+                await cache.init();
+                const result = cache.pruned;
+                console.log(`Pruned embedding cache: ${result.expired} expired, ${result.evicted} evicted`);
+                return result;
+            }
+
+            if (action === 'clear') {
+                const { count } = await cache.getStats();
+                await cache.clear();
+                this.logger.success(`✅ Cleared ${count} cached embeddings`);
+                return { cleared: count };
+            }
+
+            throw new Error(`Unknown cache command: ${action}`);
+        } finally {
+            await cache.close();
+        }
+    }
+
+    /**
+     * Parse --at: a bare date means the end of that day (UTC)
+     */
+    parseAt(value) {
+        const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Invalid --at date: ${value}`);
+        }
+        return date;
+    }
+
+    async writeReport(filename, content) {
+        const reportDir = path.join(process.cwd(), 'memory', this.config.logging.report_location);
+        await fs.mkdir(reportDir, { recursive: true });
+
+        const reportPath = path.join(reportDir, filename);
+        await fs.writeFile(reportPath, content, 'utf8');
+        return reportPath;
+    }
+
+    /**
+     * Render VirtualFS changes as a summary followed by unified diffs
+     */
+    formatChangePlan(changes, memoryDir) {
+        const diff = new Diff();
+        const rel = (p) => path.relative(memoryDir, p);
+        const summary = [];
+        const diffs = [];
+
+        for (const change of changes) {
+            const target = rel(change.path);
+
+            if (change.type === 'create') {
+                summary.push(`  create  ${target}`);
+                diffs.push(diff.unified(null, change.after, '/dev/null', `b/${target}`));
+            } else if (change.type === 'modify') {
+                summary.push(`  modify  ${target}`);
+                diffs.push(diff.unified(change.before, change.after, `a/${target}`, `b/${target}`));
+            } else if (change.type === 'move') {
+                const source = rel(change.from);
+                summary.push(`  move    ${source} → ${target}`);
+                diffs.push(`rename from ${source}\nrename to ${target}\n` +
+                    diff.unified(change.before, change.after, `a/${source}`, `b/${target}`));
+            } else if (change.type === 'delete') {
+                summary.push(`  delete  ${target}`);
+                diffs.push(diff.unified(change.before, null, `a/${target}`, '/dev/null'));
+            }
+        }
+
+        const header = `# Memory Polisher dry run — ${changes.length} file(s) would change\n` +
+            (summary.length > 0 ? summary.join('\n') : '  (no changes)') + '\n';
+
+        return [header, ...diffs.filter(d => d.length > 0)].join('\n');
+    }
+
     /**
      * SECURITY FIX: Safe object merge to prevent prototype pollution
      */
@@ -187,27 +650,34 @@ class MemoryPolisher {
             '5': Phase5Validate
         };
 
-        const startPhase = parseInt(checkpoint.current_phase) || 0;
+        // Run the phases not completed (an applied plan counts as Phases 1-2);
+        // Phases 3 and 4 skip items the interrupted session already committed
+        // (see Transaction.getCompletedItems)
+        const completed = checkpoint.completed_steps || [];
         const phaseIds = Object.keys(phaseMap).map(Number).sort();
+        const pending = phaseIds.filter(id => !completed.includes(id.toString()));
 
-        this.logger.info(`⏭️  Skipping phases: ${phaseIds.slice(0, startPhase).join(', ')}`);
+        this.logger.info(`⏭️  Skipping phases: ${phaseIds.filter(id => !pending.includes(id)).join(', ')}`);
 
-        for (const phaseId of phaseIds.slice(startPhase)) {
+        for (const phaseId of pending) {
             const phaseClass = phaseMap[phaseId.toString()];
             const phase = new phaseClass(this.config, this.logger, this.state);
 
             this.logger.info(`\n📍 Phase ${phaseId} (resumed)`);
-            const result = await phase.execute();
+            const result = await phase.execute({ signal: this.signal });
 
             this.state = this.safeMerge(this.state, result);
+            this.state.completed_steps = [...(this.state.completed_steps || []), phaseId.toString()];
 
             await this.checkpoint.save({
                 ...this.state,
-                current_phase: phaseId.toString(),
-                completed_steps: [...(this.state.completed_steps || []), phaseId.toString()]
+                status: 'running',
+                current_phase: phaseId.toString()
             });
         }
 
+        await this.markCompleted();
+
         const duration = ((Date.now() - startTime) / 1000).toFixed(1);
         this.logger.success(`✅ Resume complete in ${duration}s`);
 
@@ -218,9 +688,64 @@ class MemoryPolisher {
 /**
  * CLI Entry Point
  */
+// Exit code for runs stopped by SIGINT/SIGTERM (checkpoint saved, resumable)
+const EXIT_INTERRUPTED = 130;
+
+/**
+ * Turn SIGINT/SIGTERM into an AbortSignal: the run stops after the current item.
+ * A second signal exits immediately.
+ */
+function installSignalHandlers() {
+    const controller = new AbortController();
+
+    const onSignal = (name) => {
+        if (controller.signal.aborted) {
+            process.exit(EXIT_INTERRUPTED);
+        }
+        console.error(`\n${name} received: finishing current operation (repeat to exit now)...`);
+        controller.abort();
+    };
+
+    process.on('SIGINT', () => onSignal('SIGINT'));
+    process.on('SIGTERM', () => onSignal('SIGTERM'));
+
+    return controller.signal;
+}
+
 async function main() {
     const args = process.argv.slice(2);
-    const options = {};
+    const options = { signal: installSignalHandlers() };
+
+    // Optional subcommand: plan | apply <plan-file> | undo <session_id> | undo --last
+    //                     | backups list|show|restore [<path|hash>] [--at <date>]
+    //                     | cache stats|prune|clear
+    const command = args[0] && !args[0].startsWith('--') ? args.shift() : 'run';
+    let planFile = null;
+    let undoSession = null;
+    if (command === 'apply') {
+        if (!args[0] || args[0].startsWith('--')) {
+            throw new Error('Usage: memory-polisher apply <plan-file>');
+        }
+        // Resolve before the workspace chdir below
+        planFile = path.resolve(args.shift());
+    }
+    let backupsAction = null;
+    let backupsTarget = null;
+    if (command === 'backups') {
+        backupsAction = args[0] && !args[0].startsWith('--') ? args.shift() : 'list';
+        if (args[0] && !args[0].startsWith('--')) backupsTarget = args.shift();
+    }
+    let cacheAction = null;
+    if (command === 'cache') {
+        cacheAction = args[0] && !args[0].startsWith('--') ? args.shift() : 'stats';
+    }
+    if (command === 'undo') {
+        if (args[0] && !args[0].startsWith('--')) {
+            undoSession = args.shift();
+        } else if (!args.includes('--last')) {
+            throw new Error('Usage: memory-polisher undo <session_id> | undo --last');
+        }
+    }
 
     for (let i = 0; i < args.length; i++) {
         if (args[i] === '--dry-run') options.dry_run = true;
@@ -234,6 +759,15 @@ async function main() {
         }
         if (args[i] === '--no-resume') options.no_resume = true;
         if (args[i] === '--clear-checkpoint') options.clear_checkpoint = true;
+        if (args[i] === '--output' && args[i + 1]) options.output = path.resolve(args[++i]);
+        if (args[i] === '--last') options.last = true;
+        if (args[i] === '--at' && args[i + 1]) options.at = args[++i];
+
+        // Run lock: wait for another run (default 600s) or remove a lock left by a dead one
+        if (args[i] === '--wait') {
+            options.wait = /^\d+$/.test(args[i + 1] || '') ? parseInt(args[++i]) : 600;
+        }
+        if (args[i] === '--force-unlock') options.force_unlock = true;
     }
 
     // Workspace/memory directory resolution
@@ -297,11 +831,29 @@ async function main() {
     if (options.lookback_days) config.advanced.lookback_days = options.lookback_days;
 
     const polisher = new MemoryPolisher(config, options);
-    await polisher.run();
+
+    if (command === 'plan') {
+        await polisher.plan(options.output);
+    } else if (command === 'apply') {
+        await polisher.apply(planFile);
+    } else if (command === 'undo') {
+        await polisher.undo(undoSession, { last: options.last });
+    } else if (command === 'backups') {
+        await polisher.backups(backupsAction, backupsTarget, { at: options.at });
+    } else if (command === 'cache') {
+        await polisher.cache(cacheAction);
+    } else if (command === 'run') {
+        await polisher.run();
+    } else {
+        throw new Error(`Unknown command: ${command}`);
+    }
 }
 
 if (require.main === module) {
     main().catch(error => {
+        if (error && error.name === 'AbortError') {
+            process.exit(EXIT_INTERRUPTED);
+        }
         console.error('Fatal error:', error);
         process.exit(1);
     });
@@ -15,15 +15,19 @@ const Backup = require('../utils/backup');
 const Transaction = require('../utils/transaction');
 
 class Phase0Init {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
-        this.backup = new Backup(config, logger);
-        this.transaction = new Transaction(config, logger);
+        this.options = options;
+        this.sessionId = (state && state.session_id) || this.generateSessionId();
+        this.backup = new Backup(config, logger, { sessionId: this.sessionId });
+        this.transaction = new Transaction(config, logger, { sessionId: this.sessionId });
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        this.signal = signal;
+        this.signal?.throwIfAborted();
         this.logger.phase('Phase 0.1: Pre-flight verification');
 
         // Step 0.1: Create cache infrastructure
@@ -33,20 +37,21 @@ class Phase0Init {
         // Step 0.2: Check system resources
         await this.checkSystemResources();
 
-        // Step 0.3: Backup critical files
-        this.logger.phase('Phase 0.2: Backing up files');
-        const backupResult = await this.backupFiles();
-
-        // Step 0.4: Initialize transaction log
+        // Step 0.3: Initialize transaction log
         await this.transaction.init();
         // Start a fresh transaction log for this run (keep old one as an archive)
+        // before anything is logged, so the log only ever holds one session
         await this.transaction.archive();
 
+        // Step 0.4: Backup critical files
+        this.logger.phase('Phase 0.2: Backing up files');
+        const backupResult = await this.backupFiles();
+
         return {
             cache_dir: cacheDir,
             backups_created: backupResult.count,
             backup_size: backupResult.totalSize,
-            session_id: this.generateSessionId(),
+            session_id: this.sessionId,
             started_at: new Date().toISOString()
         };
     }
@@ -110,6 +115,7 @@ class Phase0Init {
         let totalSize = 0;
 
         for (const file of dailyFiles) {
+            this.signal?.throwIfAborted();
             const filePath = path.join(memoryDir, file);
             const content = await fs.readFile(filePath, 'utf8');
             const hash = crypto.createHash('sha256').update(content).digest('hex');
@@ -3,25 +3,57 @@
  * 
  * Responsibilities:
  * - Scan hashtags from daily logs
- * - Compute topic similarity
+ * - Collect the sections each hashtag is used in (context similarity)
+ * - Compute topic similarity (tags the topic registry maps are not re-decided)
+ * - Resolve merge proposals into clusters with one canonical each,
+ *   keeping registered canonicals
+ * - Review mode: hold similarity proposals for review, read the user's
+ *   decisions from the review file (Phase 3 records both)
  * - Create canonical topic map
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const Scanner = require('../core/scanner');
+const Parser = require('../core/parser');
 const Similarity = require('../core/similarity');
+const Clustering = require('../core/clustering');
+const TopicRegistry = require('../utils/registry');
+const MergeReview = require('../utils/review');
+
+// Proposals that need no review: synonym rules (incl. approved ones) and registry aliases
+const DECIDED_METHODS = ['synonym_rule', 'registry'];
 
 class Phase1Discover {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
+        this.options = options;
+        this.fs = options.fs || fs;
         this.scanner = new Scanner(config, logger);
-        this.similarity = new Similarity(config, logger);
+        this.parser = new Parser(config, logger);
+        this.similarity = new Similarity(config, logger, { readOnly: Boolean(options.dry_run) });
+        this.clustering = new Clustering(config, logger);
+        this.registry = new TopicRegistry(config, logger, { fs: this.fs });
+        this.review = new MergeReview(config, logger, { fs: this.fs });
+        this.reviewDecisions = { approved: [], rejected: [] };
+        this.pendingReview = [];
+        this.topicContexts = {};
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        this.signal = signal;
+        this.signal?.throwIfAborted();
+
+        await this.registry.load();
+
+        // Ticked boxes count from this run on (not yet saved; Phase 3 records them)
+        if (this.review.enabled) {
+            this.reviewDecisions = await this.review.readDecisions();
+            this.registry.recordDecisions(this.reviewDecisions);
+        }
+
         // Step 1.1: Hashtag Discovery
         this.logger.phase('Phase 1.1: Hashtag discovery');
         const discoveredTopics = await this.discoverHashtags();
@@ -40,7 +72,10 @@ class Phase1Discover {
             discovered_topics: discoveredTopics,
             merge_proposals: mergeProposals,
             canonical_map: canonicalMap,
-            similarity_method: this.config.topic_similarity.method
+            similarity_method: this.config.topic_similarity.method,
+            merge_review: this.review.enabled
+                ? { pending: this.pendingReview, decisions: this.reviewDecisions }
+                : null
         };
     }
 
@@ -63,19 +98,26 @@ class Phase1Discover {
         const files = await this.scanner.findDailyLogs(memoryDir, startDate, endDate);
         this.logger.info(`Scanning ${files.length} files from ${startDate.toISOString().split('T')[0]}`);
 
+        await this.scanner.markdown.load();
+
         // Scan each file for hashtags
         const allHashtags = {};
 
         for (const file of files) {
+            this.signal?.throwIfAborted();
             const filePath = path.join(memoryDir, file);
-            const content = await fs.readFile(filePath, 'utf8');
+            const content = await this.fs.readFile(filePath, 'utf8');
 
             const hashtags = this.scanner.extractHashtags(content, file);
 
+            if (this.similarity.useContext) {
+                await this.collectContexts(content, file, hashtags);
+            }
+
             // Merge into global hashtag map
             for (const [tag, data] of Object.entries(hashtags)) {
                 if (!allHashtags[tag]) {
-                    allHashtags[tag] = { count: 0, occurrences: [] };
+                    allHashtags[tag] = { count: 0, spelling: data.spelling, occurrences: [] };
                 }
 
                 allHashtags[tag].count += data.count;
@@ -110,26 +152,100 @@ class Phase1Discover {
         return filtered;
     }
 
+    /**
+     * Record, per tag, the text of each section it occurs in (as Phase 2 will
+     * extract it: with the outermost tagged ancestor section and its nested
+     * sections), falling back to the occurrence's line context outside sections
+     */
+    async collectContexts(content, file, hashtags) {
+        const sections = await this.parser.parseSections(content, file);
+        const lines = content.split('\n');
+        const byIndex = new Map(sections.map(s => [s.index, s]));
+        const isTagged = (section) => Object.keys(this.scanner.extractHashtags(section.content, file)).length > 0;
+
+        const extractedWith = (section) => {
+            let unit = section;
+            for (let parent = byIndex.get(section.parent); parent; parent = byIndex.get(parent.parent)) {
+                if (isTagged(parent)) unit = parent;
+            }
+            const subtree = this.parser.subtree(lines, unit);
+            return this.parser.isPolishedStub(subtree.content) ? unit : subtree;
+        };
+
+        const limit = this.config.topic_similarity.context?.max_sections_per_topic || 20;
+
+        for (const [tag, data] of Object.entries(hashtags)) {
+            const texts = this.topicContexts[tag] || (this.topicContexts[tag] = []);
+
+            for (const occurrence of data.occurrences) {
+                if (texts.length >= limit) break;
+
+                // Scanner lines are 1-based, parser lines 0-based
+                const line = occurrence.line - 1;
+                const section = sections.find(s => line >= s.lineStart && line <= s.lineEnd);
+
+                const text = section && !this.parser.isPolishedStub(section.content)
+                    ? this.parser.stripMarkdown(extractedWith(section).content)
+                    : occurrence.context;
+
+                if (text && !texts.includes(text)) {
+                    texts.push(text);
+                }
+            }
+        }
+    }
+
     async analyzeSimilarity(discoveredTopics) {
-        const tags = Object.keys(discoveredTopics);
+        // Registered aliases keep their canonical; only the rest are compared
+        const registryProposals = [];
+        const tags = [];
+
+        for (const tag of Object.keys(discoveredTopics)) {
+            const canonical = this.registry.canonicalOf(tag);
+            if (canonical) {
+                registryProposals.push({ canonical, alias: tag, confidence: 1.0, method: 'registry' });
+            } else {
+                tags.push(tag);
+            }
+        }
+
+        let candidates = [...registryProposals];
 
         if (tags.length < 2) {
             this.logger.info('Not enough topics for similarity analysis');
-            return [];
+        } else {
+            this.logger.info(`Analyzing similarity for ${tags.length} topics...`);
+
+            // Compute pairwise similarity
+            candidates.push(...await this.similarity.computePairwiseSimilarity(
+                tags, discoveredTopics, this.topicContexts, this.registry.decisions, { signal: this.signal }));
         }
 
-        this.logger.info(`Analyzing similarity for ${tags.length} topics...`);
+        if (this.review.enabled) {
+            this.pendingReview = candidates.filter(p => !DECIDED_METHODS.includes(p.method));
+            candidates = candidates.filter(p => DECIDED_METHODS.includes(p.method));
 
-        // Compute pairwise similarity
-        const proposals = await this.similarity.computePairwiseSimilarity(tags, discoveredTopics);
+            if (this.pendingReview.length > 0) {
+                this.logger.info(`${this.pendingReview.length} merge proposals held for review (${path.relative(process.cwd(), this.review.reviewPath)})`);
+            }
+        }
 
-        if (proposals.length === 0) {
+        if (candidates.length === 0) {
             this.logger.info('No merge candidates found');
-        } else {
-            this.logger.info(`Found ${proposals.length} merge candidates:`);
-            for (const proposal of proposals) {
-                this.logger.info(`  ✓ #${proposal.alias} → #${proposal.canonical} (confidence: ${proposal.confidence.toFixed(2)})`);
-            }
+            return [];
+        }
+
+        // Pairwise candidates can chain or conflict; merge per cluster instead
+        const { clusters, proposals } = this.clustering.resolve(candidates, discoveredTopics, {
+            registered: this.registry.topics,
+            neverMerge: this.registry.decisions.never_merge,
+            synonyms: this.registry.decisions.synonyms
+        });
+
+        this.logger.info(`Found ${candidates.length} merge candidates in ${clusters.length} clusters (${this.clustering.linkage} linkage):`);
+        for (const proposal of proposals) {
+            const via = proposal.via ? `, via #${proposal.via}` : '';
+            this.logger.info(`  ✓ #${proposal.alias} → #${proposal.canonical} (confidence: ${proposal.confidence.toFixed(2)}${via})`);
         }
 
         return proposals;
@@ -148,15 +264,16 @@ class Phase1Discover {
             };
         }
 
-        // Apply merge proposals
+        // Apply merge proposals (already resolved: no alias is a canonical)
         for (const proposal of mergeProposals) {
             const { canonical, alias, confidence } = proposal;
 
-            // Update canonical entry
-            if (canonicalMap[canonical]) {
-                canonicalMap[canonical].aliases.push(alias);
-                canonicalMap[canonical].count += discoveredTopics[alias]?.count || 0;
+            // Update canonical entry (a registered canonical may not occur in this window)
+            if (!canonicalMap[canonical]) {
+                canonicalMap[canonical] = { canonical, aliases: [], count: 0 };
             }
+            canonicalMap[canonical].aliases.push(alias);
+            canonicalMap[canonical].count += discoveredTopics[alias]?.count || 0;
 
             // Remove alias from canonical map
             delete canonicalMap[alias];
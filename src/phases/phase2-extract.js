@@ -3,7 +3,11 @@
  * 
  * Responsibilities:
  * - Parse markdown sections
- * - Detect hashtags in sections
+ * - Detect hashtags in sections; a tagged section is extracted with its nested
+ *   sections (### under ##), whose tags become secondary topics
+ * - Apply frontmatter tags (frontmatter.tag_scope: all | untagged) and date
+ * - Bullet granularity (extraction.granularity: bullet): a tagged list item
+ *   and its nested children are extracted instead of the whole section
  * - Cache extractions to disk
  */
 
@@ -11,18 +15,40 @@ const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const Parser = require('../core/parser');
-const Cache = require('../utils/cache');
+const MarkdownTokenizer = require('../core/markdown');
+const Scanner = require('../core/scanner');
+const Frontmatter = require('../core/frontmatter');
+
+const TAG_SCOPES = ['all', 'untagged'];
+const GRANULARITIES = ['section', 'bullet'];
 
 class Phase2Extract {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
+        this.options = options;
+        this.fs = options.fs || fs;
         this.parser = new Parser(config, logger);
-        this.cache = new Cache(config, logger);
+        this.markdown = new MarkdownTokenizer(config, logger);
+        this.scanner = new Scanner(config, logger);
+        this.frontmatter = new Frontmatter(config, logger);
+        this.tagScope = config.frontmatter?.tag_scope || 'all';
+
+        if (!TAG_SCOPES.includes(this.tagScope)) {
+            throw new Error(`Unknown frontmatter.tag_scope: ${this.tagScope} (expected ${TAG_SCOPES.join(', ')})`);
+        }
+
+        this.granularity = config.extraction?.granularity || 'section';
+
+        if (!GRANULARITIES.includes(this.granularity)) {
+            throw new Error(`Unknown extraction.granularity: ${this.granularity} (expected ${GRANULARITIES.join(', ')})`);
+        }
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        this.signal = signal;
+        this.signal?.throwIfAborted();
         this.logger.phase('Phase 2.1: Section extraction & caching');
 
         const memoryDir = path.join(process.cwd(), 'memory');
@@ -44,60 +70,97 @@ class Phase2Extract {
         const allExtractions = [];
         let totalSections = 0;
 
+        await this.markdown.load();
+
         for (const file of files) {
+            this.signal?.throwIfAborted();
             const filePath = path.join(memoryDir, file);
-            const content = await fs.readFile(filePath, 'utf8');
+            const content = await this.fs.readFile(filePath, 'utf8');
+            const sourceHash = crypto.createHash('sha256').update(content).digest('hex');
+
+            // Frontmatter tags and date apply to the whole file
+            const frontmatter = this.frontmatter.parse(content);
+            const fileTags = this.scanner.frontmatterTags(frontmatter);
+            const fileDate = this.dateFromFilename(file) || frontmatter?.date || null;
 
             // Parse markdown into sections
             const sections = await this.parser.parseSections(content, file);
 
-            // Process each section
-            for (const section of sections) {
-                // Skip already-polished stubs to avoid recursive re-polishing
-                if (this.isPolishedStub(section.content)) {
-                    this.logger.debug(`Skipping polished stub section: ${section.title}`);
-                    continue;
-                }
+            const items = this.granularity === 'bullet' ? await this.parser.parseListItems(content, sections) : [];
+            const lines = content.split('\n');
 
-                // Detect hashtags in section
-                const hashtags = this.detectHashtags(section.content);
+            // Sections nested in an extracted subtree come along with it
+            let extractedThrough = -1;
 
-                if (hashtags.length === 0) {
-                    this.logger.debug(`Skipping untagged section: ${section.title}`);
-                    continue;
-                }
-
-                // Map hashtags to canonical topics
-                const canonicalTags = this.mapToCanonical(hashtags);
-
-                if (canonicalTags.length === 0) {
-                    this.logger.debug(`No canonical mappings for section: ${section.title}`);
-                    continue;
+            // Process each section (parents before their children)
+            for (const section of sections) {
+                if (section.lineStart <= extractedThrough) continue;
+
+                // Bullet granularity: tagged list items instead of the whole section
+                const taggedItems = this.granularity === 'bullet'
+                    ? this.selectTaggedItems(section, items.filter(item => item.sectionIndex === section.index), lines)
+                    : null;
+
+                for (const candidate of taggedItems || [section]) {
+                    // Skip already-polished stubs to avoid recursive re-polishing
+                    if (this.parser.isPolishedStub(candidate.content)) {
+                        this.logger.debug(`Skipping polished stub section: ${candidate.title}`);
+                        continue;
+                    }
+
+                    // Detect hashtags in section (its own body; untagged parents leave
+                    // their children to be visited on their own)
+                    const ownTags = this.applyFileTags(this.detectHashtags(candidate.content), fileTags);
+
+                    if (ownTags.length === 0) {
+                        this.logger.debug(`Skipping untagged section: ${candidate.title}`);
+                        continue;
+                    }
+
+                    // A tagged section takes its nested sections along: their tags
+                    // become secondary topics
+                    const unit = taggedItems ? candidate : this.sectionUnit(lines, section);
+                    const hashtags = [...ownTags, ...this.detectHashtags(unit.content).filter(tag => !ownTags.includes(tag))];
+
+                    // Map hashtags to canonical topics
+                    const canonicalTags = this.mapToCanonical(hashtags);
+
+                    if (canonicalTags.length === 0) {
+                        this.logger.debug(`No canonical mappings for section: ${unit.title}`);
+                        continue;
+                    }
+
+                    // Assign primary and secondary topics
+                    const primaryTopic = canonicalTags[0];
+                    const secondaryTopics = canonicalTags.slice(1);
+
+                    const id = this.generateExtractionId(file, section.index, fileDate);
+
+                    // Create extraction object
+                    const extraction = {
+                        id: taggedItems ? `${id}-${String(unit.index).padStart(2, '0')}` : id,
+                        source_file: file,
+                        source_date: fileDate,
+                        source_line_start: unit.lineStart,
+                        source_line_end: unit.lineEnd,
+                        section_title: unit.title,
+                        ...(taggedItems ? { granularity: 'bullet' } : {}),
+                        primary_topic: primaryTopic,
+                        secondary_topics: secondaryTopics,
+                        full_content: unit.content,
+                        content_hash: crypto.createHash('sha256').update(unit.content).digest('hex'),
+                        source_hash: sourceHash,
+                        extracted_at: new Date().toISOString()
+                    };
+
+                    // Cache extraction
+                    await this.cacheExtraction(extraction);
+
+                    allExtractions.push(extraction);
+                    totalSections++;
+
+                    if (!taggedItems) extractedThrough = unit.lineEnd;
                 }
-
-                // Assign primary and secondary topics
-                const primaryTopic = canonicalTags[0];
-                const secondaryTopics = canonicalTags.slice(1);
-
-                // Create extraction object
-                const extraction = {
-                    id: this.generateExtractionId(file, section.index),
-                    source_file: file,
-                    source_line_start: section.lineStart,
-                    source_line_end: section.lineEnd,
-                    section_title: section.title,
-                    primary_topic: primaryTopic,
-                    secondary_topics: secondaryTopics,
-                    full_content: section.content,
-                    content_hash: crypto.createHash('sha256').update(section.content).digest('hex'),
-                    extracted_at: new Date().toISOString()
-                };
-
-                // Cache extraction
-                await this.cacheExtraction(extraction);
-
-                allExtractions.push(extraction);
-                totalSections++;
             }
 
             this.logger.debug(`Extracted ${sections.length} sections from ${file}`);
@@ -114,27 +177,22 @@ class Phase2Extract {
 
     async getFileList(memoryDir, startDate, endDate) {
         // Reuse scanner logic: scan all .md files under memory/, excluding Topics/ etc.
-        const Scanner = require('../core/scanner');
-        const scanner = new Scanner(this.config, this.logger);
-        return scanner.findDailyLogs(memoryDir, startDate, endDate);
-    }
-
-    isPolishedStub(content) {
-        if (!content) return false;
-        // Markers produced by Phase4Update.generateDailyLogStub
-        const hasPolishArrow = content.includes('→ **Polished to') || content.includes('→ **Primary:**');
-        const hasTopicsLink = content.includes('Topics/') || content.includes('Topics\\');
-        return hasPolishArrow && hasTopicsLink;
+        return this.scanner.findDailyLogs(memoryDir, startDate, endDate);
     }
 
+    /**
+     * Hashtags in prose (not code, HTML comments or URLs), in order of
+     * appearance; only tags Phase 1 accepts (Scanner.acceptTag)
+     */
     detectHashtags(content) {
-        const pattern = /#([a-z0-9_-]+)\b/gi;
+        const pattern = new RegExp(this.scanner.hashtagPattern);
+        const masked = this.markdown.mask(content);
         const hashtags = [];
         let match;
 
-        while ((match = pattern.exec(content)) !== null) {
-            const tag = match[1].toLowerCase();
-            if (!hashtags.includes(tag)) {
+        while ((match = pattern.exec(masked)) !== null) {
+            const tag = this.scanner.acceptTag(match[1]);
+            if (tag && !hashtags.includes(tag)) {
                 hashtags.push(tag);
             }
         }
@@ -142,6 +200,53 @@ class Phase2Extract {
         return hashtags;
     }
 
+    /**
+     * A tagged section with its nested sections, or the section alone if one
+     * of them is already a stub (stub links only resolve from the daily log)
+     */
+    sectionUnit(lines, section) {
+        const subtree = this.parser.subtree(lines, section);
+        return this.parser.isPolishedStub(subtree.content) ? section : subtree;
+    }
+
+    /**
+     * List items to extract from a section at bullet granularity: the
+     * outermost items whose own line is tagged (children come along).
+     * Returns null when the section is extracted whole: it has no list items,
+     * no tags, or tags outside its list items (e.g. in the header).
+     */
+    selectTaggedItems(section, items, lines) {
+        if (items.length === 0) return null;
+
+        const inItem = (line, item) => line >= item.lineStart && line <= item.lineEnd;
+        const outside = lines
+            .slice(section.lineStart, section.lineEnd + 1)
+            .filter((_, i) => !items.some(item => inItem(section.lineStart + i, item)));
+        const inside = items.some(item => this.detectHashtags(item.text).length > 0);
+
+        if (!inside || this.detectHashtags(outside.join('\n')).length > 0) return null;
+
+        const selected = [];
+        for (const item of items) {
+            if (selected.some(parent => inItem(item.lineStart, parent))) continue;
+            if (this.parser.isPolishedStub(item.content)) continue;
+            if (this.detectHashtags(item.text).length > 0) selected.push(item);
+        }
+        return selected;
+    }
+
+    /**
+     * Add frontmatter tags after a section's own tags: to every section
+     * (tag_scope: all) or only to sections without tags (untagged)
+     */
+    applyFileTags(hashtags, fileTags) {
+        if (this.tagScope === 'untagged') {
+            return hashtags.length > 0 ? hashtags : [...fileTags];
+        }
+
+        return [...hashtags, ...fileTags.filter(tag => !hashtags.includes(tag))];
+    }
+
     mapToCanonical(hashtags) {
         const { canonicalMap, aliasMap } = this.state.canonical_map || { canonicalMap: {}, aliasMap: {} };
         const mapped = [];
@@ -165,10 +270,24 @@ class Phase2Extract {
         return mapped;
     }
 
-    generateExtractionId(filename, sectionIndex) {
-        const dateMatch = filename.match(/memory-(\d{4})-(\d{2})-(\d{2})/);
-        const dateStr = dateMatch ? `${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}` : 'unknown';
-        return `${dateStr}-${String(sectionIndex).padStart(2, '0')}`;
+    /**
+     * "20260205-3f2a9c1e-02": source date, source path hash, section index.
+     * Resume markers are keyed by ID, so files sharing a date (or having
+     * none) must not share IDs.
+     */
+    generateExtractionId(filename, sectionIndex, date = null) {
+        const dateMatch = date && date.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+        const dateStr = dateMatch ? `${dateMatch[1]}${dateMatch[2]}${dateMatch[3]}` : 'undated';
+        const pathHash = crypto.createHash('sha256').update(filename.split(path.sep).join('/')).digest('hex').slice(0, 8);
+        return `${dateStr}-${pathHash}-${String(sectionIndex).padStart(2, '0')}`;
+    }
+
+    /**
+     * Date in a daily log filename (memory-YYYY-MM-DD.md or YYYY-MM-DD.md)
+     */
+    dateFromFilename(filename) {
+        const match = filename.match(/memory-(\d{4}-\d{2}-\d{2})/) || filename.match(/(\d{4}-\d{2}-\d{2})/);
+        return match ? match[1] : null;
     }
 
     async cacheExtraction(extraction) {
@@ -184,8 +303,8 @@ class Phase2Extract {
 
         // Write atomically
         const tempPath = `${filepath}.tmp`;
-        await fs.writeFile(tempPath, JSON.stringify(extraction, null, 2), 'utf8');
-        await fs.rename(tempPath, filepath);
+        await this.fs.writeFile(tempPath, JSON.stringify(extraction, null, 2), 'utf8');
+        await this.fs.rename(tempPath, filepath);
 
         this.logger.debug(`Cached extraction: ${extraction.id}`);
     }
@@ -4,7 +4,14 @@
  * Responsibilities:
  * - Write primary entries to topic files
  * - Create cross-reference stubs
- * - Merge similar topics
+ * - Keep writes idempotent (entries and stubs keyed by content hash)
+ * - Skip items this session already wrote (resume inside the phase)
+ * - Merge similar topics (each alias straight into its cluster canonical,
+ *   as resolved in Phase 1)
+ * - Record the canonical map and review decisions in the topic registry
+ * - Rewrite the merge review file with the proposals still pending
+ * - Hierarchical topics (#work/projectx → Work/Projectx.md) and parent
+ *   topic indexes (Work/_index.md)
  * 
  * SECURITY: Sanitizes topic names to prevent path traversal
  */
@@ -13,21 +20,37 @@ const fs = require('fs').promises;
 const path = require('path');
 const FileOps = require('../core/fileops');
 const Transaction = require('../utils/transaction');
+const Backup = require('../utils/backup');
+const TopicRegistry = require('../utils/registry');
+const MergeReview = require('../utils/review');
+const TopicPaths = require('../core/topic-paths');
+
+// Last lines of an entry or cross-reference stub: hash marker, blank line, separator
+const ENTRY_END = /^\*\*(?:Ref )?Hash:\*\* [a-f0-9]{64}\n\n---\n/gm;
 
 class Phase3Organize {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
-        this.fileops = new FileOps(config, logger);
-        this.transaction = new Transaction(config, logger);
+        this.options = options;
+        this.fs = options.fs || fs;
+        this.fileops = new FileOps(config, logger, { fs: this.fs });
+        this.transaction = new Transaction(config, logger, { fs: this.fs, sessionId: state && state.session_id });
+        this.backup = new Backup(config, logger, { fs: this.fs, sessionId: state && state.session_id });
+        this.registry = new TopicRegistry(config, logger, { fs: this.fs });
+        this.review = new MergeReview(config, logger, { fs: this.fs });
+        this.topicPaths = new TopicPaths(config, logger);
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        this.signal = signal;
+        this.signal?.throwIfAborted();
+
         const memoryDir = path.join(process.cwd(), 'memory');
         const topicsDir = path.join(memoryDir, this.config.advanced.topics_directory);
 
-        await fs.mkdir(topicsDir, { recursive: true });
+        await this.ensureDirLogged(topicsDir);
 
         this.logger.phase('Phase 3.1: Writing topic file entries');
         const primaryResult = await this.writePrimaryEntries(topicsDir);
@@ -38,110 +61,115 @@ class Phase3Organize {
         this.logger.phase('Phase 3.3: Merging similar topics');
         const mergeResult = await this.mergeTopics(topicsDir);
 
-        this.logger.info(`✓ Created/updated topic files with ${primaryResult.entriesWritten} entries`);
-        this.logger.info(`✓ Created ${crossRefResult.stubsCreated} cross-references`);
+        this.logger.phase('Phase 3.4: Updating topic registry');
+        const registryUpdated = await this.updateRegistry();
+        const reviewPending = await this.updateReview();
+
+        this.logger.phase('Phase 3.5: Updating topic indexes');
+        const indexesUpdated = await this.updateTopicIndexes(topicsDir);
+
+        this.logger.info(`✓ Created/updated topic files with ${primaryResult.entriesWritten} entries (${primaryResult.entriesUnchanged} already present)`);
+        this.logger.info(`✓ Created ${crossRefResult.stubsCreated} cross-references (${crossRefResult.stubsUnchanged} already present)`);
         this.logger.info(`✓ Merged ${mergeResult.mergesCompleted} topic files`);
+        if (indexesUpdated > 0) this.logger.info(`✓ Updated ${indexesUpdated} topic indexes`);
 
         return {
             entries_written: primaryResult.entriesWritten,
+            entries_unchanged: primaryResult.entriesUnchanged,
             cross_refs_created: crossRefResult.stubsCreated,
+            cross_refs_unchanged: crossRefResult.stubsUnchanged,
             merges_completed: mergeResult.mergesCompleted,
-            topic_files_created: primaryResult.filesCreated
+            topic_files_created: primaryResult.filesCreated,
+            registry_updated: registryUpdated,
+            review_pending: reviewPending,
+            topic_indexes_updated: indexesUpdated
         };
     }
 
     /**
      * Sanitize topic name to prevent path traversal
-     * SECURITY FIX: Removes dangerous characters and path components
+     * SECURITY FIX: Removes dangerous characters and path components from
+     * each hierarchy level ("work/../x" → "work/x")
      */
     sanitizeTopicName(topic) {
-        // Remove path traversal attempts
-        let sanitized = topic.replace(/\.\./g, '');
-        sanitized = sanitized.replace(/[\/\\]/g, ''); // Remove slashes
-        sanitized = sanitized.replace(/[<>:"|?*\x00-\x1f]/g, ''); // Remove invalid filename chars
-
-        // Ensure it's not empty after sanitization
-        if (sanitized.length === 0) {
-            sanitized = 'unnamed';
-        }
-
-        // Limit length
-        if (sanitized.length > 100) {
-            sanitized = sanitized.substring(0, 100);
-        }
-
-        return sanitized;
+        return this.topicPaths.name(topic);
     }
 
     /**
-     * Safely create topic file path
+     * Safely create topic file path (nested for hierarchical topics)
      * SECURITY: Validates resolved path is within topics directory
      */
     async getSafeTopicPath(topicsDir, topicName) {
-        const sanitized = this.sanitizeTopicName(topicName);
-        const capitalized = this.capitalizeFirst(sanitized);
-        const filename = `${capitalized}.md`;
-        const proposedPath = path.join(topicsDir, filename);
-
-        // Resolve to absolute path
-        const resolvedPath = path.resolve(proposedPath);
-        const resolvedTopicsDir = path.resolve(topicsDir);
-
-        // SECURITY: Ensure path is within topics directory
-        if (!resolvedPath.startsWith(resolvedTopicsDir + path.sep)) {
-            throw new Error(`Security violation: Topic path outside directory: ${topicName}`);
-        }
-
-        return resolvedPath;
+        return this.topicPaths.resolve(topicsDir, topicName);
     }
 
     async writePrimaryEntries(topicsDir) {
         const extractions = this.state.extractions || [];
         let entriesWritten = 0;
+        let entriesUnchanged = 0;
         const filesCreated = new Set();
+        const completed = await this.transaction.getCompletedItems('write_topic_entry');
 
         for (const extraction of extractions) {
+            this.signal?.throwIfAborted();
+            if (completed.has(extraction.id)) continue;
+
             // SECURITY FIX: Sanitize topic name before file creation
             const topicPath = await this.getSafeTopicPath(topicsDir, extraction.primary_topic);
-            const topicFile = path.basename(topicPath, '.md');
+            const topicFile = this.topicPaths.file(extraction.primary_topic);
 
             let fileExists = false;
             try {
-                await fs.access(topicPath);
+                await this.fs.access(topicPath);
                 fileExists = true;
             } catch {
                 // File doesn't exist
             }
 
             const entry = this.generateEntry(extraction);
+            let content;
+
+            if (fileExists) {
+                const existing = await this.fs.readFile(topicPath, 'utf8');
+                content = this.upsertEntry(existing, entry, '**Hash:**', extraction.content_hash);
+                if (content === existing) {
+                    entriesUnchanged++;
+                    continue;
+                }
+            }
+
+            const beforeHash = await this.backup.snapshot(topicPath);
 
             if (fileExists) {
-                const existing = await fs.readFile(topicPath, 'utf8');
-                const updated = existing + '\n' + entry;
-                await this.fileops.writeAtomic(topicPath, updated);
+                await this.fileops.writeAtomic(topicPath, content);
             } else {
                 const header = this.generateTopicHeader(extraction.primary_topic);
-                const content = header + '\n' + entry;
+                content = header + '\n' + entry;
+                await this.ensureDirLogged(path.dirname(topicPath));
                 await this.fileops.writeAtomic(topicPath, content);
                 filesCreated.add(topicFile);
             }
 
             await this.transaction.log({
                 action: 'write_topic_entry',
-                target: `Topics/${topicFile}.md`,
+                target: `Topics/${topicFile}`,
                 section_id: extraction.id,
+                item: extraction.id,
+                files: [this.transaction.fileChange(topicPath, beforeHash, content)],
                 status: 'success'
             });
 
             entriesWritten++;
         }
 
-        return { entriesWritten, filesCreated: filesCreated.size };
+        return { entriesWritten, entriesUnchanged, filesCreated: filesCreated.size };
     }
 
     async createCrossReferences(topicsDir) {
         const extractions = this.state.extractions || [];
         let stubsCreated = 0;
+        let stubsUnchanged = 0;
+        const completed = await this.transaction.getCompletedItems('write_cross_reference');
 
         for (const extraction of extractions) {
             if (extraction.secondary_topics.length === 0) {
@@ -149,6 +177,10 @@ class Phase3Organize {
             }
 
             for (const secondaryTopic of extraction.secondary_topics) {
+                this.signal?.throwIfAborted();
+                const item = `${extraction.id}→${secondaryTopic}`;
+                if (completed.has(item)) continue;
+
                 // SECURITY FIX: Sanitize secondary topic names
                 const topicPath = await this.getSafeTopicPath(topicsDir, secondaryTopic);
 
@@ -156,27 +188,48 @@ class Phase3Organize {
 
                 let fileExists = false;
                 try {
-                    await fs.access(topicPath);
+                    await this.fs.access(topicPath);
                     fileExists = true;
                 } catch {
                     // File doesn't exist
                 }
 
+                let content;
+
+                if (fileExists) {
+                    const existing = await this.fs.readFile(topicPath, 'utf8');
+                    content = this.upsertEntry(existing, stub, '**Ref Hash:**', extraction.content_hash);
+                    if (content === existing) {
+                        stubsUnchanged++;
+                        continue;
+                    }
+                }
+
+                const beforeHash = await this.backup.snapshot(topicPath);
+
                 if (fileExists) {
-                    const existing = await fs.readFile(topicPath, 'utf8');
-                    const updated = existing + '\n' + stub;
-                    await this.fileops.writeAtomic(topicPath, updated);
+                    await this.fileops.writeAtomic(topicPath, content);
                 } else {
                     const header = this.generateTopicHeader(secondaryTopic);
-                    const content = header + '\n' + stub;
+                    content = header + '\n' + stub;
+                    await this.ensureDirLogged(path.dirname(topicPath));
                     await this.fileops.writeAtomic(topicPath, content);
                 }
 
+                await this.transaction.log({
+                    action: 'write_cross_reference',
+                    target: `Topics/${this.topicPaths.file(secondaryTopic)}`,
+                    section_id: extraction.id,
+                    item,
+                    files: [this.transaction.fileChange(topicPath, beforeHash, content)],
+                    status: 'success'
+                });
+
                 stubsCreated++;
             }
         }
 
-        return { stubsCreated };
+        return { stubsCreated, stubsUnchanged };
     }
 
     async mergeTopics(topicsDir) {
@@ -188,9 +241,10 @@ class Phase3Organize {
         }
 
         const archiveDir = path.join(topicsDir, '.archive');
-        await fs.mkdir(archiveDir, { recursive: true });
+        await this.ensureDirLogged(archiveDir);
 
         for (const proposal of mergeProposals) {
+            this.signal?.throwIfAborted();
             const { canonical, alias } = proposal;
 
             // SECURITY FIX: Sanitize both canonical and alias names
@@ -198,17 +252,17 @@ class Phase3Organize {
             const canonicalPath = await this.getSafeTopicPath(topicsDir, canonical);
 
             try {
-                await fs.access(aliasPath);
+                await this.fs.access(aliasPath);
             } catch {
                 continue;
             }
 
-            const aliasContent = await fs.readFile(aliasPath, 'utf8');
+            const aliasContent = await this.fs.readFile(aliasPath, 'utf8');
             const aliasEntries = this.parseEntries(aliasContent);
 
             let canonicalContent = '';
             try {
-                canonicalContent = await fs.readFile(canonicalPath, 'utf8');
+                canonicalContent = await this.fs.readFile(canonicalPath, 'utf8');
             } catch {
                 canonicalContent = this.generateTopicHeader(canonical);
             }
@@ -225,43 +279,253 @@ class Phase3Organize {
                 continue;
             }
 
-            const updatedEntries = entriesToMerge.map(entry => {
-                return entry.replace(new RegExp(`#${alias}\\b`, 'g'), `#${canonical}`);
-            });
+            // Tag followed by anything but a tag character or a deeper level
+            const aliasTag = new RegExp(`#${this.escapeRegExp(alias)}(?![\\p{L}\\p{M}\\p{N}_/-])`, 'gu');
+            const updatedEntries = entriesToMerge.map(entry => entry.replace(aliasTag, `#${canonical}`));
+
+            const aliasFile = this.topicPaths.file(alias);
+            const canonicalFile = this.topicPaths.file(canonical);
+            const retarget = (content, fromFile) => this.retargetLinks(content, fromFile, aliasFile, canonicalFile);
+            const merged = retarget(canonicalContent + '\n' + updatedEntries.join('\n'), canonicalFile);
+
+            // Before-images of every file this merge touches
+            const canonicalBefore = await this.backup.snapshot(canonicalPath);
+            const aliasBefore = await this.backup.snapshot(aliasPath);
 
-            const merged = canonicalContent + '\n' + updatedEntries.join('\n');
+            await this.ensureDirLogged(path.dirname(canonicalPath));
             await this.fileops.writeAtomic(canonicalPath, merged);
 
+            // Stubs written in earlier runs still link to the alias file
+            const linkChanges = [];
+            for (const file of await this.topicPaths.listFiles(this.fs, topicsDir)) {
+                if (file === canonicalFile || file === aliasFile) continue;
+
+                const filePath = path.join(topicsDir, file);
+                const content = await this.fs.readFile(filePath, 'utf8');
+                const updated = retarget(content, file);
+                if (updated === content) continue;
+
+                const before = await this.backup.snapshot(filePath);
+                await this.fileops.writeAtomic(filePath, updated);
+                linkChanges.push(this.transaction.fileChange(filePath, before, updated));
+            }
+
             const timestamp = new Date().toISOString().split('T')[0];
-            const aliasFilename = path.basename(aliasPath, '.md');
-            const archivePath = path.join(archiveDir, `${aliasFilename}_merged_${timestamp}.md`);
+            const archivePath = path.join(archiveDir, `${this.topicPaths.archiveName(alias)}_merged_${timestamp}.md`);
 
-            const archiveHeader = `> ⚠️ **This file was merged into ${path.basename(canonicalPath)} on ${timestamp}**\n` +
-                `> Reason: Topics #${alias} and #${canonical} were detected as similar\n` +
+            const archiveHeader = `> ⚠️ **This file was merged into ${canonicalFile} on ${timestamp}**\n` +
+                `> Reason: Topics #${alias} and #${canonical} were detected as similar` +
+                (proposal.via ? ` (via #${proposal.via})\n` : '\n') +
                 `> Confidence: ${proposal.confidence.toFixed(2)}\n\n---\n\n`;
 
-            await fs.writeFile(archivePath, archiveHeader + aliasContent, 'utf8');
-            await fs.unlink(aliasPath);
+            const archiveBefore = await this.backup.snapshot(archivePath);
+            const archiveContent = archiveHeader + aliasContent;
+
+            await this.fs.writeFile(archivePath, archiveContent, 'utf8');
+            await this.fs.unlink(aliasPath);
 
             await this.transaction.log({
                 action: 'merge_topic_file',
                 source: alias,
                 target: canonical,
                 entries_merged: entriesToMerge.length,
+                files: [
+                    this.transaction.fileChange(canonicalPath, canonicalBefore, merged),
+                    this.transaction.fileChange(aliasPath, aliasBefore, null),
+                    this.transaction.fileChange(archivePath, archiveBefore, archiveContent),
+                    ...linkChanges
+                ],
                 status: 'success'
             });
 
             mergesCompleted++;
-            this.logger.info(`  ✓ Merged ${aliasFilename}.md → ${path.basename(canonicalPath, '.md')}.md (${entriesToMerge.length} entries)`);
+            this.logger.info(`  ✓ Merged ${aliasFile} → ${canonicalFile} (${entriesToMerge.length} entries)`);
         }
 
         return { mergesCompleted };
     }
 
+    /**
+     * Point links in a topic file (fromFile) at a merged-away topic file to its
+     * canonical; files are relative to the topics directory
+     */
+    retargetLinks(content, fromFile, aliasFile, canonicalFile) {
+        const dir = path.posix.dirname(fromFile);
+
+        return content.replace(/\[([^\]\n]*)\]\(([^)#\s]+)(#[^)]*)?\)/g, (link, text, target, anchor = '') => {
+            if (path.posix.join(dir, target) !== aliasFile) return link;
+
+            const label = text === target || text === aliasFile ? canonicalFile : text;
+            return `[${label}](${this.topicPaths.link(fromFile, canonicalFile)}${anchor})`;
+        });
+    }
+
+    escapeRegExp(str) {
+        return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Fold this run's canonical map and review decisions into the topic
+     * registry (atomic, logged)
+     * Returns: true if the registry file changed
+     */
+    async updateRegistry() {
+        const canonicalMap = this.state.canonical_map?.canonicalMap;
+        if (!canonicalMap) return false;
+
+        await this.registry.load();
+        const unchanged = this.registry.serialize();
+        const today = new Date().toISOString().split('T')[0];
+
+        if (this.state.merge_review) {
+            this.registry.recordDecisions(this.state.merge_review.decisions);
+        }
+        this.registry.update(canonicalMap, today);
+
+        if (this.registry.serialize() === unchanged) {
+            this.logger.debug('Topic registry unchanged');
+            return false;
+        }
+
+        const registryPath = this.registry.registryPath;
+        const before = await this.backup.snapshot(registryPath);
+        const content = await this.registry.save();
+
+        await this.transaction.log({
+            action: 'update_topic_registry',
+            target: path.relative(path.join(process.cwd(), 'memory'), registryPath),
+            files: [this.transaction.fileChange(registryPath, before, content)],
+            status: 'success'
+        });
+
+        this.logger.info(`✓ Topic registry: ${Object.keys(this.registry.topics).length} canonical topics`);
+        return true;
+    }
+
+    /**
+     * Replace the review file with the proposals still pending (review mode)
+     * Returns: number of pending proposals
+     */
+    async updateReview() {
+        const review = this.state.merge_review;
+        if (!review) return 0;
+
+        const reviewPath = this.review.reviewPath;
+        const content = this.review.format(review.pending);
+        const current = await this.fileops.readSafe(reviewPath);
+
+        if (current !== content) {
+            const before = await this.backup.snapshot(reviewPath);
+            await this.review.write(review.pending);
+
+            await this.transaction.log({
+                action: 'update_merge_review',
+                target: path.relative(path.join(process.cwd(), 'memory'), reviewPath),
+                files: [this.transaction.fileChange(reviewPath, before, content)],
+                status: 'success'
+            });
+        }
+
+        if (review.pending.length > 0) {
+            this.logger.info(`✓ ${review.pending.length} merges awaiting review in ${path.basename(reviewPath)}`);
+        }
+        return review.pending.length;
+    }
+
+    /**
+     * Write <Parent>/_index.md for every directory of hierarchical topics,
+     * listing the parent topic, child topics and nested indexes
+     * Returns: number of indexes written
+     */
+    async updateTopicIndexes(topicsDir) {
+        const files = await this.topicPaths.listFiles(this.fs, topicsDir);
+        const children = new Map();
+
+        for (const file of files) {
+            // Register the file with every ancestor directory on the way up
+            let child = file;
+            let dir = path.posix.dirname(file);
+            while (dir !== '.') {
+                if (!children.has(dir)) children.set(dir, new Set());
+                children.get(dir).add(child === file ? file : `${child}/${TopicPaths.INDEX_FILE}`);
+                child = dir;
+                dir = path.posix.dirname(dir);
+            }
+        }
+
+        let written = 0;
+        for (const [dir, entries] of children) {
+            const indexFile = `${dir}/${TopicPaths.INDEX_FILE}`;
+            const indexPath = path.join(topicsDir, ...indexFile.split('/'));
+            const content = await this.generateTopicIndex(topicsDir, dir, [...entries].sort());
+            const current = await this.fileops.readSafe(indexPath);
+            if (current === content) continue;
+
+            const before = await this.backup.snapshot(indexPath);
+            await this.fileops.writeAtomic(indexPath, content);
+
+            await this.transaction.log({
+                action: 'write_topic_index',
+                target: `Topics/${indexFile}`,
+                files: [this.transaction.fileChange(indexPath, before, content)],
+                status: 'success'
+            });
+            written++;
+        }
+
+        return written;
+    }
+
+    /**
+     * Index body: no dates, so an unchanged hierarchy rewrites nothing
+     */
+    async generateTopicIndex(topicsDir, dir, entries) {
+        const indexFile = `${dir}/${TopicPaths.INDEX_FILE}`;
+        const parentFile = `${dir}.md`;
+        const lines = [`# ${dir.split('/').join(' / ')}`, '', '> Topic index, maintained by memory-polisher', ''];
+
+        if (await this.fileops.exists(path.join(topicsDir, ...parentFile.split('/')))) {
+            lines.push(`**Parent topic:** [${parentFile}](${this.topicPaths.link(indexFile, parentFile)})`, '');
+        }
+
+        lines.push('## Topics', '');
+        for (const entry of entries) {
+            const link = this.topicPaths.link(indexFile, entry);
+
+            if (entry.endsWith(`/${TopicPaths.INDEX_FILE}`)) {
+                lines.push(`- [${path.posix.dirname(entry)}/](${link})`);
+                continue;
+            }
+
+            const content = await this.fs.readFile(path.join(topicsDir, ...entry.split('/')), 'utf8');
+            const tag = content.match(/^> Topic: (#\S+)/m)?.[1];
+            const count = (content.match(/^\*\*Hash:\*\*/gm) || []).length;
+            lines.push(`- [${entry}](${link})${tag ? ` — ${tag}` : ''} (${count} entries)`);
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Create a directory, logging each newly created level for rollback
+     */
+    async ensureDirLogged(dirpath) {
+        const created = await this.fileops.ensureDir(dirpath);
+
+        for (const dir of created) {
+            await this.transaction.log({
+                action: 'create_directory',
+                target: dir,
+                path: path.relative(path.join(process.cwd(), 'memory'), dir),
+                status: 'success'
+            });
+        }
+    }
+
     generateTopicHeader(topic) {
         const sanitized = this.sanitizeTopicName(topic);
         const today = new Date().toISOString().split('T')[0];
-        return `# ${this.capitalizeFirst(sanitized)}\n\n` +
+        return `# ${this.topicPaths.title(topic)}\n\n` +
             `> Auto-curated notes from daily logs\n` +
             `> Topic: #${sanitized}\n` +
             `> Last polished: ${today}\n\n` +
@@ -269,14 +533,16 @@ class Phase3Organize {
     }
 
     generateEntry(extraction) {
-        const date = this.extractDateFromFile(extraction.source_file);
+        const date = extraction.source_date || this.extractDateFromFile(extraction.source_file);
         const line = extraction.source_line_start;
 
         const secondaryTags = extraction.secondary_topics.length > 0
             ? ' #' + extraction.secondary_topics.map(t => this.sanitizeTopicName(t)).join(' #')
             : '';
 
-        return `### ${date} — [${extraction.source_file}](../${extraction.source_file}#L${line})\n\n` +
+        const sourceLink = this.topicPaths.memoryLink(this.topicPaths.file(extraction.primary_topic), extraction.source_file);
+
+        return `### ${date} — [${extraction.source_file}](${sourceLink}#L${line})\n\n` +
             `${extraction.full_content}\n\n` +
             `**Topics:** #${this.sanitizeTopicName(extraction.primary_topic)}${secondaryTags}\n` +
             `**Source:** ${extraction.source_file} (lines ${extraction.source_line_start}-${extraction.source_line_end})\n` +
@@ -285,8 +551,9 @@ class Phase3Organize {
     }
 
     generateStub(extraction, secondaryTopic) {
-        const date = this.extractDateFromFile(extraction.source_file);
-        const primaryFile = this.capitalizeFirst(this.sanitizeTopicName(extraction.primary_topic));
+        const date = extraction.source_date || this.extractDateFromFile(extraction.source_file);
+        const primaryFile = this.topicPaths.file(extraction.primary_topic);
+        const primaryLink = this.topicPaths.link(this.topicPaths.file(secondaryTopic), primaryFile);
         const preview = extraction.full_content.substring(0, 100).replace(/\n/g, ' ');
 
         const allTags = [extraction.primary_topic, ...extraction.secondary_topics]
@@ -294,20 +561,67 @@ class Phase3Organize {
             .join(' ');
 
         return `### ${date} — Cross-Reference\n\n` +
-            `📌 **Full entry:** [${primaryFile}.md](${primaryFile}.md)\n\n` +
+            `📌 **Full entry:** [${primaryFile}](${primaryLink})\n\n` +
             `**Preview:** ${preview}...\n\n` +
             `**Tags:** ${allTags}\n` +
-            `**Related File:** ${extraction.source_file}\n\n` +
+            `**Related File:** ${extraction.source_file}\n` +
+            `**Ref Hash:** ${extraction.content_hash}\n\n` +
             `---\n`;
     }
 
+    /**
+     * Append an entry, or replace the existing one carrying the same hash marker.
+     * Returns the content unchanged when an identical entry is already present.
+     */
+    upsertEntry(content, entry, marker, hash) {
+        const block = this.findEntryBlock(content, `${marker} ${hash}`);
+
+        if (!block) {
+            return content + '\n' + entry;
+        }
+
+        const current = content.slice(block.start, block.end).replace(/^\n+/, '');
+        if (current === entry) {
+            return content;
+        }
+
+        return content.slice(0, block.start) + '\n' + entry + content.slice(block.end);
+    }
+
+    /**
+     * Locate the entry whose hash marker line is markerLine
+     * Returns: { start, end } including the trailing separator, or null
+     */
+    findEntryBlock(content, markerLine) {
+        return this.entryBlocks(content).find(block =>
+            content.slice(block.start, block.end).includes(`\n${markerLine}\n`)) || null;
+    }
+
+    /**
+     * Entries of a topic file, each ending at its hash marker line and the
+     * `---` after it. Entry content may hold `---` and `###` lines itself, so
+     * an entry runs from the end of the previous one (or of the header).
+     * Returns: Array of { start, end }
+     */
+    entryBlocks(content) {
+        const ends = [...content.matchAll(ENTRY_END)];
+        if (ends.length === 0) return [];
+
+        const header = content.indexOf('\n---\n');
+        let start = header !== -1 && header < ends[0].index ? header + '\n---\n'.length : 0;
+        const blocks = [];
+
+        for (const match of ends) {
+            const end = match.index + match[0].length;
+            blocks.push({ start, end });
+            start = end;
+        }
+
+        return blocks;
+    }
+
     parseEntries(content) {
-        const parts = content.split(/\n---\n/);
-        return parts.filter(part => {
-            return part.trim().length > 0 &&
-                !part.startsWith('# ') &&
-                !part.startsWith('> ');
-        });
+        return this.entryBlocks(content).map(block => content.slice(block.start, block.end).replace(/^\n+/, ''));
     }
 
     extractHashes(content) {
@@ -331,11 +645,6 @@ class Phase3Organize {
         const match = filename.match(/memory-(\d{4}-\d{2}-\d{2})/) || filename.match(/(\d{4}-\d{2}-\d{2})/);
         return match ? match[1] : 'unknown';
     }
-
-    capitalizeFirst(str) {
-        if (!str || str.length === 0) return 'Unnamed';
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
 }
 
 module.exports = Phase3Organize;
@@ -2,29 +2,44 @@
  * Phase 4: Daily Log Updates
  * 
  * Responsibilities:
- * - Replace extracted sections with stubs
+ * - Replace extracted sections with stubs (YAML frontmatter kept byte-for-byte);
+ *   a section extracted with its nested sections is replaced as a whole subtree
+ * - Replace extracted list items with one-line inline stubs (bullet granularity)
+ * - Detect source drift (relocate moved sections by hash, report conflicts)
  * - Archive old files
  * - Heal links in topic files
+ * - Skip files this session already stubbed or archived (resume inside the phase)
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
 const FileOps = require('../core/fileops');
+const Parser = require('../core/parser');
 const Transaction = require('../utils/transaction');
 const Backup = require('../utils/backup');
+const TopicPaths = require('../core/topic-paths');
+const Frontmatter = require('../core/frontmatter');
 
 class Phase4Update {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
-        this.fileops = new FileOps(config, logger);
-        this.transaction = new Transaction(config, logger);
-        this.backup = new Backup(config, logger);
+        this.options = options;
+        this.fs = options.fs || fs;
+        this.fileops = new FileOps(config, logger, { fs: this.fs });
+        this.parser = new Parser(config, logger);
+        this.transaction = new Transaction(config, logger, { fs: this.fs, sessionId: state && state.session_id });
+        this.backup = new Backup(config, logger, { fs: this.fs, sessionId: state && state.session_id });
+        this.topicPaths = new TopicPaths(config, logger);
+        this.frontmatter = new Frontmatter(config, logger);
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        this.signal = signal;
+        this.signal?.throwIfAborted();
+
         const memoryDir = path.join(process.cwd(), 'memory');
 
         // Step 4.1: Replace sections with stubs
@@ -37,7 +52,7 @@ class Phase4Update {
             const archiveResult = await this.archiveFiles(memoryDir);
 
             // Heal links after archiving
-            const healResult = await this.healLinks(memoryDir);
+            const healResult = await this.healLinks(memoryDir, archiveResult.archivedFiles);
 
             this.logger.info(`✓ Archived ${archiveResult.filesArchived} files`);
             this.logger.info(`✓ Healed ${healResult.linksHealed} links in ${healResult.filesUpdated} topic files`);
@@ -45,6 +60,7 @@ class Phase4Update {
             return {
                 files_modified: stubResult.filesModified,
                 stubs_created: stubResult.stubsCreated,
+                drift_conflicts: stubResult.driftConflicts,
                 files_archived: archiveResult.filesArchived,
                 links_healed: healResult.linksHealed
             };
@@ -55,6 +71,7 @@ class Phase4Update {
         return {
             files_modified: stubResult.filesModified,
             stubs_created: stubResult.stubsCreated,
+            drift_conflicts: stubResult.driftConflicts,
             files_archived: 0,
             links_healed: 0
         };
@@ -74,28 +91,48 @@ class Phase4Update {
 
         let filesModified = 0;
         let stubsCreated = 0;
+        const driftConflicts = [];
+
+        // Line numbers are stale once a file is stubbed; never stub it twice
+        const completed = await this.transaction.getCompletedItems('replace_stubs');
 
         for (const [filename, fileExtractions] of Object.entries(fileGroups)) {
+            this.signal?.throwIfAborted();
+            if (completed.has(filename)) {
+                this.logger.debug(`Already stubbed this session: ${filename}`);
+                continue;
+            }
+
             const filePath = path.join(memoryDir, filename);
 
             // Read original file
-            let content = await fs.readFile(filePath, 'utf8');
+            let content = await this.fs.readFile(filePath, 'utf8');
+
+            // The log may have changed since Phase 2; only stub sections we can still find
+            const { located, conflicts } = await this.locateSections(content, filename, fileExtractions);
+            driftConflicts.push(...conflicts);
+
+            if (located.length === 0) {
+                continue;
+            }
 
             // Ensure we have a rollback backup for this file and record the hash in the transaction.
             const hash = crypto.createHash('sha256').update(content).digest('hex');
             await this.backup.create(filePath, content, hash);
             const lines = content.split('\n');
 
-            // Sort extractions by line number (reverse order for bottom-up replacement)
-            fileExtractions.sort((a, b) => b.source_line_start - a.source_line_start);
+            // Sort sections by line number (reverse order for bottom-up replacement)
+            located.sort((a, b) => b.lineStart - a.lineStart);
 
             // Replace each section with stub
-            for (const extraction of fileExtractions) {
-                const stub = this.generateDailyLogStub(extraction);
+            for (const { extraction, lineStart, lineEnd, unit } of located) {
+                const stub = extraction.granularity === 'bullet'
+                    ? this.generateInlineStub(extraction, `${unit.indent}${unit.marker} `)
+                    : this.generateDailyLogStub(extraction, unit.level);
 
                 // Replace lines
-                const beforeLines = lines.slice(0, extraction.source_line_start);
-                const afterLines = lines.slice(extraction.source_line_end + 1);
+                const beforeLines = lines.slice(0, lineStart);
+                const afterLines = lines.slice(lineEnd + 1);
                 const newLines = [...beforeLines, ...stub.split('\n'), ...afterLines];
 
                 lines.length = 0;
@@ -116,6 +153,12 @@ class Phase4Update {
                 throw new Error(`Stub replacement validation failed for ${filename}`);
             }
 
+            // Sections never include frontmatter; make sure no stub reached into it
+            const frontmatter = this.frontmatter.parse(content);
+            if (frontmatter && !newContent.startsWith(frontmatter.raw)) {
+                throw new Error(`Stub replacement validation failed for ${filename}: frontmatter changed`);
+            }
+
             // Write atomically
             await this.fileops.writeAtomic(filePath, newContent);
 
@@ -123,16 +166,93 @@ class Phase4Update {
             await this.transaction.log({
                 action: 'replace_stubs',
                 target: filePath,
+                item: filename,
                 hash,
-                stubs_created: fileExtractions.length,
+                stubs_created: located.length,
+                files: [this.transaction.fileChange(filePath, hash, newContent)],
                 status: 'success'
             });
 
             filesModified++;
-            this.logger.debug(`Updated ${filename} with ${fileExtractions.length} stubs`);
+            this.logger.debug(`Updated ${filename} with ${located.length} stubs`);
+        }
+
+        if (driftConflicts.length > 0) {
+            this.logger.warn(`⚠️  ${driftConflicts.length} section(s) changed since extraction; left in place`);
+        }
+
+        return { filesModified, stubsCreated, driftConflicts };
+    }
+
+    /**
+     * Re-parse a daily log and find where each extraction's section is now.
+     * A parsed section still spanning the recorded lines and hashing to content_hash is used as is;
+     * one that moved is relocated by hash. Anything else is a drift conflict.
+     * Sections are matched with and without their nested sections; bullet
+     * extractions are located among list items the same way.
+     * Returns: { located: [{ extraction, lineStart, lineEnd, unit }], conflicts: [...] }
+     */
+    async locateSections(content, filename, extractions) {
+        const parsedSections = await this.parser.parseSections(content, filename);
+        const lines = content.split('\n');
+        const subtrees = parsedSections
+            .filter(section => section.subtreeEnd !== section.lineEnd)
+            .map(section => this.parser.subtree(lines, section));
+        const items = extractions.some(e => e.granularity === 'bullet')
+            ? await this.parser.parseListItems(content, parsedSections)
+            : [];
+        const hashOf = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+        const located = [];
+        const conflicts = [];
+        const overlaps = (start, end) => located.some(l => start <= l.lineEnd && end >= l.lineStart);
+
+        for (const extraction of extractions) {
+            const sections = extraction.granularity === 'bullet' ? items : [...parsedSections, ...subtrees];
+            let lineStart = extraction.source_line_start;
+            let lineEnd = extraction.source_line_end;
+            let reason = null;
+
+            // Same lines alone are not enough: text appended to the section moves its end
+            let unit = sections.find(s => s.lineStart === lineStart && s.lineEnd === lineEnd);
+
+            if (!unit || hashOf(unit.content) !== extraction.content_hash) {
+                unit = null;
+                const matches = sections
+                    .filter(s => hashOf(s.content) === extraction.content_hash)
+                    .sort((a, b) => Math.abs(a.lineStart - lineStart) - Math.abs(b.lineStart - lineStart));
+
+                if (matches.length > 0) {
+                    this.logger.debug(`Relocated "${extraction.section_title}" in ${filename}: line ${lineStart + 1} → ${matches[0].lineStart + 1}`);
+                    unit = matches[0];
+                    lineStart = unit.lineStart;
+                    lineEnd = unit.lineEnd;
+                } else if (sections.some(s => s.title === extraction.section_title)) {
+                    reason = 'section was edited since extraction';
+                } else {
+                    reason = 'section no longer found';
+                }
+            }
+
+            if (!reason && overlaps(lineStart, lineEnd)) {
+                reason = 'section overlaps another section being stubbed';
+            }
+
+            if (reason) {
+                conflicts.push({
+                    extraction: extraction.id,
+                    file: filename,
+                    section: extraction.section_title,
+                    line: extraction.source_line_start + 1,
+                    reason
+                });
+                continue;
+            }
+
+            located.push({ extraction, lineStart, lineEnd, unit });
         }
 
-        return { filesModified, stubsCreated };
+        return { located, conflicts };
     }
 
     async archiveFiles(memoryDir) {
@@ -142,70 +262,107 @@ class Phase4Update {
         cutoffDate.setDate(today.getDate() - gracePeriod);
 
         // Get list of files to archive
-        const files = await fs.readdir(memoryDir);
+        const files = await this.fs.readdir(memoryDir);
         const pattern = /^memory-(\d{4})-(\d{2})-(\d{2})\.md$/;
 
-        const filesToArchive = files.filter(file => {
-            const match = file.match(pattern);
-            if (!match) return false;
+        const completed = await this.transaction.getCompletedItems('archive');
 
-            const fileDate = new Date(match[1], match[2] - 1, match[3]);
-            return fileDate < cutoffDate;
-        });
+        // An applied plan pins the archive list to what was reviewed
+        const filesToArchive = (Array.isArray(this.state.planned_archives)
+            ? this.state.planned_archives.filter(file => files.includes(file))
+            : files.filter(file => {
+                const match = file.match(pattern);
+                if (!match) return false;
+
+                const fileDate = new Date(match[1], match[2] - 1, match[3]);
+                return fileDate < cutoffDate;
+            })).filter(file => !completed.has(file));
+
+        // Files a resumed session already archived still need their links healed
+        const alreadyArchived = [...completed];
 
         if (filesToArchive.length === 0) {
-            return { filesArchived: 0 };
+            return { filesArchived: 0, archivedFiles: alreadyArchived };
         }
 
         // Create archive directory
         const year = today.getFullYear();
         const archiveDir = path.join(memoryDir, this.config.advanced.archive_directory, year.toString());
-        await fs.mkdir(archiveDir, { recursive: true });
+        for (const dir of await this.fileops.ensureDir(archiveDir)) {
+            await this.transaction.log({
+                action: 'create_directory',
+                target: dir,
+                path: path.relative(memoryDir, dir),
+                status: 'success'
+            });
+        }
 
         let filesArchived = 0;
 
         for (const file of filesToArchive) {
+            this.signal?.throwIfAborted();
             const sourcePath = path.join(memoryDir, file);
             const destPath = path.join(archiveDir, file);
 
-            // Check if destination already exists
-            try {
-                await fs.access(destPath);
-                // File exists, check if identical
-                const sourceContent = await fs.readFile(sourcePath, 'utf8');
-                const destContent = await fs.readFile(destPath, 'utf8');
+            // Before-image of the source, so rollback can put it back
+            const sourceHash = await this.backup.snapshot(sourcePath);
+            const sourceContent = await this.fs.readFile(sourcePath, 'utf8');
 
+            // Check if destination already exists
+            const destContent = await this.fileops.readSafe(destPath);
+            if (destContent !== null) {
                 if (sourceContent === destContent) {
                     // Identical, safe to delete source
-                    await fs.unlink(sourcePath);
+                    await this.fs.unlink(sourcePath);
                     this.logger.debug(`Already archived: ${file}`);
+
+                    await this.transaction.log({
+                        action: 'archive',
+                        item: file,
+                        source: file,
+                        destination: path.relative(memoryDir, destPath),
+                        files: [this.transaction.fileChange(sourcePath, sourceHash, null)],
+                        status: 'success'
+                    });
+
                     filesArchived++;
                     continue;
                 } else {
                     // Different content, rename with timestamp
                     const timestamp = new Date().getTime();
                     const newName = file.replace('.md', `_conflict_${timestamp}.md`);
-                    await fs.rename(sourcePath, path.join(archiveDir, newName));
+                    const conflictPath = path.join(archiveDir, newName);
+                    await this.fs.rename(sourcePath, conflictPath);
                     this.logger.warn(`Archived with conflict rename: ${newName}`);
+
+                    await this.transaction.log({
+                        action: 'archive',
+                        item: file,
+                        source: file,
+                        destination: path.relative(memoryDir, conflictPath),
+                        files: [
+                            this.transaction.fileChange(sourcePath, sourceHash, null),
+                            this.transaction.fileChange(conflictPath, null, sourceContent)
+                        ],
+                        status: 'success'
+                    });
+
                     filesArchived++;
                     continue;
                 }
-            } catch {
-                // Destination doesn't exist, proceed with move
             }
 
             // Move file atomically
             try {
-                await fs.rename(sourcePath, destPath);
+                await this.fs.rename(sourcePath, destPath);
             } catch (error) {
                 // Cross-filesystem move, copy then delete
-                const content = await fs.readFile(sourcePath, 'utf8');
-                await fs.writeFile(destPath, content, 'utf8');
+                await this.fs.writeFile(destPath, sourceContent, 'utf8');
 
                 // Verify copy
-                const copiedContent = await fs.readFile(destPath, 'utf8');
-                if (content === copiedContent) {
-                    await fs.unlink(sourcePath);
+                const copiedContent = await this.fs.readFile(destPath, 'utf8');
+                if (sourceContent === copiedContent) {
+                    await this.fs.unlink(sourcePath);
                 } else {
                     throw new Error(`Archive verification failed for ${file}`);
                 }
@@ -214,23 +371,24 @@ class Phase4Update {
             // Log transaction
             await this.transaction.log({
                 action: 'archive',
+                item: file,
                 source: file,
                 destination: `Archive/${year}/${file}`,
+                files: [
+                    this.transaction.fileChange(sourcePath, sourceHash, null),
+                    this.transaction.fileChange(destPath, null, sourceContent)
+                ],
                 status: 'success'
             });
 
             filesArchived++;
         }
 
-        return { filesArchived, archivedFiles: filesToArchive };
+        return { filesArchived, archivedFiles: [...alreadyArchived, ...filesToArchive] };
     }
 
-    async healLinks(memoryDir) {
+    async healLinks(memoryDir, archivedFiles = []) {
         const topicsDir = path.join(memoryDir, this.config.advanced.topics_directory);
-        const archiveDir = path.join(memoryDir, this.config.advanced.archive_directory);
-
-        // Get archived files from previous step
-        const archivedFiles = this.state.archivedFiles || [];
 
         // Always heal known-bad link patterns inside Topics (even if nothing was archived)
         const topicLinkHeal = await this.healTopicLinks(topicsDir);
@@ -239,43 +397,34 @@ class Phase4Update {
             return { linksHealed: topicLinkHeal.linksHealed, filesUpdated: topicLinkHeal.filesUpdated };
         }
 
-        // Get all topic files
-        const topicFiles = await fs.readdir(topicsDir);
-        const mdFiles = topicFiles.filter(f => f.endsWith('.md'));
+        // Get all topic files, nested ones included
+        const mdFiles = await this.topicPaths.listFiles(this.fs, topicsDir, { includeIndexes: true });
 
         let totalLinksHealed = 0;
         let filesUpdated = 0;
         const year = new Date().getFullYear();
 
         for (const topicFile of mdFiles) {
-            const topicPath = path.join(topicsDir, topicFile);
-            let content = await fs.readFile(topicPath, 'utf8');
-            let modified = false;
+            this.signal?.throwIfAborted();
+            const topicPath = path.join(topicsDir, ...topicFile.split('/'));
+            let content = await this.fs.readFile(topicPath, 'utf8');
             let linksHealed = 0;
 
             // Update links for each archived file
             for (const archivedFile of archivedFiles) {
-                // Pattern: [filename](../filename) or [filename](../filename#L123)
-                const pattern = new RegExp(
-                    `\\\[${archivedFile}\\\]\\\(\\.\\.\/${archivedFile}(#[^)]*)?\\\)`,
-                    'g'
-                );
-
-                const newPath = `../Archive/${year}/${archivedFile}`;
-                const replacement = `[${archivedFile}](${newPath}$1)`;
-
-                const beforeCount = (content.match(pattern) || []).length;
-                content = content.replace(pattern, replacement);
-                const afterCount = (content.match(new RegExp(newPath.replace(/\//g, '\\/'), 'g')) || []).length;
-
-                if (afterCount > beforeCount - afterCount) {
-                    modified = true;
-                    linksHealed += (afterCount - (beforeCount - afterCount));
-                }
+                // Pattern: [filename](../filename) or [filename](../filename#L123);
+                // nested topic files link up more levels (../../filename)
+                const escaped = archivedFile.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                const pattern = new RegExp(`\\[${escaped}\\]\\(((?:\\.\\./)+)${escaped}(#[^)]*)?\\)`, 'g');
+
+                content = content.replace(pattern, (link, up, anchor = '') => {
+                    linksHealed++;
+                    return `[${archivedFile}](${up}Archive/${year}/${archivedFile}${anchor})`;
+                });
             }
 
-            if (modified) {
-                await this.fileops.writeAtomic(topicPath, content);
+            if (linksHealed > 0) {
+                await this.writeHealed(topicPath, content);
                 totalLinksHealed += linksHealed;
                 filesUpdated++;
                 this.logger.debug(`Healed ${linksHealed} links in ${topicFile}`);
@@ -297,14 +446,15 @@ class Phase4Update {
 
         let topicFiles = [];
         try {
-            topicFiles = (await fs.readdir(topicsDir)).filter(f => f.endsWith('.md'));
+            topicFiles = (await this.fs.readdir(topicsDir)).filter(f => f.endsWith('.md'));
         } catch {
             return { linksHealed: 0, filesUpdated: 0 };
         }
 
         for (const file of topicFiles) {
+            this.signal?.throwIfAborted();
             const filePath = path.join(topicsDir, file);
-            let content = await fs.readFile(filePath, 'utf8');
+            let content = await this.fs.readFile(filePath, 'utf8');
             const before = content;
 
             // Remove #unknown anchors everywhere inside Topics
@@ -316,7 +466,7 @@ class Phase4Update {
             content = content.replace(/\]\(Topics\/([A-Za-z0-9_-]+\.md)\)/g, ']($1)');
 
             if (content !== before) {
-                await this.fileops.writeAtomic(filePath, content);
+                await this.writeHealed(filePath, content);
                 filesUpdated++;
                 // best-effort count
                 linksHealed += (before.match(/#unknown\)/g) || []).length;
@@ -328,22 +478,40 @@ class Phase4Update {
         return { linksHealed, filesUpdated };
     }
 
-    generateDailyLogStub(extraction) {
-        const topicFile = this.capitalizeFirst(extraction.primary_topic);
-        const date = this.extractDateFromFile(extraction.source_file);
+    /**
+     * Write a link-healed topic file, logging its before-image for rollback
+     */
+    async writeHealed(filePath, content) {
+        const beforeHash = await this.backup.snapshot(filePath);
+        await this.fileops.writeAtomic(filePath, content);
+
+        await this.transaction.log({
+            action: 'heal_links',
+            target: filePath,
+            files: [this.transaction.fileChange(filePath, beforeHash, content)],
+            status: 'success'
+        });
+    }
+
+    generateDailyLogStub(extraction, level = 2) {
+        const topicFile = this.topicPaths.file(extraction.primary_topic);
+        const date = extraction.source_date || this.extractDateFromFile(extraction.source_file);
 
         const anchor = date !== 'unknown' ? `#${date}` : '';
 
+        // Same heading level, so the stub keeps its place among the sections around it
+        const heading = '#'.repeat(level);
+
         if (extraction.secondary_topics.length === 0) {
             // Single-topic stub
-            return `## ${extraction.section_title}\n` +
-                `→ **Polished to [Topics/${topicFile}.md](Topics/${topicFile}.md${anchor})** on ${new Date().toISOString().split('T')[0]}`;
+            return `${heading} ${extraction.section_title}\n` +
+                `→ **Polished to [Topics/${topicFile}](Topics/${topicFile}${anchor})** on ${new Date().toISOString().split('T')[0]}`;
         } else {
             // Multi-topic stub
             const secondaryLinks = extraction.secondary_topics
                 .map(topic => {
-                    const file = this.capitalizeFirst(topic);
-                    return `[Topics/${file}.md](Topics/${file}.md${anchor})`;
+                    const file = this.topicPaths.file(topic);
+                    return `[Topics/${file}](Topics/${file}${anchor})`;
                 })
                 .join(', ');
 
@@ -351,21 +519,36 @@ class Phase4Update {
                 .map(t => `#${t}`)
                 .join(' ');
 
-            return `## ${extraction.section_title}\n` +
-                `→ **Primary:** [Topics/${topicFile}.md](Topics/${topicFile}.md${anchor})\n` +
+            return `${heading} ${extraction.section_title}\n` +
+                `→ **Primary:** [Topics/${topicFile}](Topics/${topicFile}${anchor})\n` +
                 `→ **Also in:** ${secondaryLinks}\n\n` +
                 `📎 Topics: ${allTags}`;
         }
     }
 
+    /**
+     * One-line stub for an extracted list item, keeping its indent and marker
+     * so the surrounding list stays intact
+     */
+    generateInlineStub(extraction, prefix) {
+        const date = extraction.source_date || this.extractDateFromFile(extraction.source_file);
+        const anchor = date !== 'unknown' ? `#${date}` : '';
+        const link = (topic) => {
+            const file = this.topicPaths.file(topic);
+            return `[Topics/${file}](Topics/${file}${anchor})`;
+        };
+
+        if (extraction.secondary_topics.length === 0) {
+            return `${prefix}→ **Polished to ${link(extraction.primary_topic)}** on ${new Date().toISOString().split('T')[0]}`;
+        }
+
+        return `${prefix}→ **Primary:** ${link(extraction.primary_topic)} · **Also in:** ${extraction.secondary_topics.map(link).join(', ')}`;
+    }
+
     extractDateFromFile(filename) {
         const match = filename.match(/memory-(\d{4}-\d{2}-\d{2})/) || filename.match(/(\d{4}-\d{2}-\d{2})/);
         return match ? match[1] : 'unknown';
     }
-
-    capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
 }
 
 module.exports = Phase4Update;
@@ -11,19 +11,26 @@ const fs = require('fs').promises;
 const path = require('path');
 const Transaction = require('../utils/transaction');
 const Backup = require('../utils/backup');
+const Rollback = require('../utils/rollback');
+const Similarity = require('../core/similarity');
+const TopicPaths = require('../core/topic-paths');
 
 class Phase5Validate {
-    constructor(config, logger, state) {
+    constructor(config, logger, state, options = {}) {
         this.config = config;
         this.logger = logger;
         this.state = state;
+        this.options = options;
         this.transaction = new Transaction(config, logger);
         this.backup = new Backup(config, logger);
+        this.topicPaths = new TopicPaths(config, logger);
         this.errors = [];
         this.warnings = [];
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        // Checks are read-only and finalize/rollback must not be cut short: only check on entry
+        signal?.throwIfAborted();
         this.logger.phase('Phase 5.1: Integrity checks');
 
         // Run all checks
@@ -31,6 +38,7 @@ class Phase5Validate {
         await this.checkLinkIntegrity();
         await this.checkMergeIntegrity();
         await this.checkFilesystemHealth();
+        this.checkDriftConflicts();
 
         // Decide: finalize or rollback
         if (this.errors.length === 0) {
@@ -61,8 +69,7 @@ class Phase5Validate {
         const topicsDir = path.join(process.cwd(), 'memory', this.config.advanced.topics_directory);
 
         for (const extraction of extractions) {
-            const topicFile = this.capitalizeFirst(extraction.primary_topic);
-            const topicPath = path.join(topicsDir, `${topicFile}.md`);
+            const topicPath = this.topicPaths.resolve(topicsDir, extraction.primary_topic);
 
             try {
                 const content = await fs.readFile(topicPath, 'utf8');
@@ -95,10 +102,10 @@ class Phase5Validate {
         const memoryDir = path.join(process.cwd(), 'memory');
 
         try {
-            const topicFiles = await fs.readdir(topicsDir);
+            const topicFiles = await this.topicPaths.listFiles(fs, topicsDir, { includeIndexes: true });
 
-            for (const file of topicFiles.filter(f => f.endsWith('.md'))) {
-                const filePath = path.join(topicsDir, file);
+            for (const file of topicFiles) {
+                const filePath = path.join(topicsDir, ...file.split('/'));
                 const content = await fs.readFile(filePath, 'utf8');
 
                 // Find all markdown links
@@ -112,8 +119,8 @@ class Phase5Validate {
                     // Skip external links
                     if (linkPath.startsWith('http')) continue;
 
-                    // Resolve relative path
-                    const resolvedPath = path.resolve(topicsDir, linkPath.split('#')[0]);
+                    // Resolve relative path (from the linking file's directory)
+                    const resolvedPath = path.resolve(path.dirname(filePath), linkPath.split('#')[0]);
 
                     // Check if target exists
                     try {
@@ -146,11 +153,10 @@ class Phase5Validate {
         const archiveDir = path.join(topicsDir, '.archive');
 
         for (const merge of merges) {
-            const aliasFile = this.capitalizeFirst(merge.alias);
-            const canonicalFile = this.capitalizeFirst(merge.canonical);
+            const aliasFile = this.topicPaths.archiveName(merge.alias).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
             // Check old file archived
-            const archivePattern = new RegExp(`${aliasFile}_merged_\\d{4}-\\d{2}-\\d{2}\\.md`);
+            const archivePattern = new RegExp(`^${aliasFile}_merged_\\d{4}-\\d{2}-\\d{2}\\.md$`);
 
             try {
                 const archiveFiles = await fs.readdir(archiveDir);
@@ -168,7 +174,7 @@ class Phase5Validate {
             }
 
             // Check for duplicates in canonical file
-            const canonicalPath = path.join(topicsDir, `${canonicalFile}.md`);
+            const canonicalPath = this.topicPaths.resolve(topicsDir, merge.canonical);
             try {
                 const content = await fs.readFile(canonicalPath, 'utf8');
                 const hashes = this.extractHashes(content);
@@ -195,10 +201,11 @@ class Phase5Validate {
         const topicsDir = path.join(process.cwd(), 'memory', this.config.advanced.topics_directory);
 
         try {
-            const files = await fs.readdir(topicsDir);
+            await fs.access(topicsDir);
+            const files = await this.topicPaths.listFiles(fs, topicsDir, { includeIndexes: true });
 
-            for (const file of files.filter(f => f.endsWith('.md'))) {
-                const filePath = path.join(topicsDir, file);
+            for (const file of files) {
+                const filePath = path.join(topicsDir, ...file.split('/'));
                 const stats = await fs.stat(filePath);
 
                 // Check for empty files
@@ -276,25 +283,17 @@ class Phase5Validate {
     async rollback() {
         this.logger.phase('Phase 5.3: Rolling back changes');
 
-        const transactions = await this.transaction.getReverse();
+        const sessionId = this.state.session_id;
+        if (!sessionId) {
+            this.logger.warn('No session ID in state; nothing to roll back');
+            return;
+        }
 
-        for (const txn of transactions) {
-            try {
-                if (txn.action === 'replace_stubs') {
-                    // Restore file from backup
-                    if (!txn.hash || !txn.target) {
-                        this.logger.warn(`Skipping rollback entry (missing hash/target): ${JSON.stringify({ action: txn.action, target: txn.target, hash: txn.hash })}`);
-                        continue;
-                    }
+        // The log only holds this run, but never touch entries from another session
+        const transactions = (await this.transaction.read()).filter(t => t.session_id === sessionId);
 
-                    await this.backup.restore(txn.hash, txn.target);
-                    this.logger.debug(`Restored: ${txn.target}`);
-                }
-                // Add more rollback handlers as needed
-            } catch (error) {
-                this.logger.error(`Rollback failed for ${txn.target}: ${error.message}`);
-            }
-        }
+        const rollback = new Rollback(this.config, this.logger);
+        this.rollbackResult = await rollback.revert(transactions);
 
         // Generate rollback report
         await this.generateRollbackReport();
@@ -302,6 +301,22 @@ class Phase5Validate {
         this.logger.error('⚠️  Session rolled back. See rollback report for details.');
     }
 
+    /**
+     * Sections Phase 4 left in place because the daily log changed under them
+     */
+    checkDriftConflicts() {
+        for (const conflict of this.state.drift_conflicts || []) {
+            this.warnings.push({
+                type: 'drift_conflict',
+                ...conflict,
+                message: `Drift conflict in ${conflict.file} ("${conflict.section}", line ${conflict.line}): ${conflict.reason}; section left in place`
+            });
+        }
+
+        const count = this.warnings.filter(w => w.type === 'drift_conflict').length;
+        this.logger.debug(`Drift check: ${count === 0 ? 'PASS' : `${count} conflict(s)`}`);
+    }
+
     async generateReport() {
         const reportDir = path.join(process.cwd(), 'memory', this.config.logging.report_location);
         await fs.mkdir(reportDir, { recursive: true });
@@ -328,17 +343,22 @@ class Phase5Validate {
 
 ## 🔀 Merges Applied
 ${(stats.merge_proposals || []).map(m =>
-            `- \`#${m.alias}\` → \`#${m.canonical}\` (confidence: ${m.confidence.toFixed(2)})`
+            `- \`#${m.alias}\` → \`#${m.canonical}\` (confidence: ${m.confidence.toFixed(2)}` +
+            Similarity.formatScores(m) +
+            (m.via ? `; via \`#${m.via}\`)` : ')')
         ).join('\n') || '- None'}
 
 ## 📝 Content Organization
-- **Entries Created:** ${stats.entries_written || 0} topic entries
-- **Cross-References:** ${stats.cross_refs_created || 0} stubs
+- **Entries Created:** ${stats.entries_written || 0} topic entries (${stats.entries_unchanged || 0} already present)
+- **Cross-References:** ${stats.cross_refs_created || 0} stubs (${stats.cross_refs_unchanged || 0} already present)
 - **Files Archived:** ${stats.files_archived || 0}
 - **Links Healed:** ${stats.links_healed || 0}
 
+## 🧭 Drift Conflicts
+${this.formatDriftConflicts()}
+
 ## ⚠️ Warnings
-${this.warnings.length === 0 ? '- None' : this.warnings.map(w => `- ${w.message}`).join('\n')}
+${this.formatWarnings()}
 
 ---
 **Generated by memory-polisher v1.0.0**  
@@ -366,7 +386,7 @@ ${this.errors.map((e, i) => `### Error ${i + 1}: ${e.type}
 `).join('\n')}
 
 ## 🔄 Rollback Actions
-All changes have been reverted. Original files restored from backups.
+${this.formatRollbackActions()}
 
 ## 📝 Next Steps
 1. Review errors above
@@ -380,9 +400,44 @@ Your data is safe. No files were permanently modified.
         await fs.writeFile(reportPath, report, 'utf8');
     }
 
+    formatWarnings() {
+        // Drift conflicts have their own section
+        const warnings = this.warnings.filter(w => w.type !== 'drift_conflict');
+        return warnings.length === 0 ? '- None' : warnings.map(w => `- ${w.message}`).join('\n');
+    }
+
+    formatDriftConflicts() {
+        const conflicts = this.warnings.filter(w => w.type === 'drift_conflict');
+        if (conflicts.length === 0) return '- None';
+
+        return conflicts.map(c =>
+            `- \`${c.file}\` line ${c.line} — "${c.section}": ${c.reason} (kept in the log; topic entry already written)`
+        ).join('\n');
+    }
+
+    formatRollbackActions() {
+        const result = this.rollbackResult || { restored: [], removed: [], failed: [] };
+        const lines = [
+            ...result.restored.map(p => `- Restored \`${p}\` from backup`),
+            ...result.removed.map(p => `- Removed \`${p}\` (created by this session)`),
+            ...result.failed.map(f => `- ❗ Could not revert ${f.action} \`${f.path}\`: ${f.message}`)
+        ];
+
+        if (lines.length === 0) {
+            return 'No file changes needed reverting.';
+        }
+
+        const summary = result.failed.length === 0
+            ? 'All changes have been reverted. Original files restored from backups.'
+            : `${result.failed.length} action(s) could not be reverted; restore them manually from .polish-cache/backups/.`;
+
+        return `${summary}\n\n${lines.join('\n')}`;
+    }
+
     async cleanupCache() {
         const hours = this.config.cleanup.keep_session_cache_hours || 24;
-        const deleted = await this.backup.cleanOld(hours);
+        const sessions = await this.transaction.listSessions();
+        const deleted = await this.backup.cleanOld(hours, { sessions });
 
         if (deleted > 0) {
             this.logger.info(`Cleaned ${deleted} old backup files`);
@@ -400,10 +455,6 @@ Your data is safe. No files were permanently modified.
 
         return hashes;
     }
-
-    capitalizeFirst(str) {
-        return str.charAt(0).toUpperCase() + str.slice(1);
-    }
 }
 
 module.exports = Phase5Validate;
@@ -16,7 +16,9 @@ class Phase6Resume {
         this.checkpoint = new Checkpoint(config);
     }
 
-    async execute() {
+    async execute({ signal } = {}) {
+        signal?.throwIfAborted();
+
         // Check if resume is enabled
         if (!this.config.recovery.enable_checkpoints) {
             return { shouldResume: false };
@@ -54,6 +56,7 @@ class Phase6Resume {
         // Show resume prompt
         this.logger.info(`\n⏸️  Interrupted polish session detected\n`);
         this.logger.info(`Session Details:`);
+        this.logger.info(`  Status: ${checkpointData.status || 'unknown'}`);
         this.logger.info(`  Started: ${checkpointData.started_at}`);
         this.logger.info(`  Last Update: ${ageMinutes} minutes ago`);
         this.logger.info(`  Last Phase: ${checkpointData.current_phase}`);
@@ -77,7 +80,7 @@ class Phase6Resume {
         const shouldResume = true; // Auto-resume in non-interactive mode
 
         if (shouldResume) {
-            this.logger.info(`\n✓ Resuming from Phase ${checkpointData.current_phase}`);
+            this.logger.info(`\n✓ Resuming from Phase ${pendingPhases[0] || checkpointData.current_phase}`);
             return {
                 shouldResume: true,
                 checkpoint: checkpointData
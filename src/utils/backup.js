@@ -3,18 +3,25 @@
  * 
  * Responsibilities:
  * - Create file backups before modification
- * - Manage backup lifecycle
- * - Enable rollback
+ * - Record each backup in a manifest (original path, session, size, time)
+ * - Manage backup lifecycle (retention keeps undoable sessions' before-images
+ *   and the last backup of every path a session touched)
+ * - Enable rollback and restore-by-path
  */
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const FileOps = require('../core/fileops');
 
 class Backup {
-    constructor(config, logger) {
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
+        this.fs = options.fs || fs;
+        this.fileops = new FileOps(config, logger, { fs: this.fs });
+        this.sessionId = options.sessionId || null;
+        this.memoryDir = path.join(process.cwd(), 'memory');
         this.backupDir = null;
     }
 
@@ -29,7 +36,7 @@ class Backup {
             'backups'
         );
 
-        await fs.mkdir(this.backupDir, { recursive: true });
+        await this.fs.mkdir(this.backupDir, { recursive: true });
         return this.backupDir;
     }
 
@@ -45,18 +52,140 @@ class Backup {
 
         const backupPath = path.join(this.backupDir, `${hash}.md`);
 
-        // Check if backup already exists
+        // Content is deduplicated by hash; the manifest still records every origin
         try {
-            await fs.access(backupPath);
-            return backupPath; // Already backed up
+            await this.fs.access(backupPath);
         } catch {
-            // Create backup
+            await this.fs.writeFile(backupPath, content, 'utf8');
         }
 
-        await fs.writeFile(backupPath, content, 'utf8');
+        await this.record(filepath, hash, Buffer.byteLength(content, 'utf8'));
         return backupPath;
     }
 
+    /**
+     * Manifest location (JSON, next to the backups it describes)
+     */
+    async getManifestPath() {
+        if (!this.backupDir) await this.init();
+        return path.join(this.backupDir, 'manifest.json');
+    }
+
+    /**
+     * Read manifest records
+     * Returns: Array of { hash, path, session_id, size, created_at }
+     */
+    async readManifest() {
+        const content = await this.fileops.readSafe(await this.getManifestPath());
+        if (content === null) return [];
+
+        try {
+            return JSON.parse(content).entries || [];
+        } catch (error) {
+            throw new Error(`Backup manifest is corrupt: ${error.message}`);
+        }
+    }
+
+    async writeManifest(entries) {
+        await this.fileops.writeAtomic(
+            await this.getManifestPath(),
+            JSON.stringify({ entries }, null, 2)
+        );
+    }
+
+    /**
+     * Add a manifest record (once per path and hash)
+     * A known backup is rewritten only when the path went back to it after a
+     * newer one, so restore-by-time still finds it as the latest.
+     */
+    async record(filepath, hash, size) {
+        const relPath = path.relative(this.memoryDir, path.resolve(filepath));
+        const entries = await this.readManifest();
+        const now = new Date().toISOString();
+
+        const known = entries.find(e => e.hash === hash && e.path === relPath);
+        if (known) {
+            const newer = entries.some(e => e.path === relPath && e.created_at > known.created_at);
+            if (!newer) return;
+
+            known.session_id = this.sessionId;
+            known.created_at = now;
+        } else {
+            entries.push({
+                hash,
+                path: relPath,
+                session_id: this.sessionId,
+                size,
+                created_at: now
+            });
+        }
+        await this.writeManifest(entries);
+    }
+
+    /**
+     * Backups of one path (relative to memory/), oldest first
+     */
+    async history(relPath) {
+        const normalized = path.normalize(relPath);
+        return (await this.readManifest())
+            .filter(e => e.path === normalized)
+            .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    /**
+     * Latest backup of a path (optionally the latest at or before `at`)
+     * Returns: the manifest record
+     */
+    async findLatest(relPath, { at = null } = {}) {
+        let candidates = await this.history(relPath);
+        if (at) {
+            const cutoff = at.toISOString();
+            candidates = candidates.filter(e => e.created_at <= cutoff);
+        }
+
+        const entry = candidates[candidates.length - 1];
+        if (!entry) {
+            throw new Error(`No backup of ${relPath}${at ? ` at or before ${at.toISOString()}` : ''}`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Restore a path to a backup: the given manifest record, else its latest
+     * (optionally the latest at or before `at`)
+     * Returns: the manifest record that was restored
+     */
+    async restorePath(relPath, { at = null, entry = null } = {}) {
+        const target = path.resolve(this.memoryDir, relPath);
+        if (!target.startsWith(this.memoryDir + path.sep)) {
+            throw new Error(`Security violation: path outside memory directory: ${relPath}`);
+        }
+
+        entry = entry || await this.findLatest(relPath, { at });
+
+        await this.restore(entry.hash, target);
+        return entry;
+    }
+
+    /**
+     * Capture the before-image of a file that is about to change
+     * Returns: backup hash, or null if the file does not exist yet
+     */
+    async snapshot(filepath) {
+        let content;
+        try {
+            content = await this.fs.readFile(filepath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+
+        const hash = crypto.createHash('sha256').update(content).digest('hex');
+        await this.create(filepath, content, hash);
+        return hash;
+    }
+
     /**
      * Get backup path for hash
      */
@@ -71,8 +200,9 @@ class Backup {
     async restore(hash, targetPath) {
         const backupPath = await this.getBackupPath(hash);
 
-        const content = await fs.readFile(backupPath, 'utf8');
-        await fs.writeFile(targetPath, content, 'utf8');
+        const content = await this.fs.readFile(backupPath, 'utf8');
+        await this.fs.mkdir(path.dirname(targetPath), { recursive: true });
+        await this.fs.writeFile(targetPath, content, 'utf8');
 
         return true;
     }
@@ -83,32 +213,84 @@ class Backup {
     async list() {
         if (!this.backupDir) await this.init();
 
-        const files = await fs.readdir(this.backupDir);
+        const files = await this.fs.readdir(this.backupDir);
         return files.filter(f => f.endsWith('.md'));
     }
 
     /**
-     * Clean old backups
+     * Clean old backups, aged by their newest manifest record (file mtime if
+     * unrecorded). Always kept, however old:
+     * - every before-image of a session that has not been undone
+     * - the newest backup of every path any logged session touched
+     * sessions: session summaries (Transaction.listSessions)
      */
-    async cleanOld(maxAgeHours) {
+    async cleanOld(maxAgeHours, { sessions = [] } = {}) {
         if (!this.backupDir) await this.init();
 
-        const cutoff = Date.now() - (maxAgeHours * 60 * 60 * 1000);
+        const cutoff = new Date(Date.now() - (maxAgeHours * 60 * 60 * 1000)).toISOString();
         const files = await this.list();
+        const entries = await this.readManifest();
+        const protectedHashes = this.getProtectedHashes(entries, sessions);
 
-        let deleted = 0;
+        const recordedAt = new Map(); // hash → newest created_at
+        for (const entry of entries) {
+            if (!recordedAt.has(entry.hash) || entry.created_at > recordedAt.get(entry.hash)) {
+                recordedAt.set(entry.hash, entry.created_at);
+            }
+        }
+
+        const deletedHashes = new Set();
 
         for (const file of files) {
+            const hash = path.basename(file, '.md');
+            if (protectedHashes.has(hash)) continue;
+
             const filepath = path.join(this.backupDir, file);
-            const stats = await fs.stat(filepath);
+            const createdAt = recordedAt.get(hash) ||
+                new Date((await this.fs.stat(filepath)).mtimeMs).toISOString();
+
+            if (createdAt < cutoff) {
+                await this.fs.unlink(filepath);
+                deletedHashes.add(hash);
+            }
+        }
+
+        if (deletedHashes.size > 0 && entries.length > 0) {
+            await this.writeManifest(entries.filter(e => !deletedHashes.has(e.hash)));
+        }
+
+        return deletedHashes.size;
+    }
+
+    /**
+     * Hashes retention keeps: before-images of sessions not undone, and the
+     * newest manifest record of each path any session touched
+     */
+    getProtectedHashes(entries, sessions) {
+        const hashes = new Set();
+        const touched = new Set();
+
+        for (const session of sessions) {
+            for (const entry of session.entries || []) {
+                for (const file of entry.files || []) {
+                    touched.add(file.path);
+                    if (file.before_hash && !session.undone_by) hashes.add(file.before_hash);
+                }
+            }
+        }
+
+        const newest = new Map(); // path → entry
+        for (const entry of entries) {
+            if (!touched.has(entry.path)) continue;
 
-            if (stats.mtimeMs < cutoff) {
-                await fs.unlink(filepath);
-                deleted++;
+            const current = newest.get(entry.path);
+            if (!current || entry.created_at >= current.created_at) {
+                newest.set(entry.path, entry);
             }
         }
+        for (const entry of newest.values()) hashes.add(entry.hash);
 
-        return deleted;
+        return hashes;
     }
 
     /**
@@ -122,7 +304,7 @@ class Backup {
 
         for (const file of files) {
             const filepath = path.join(this.backupDir, file);
-            const stats = await fs.stat(filepath);
+            const stats = await this.fs.stat(filepath);
             totalSize += stats.size;
         }
 
@@ -138,8 +320,9 @@ class Backup {
         const files = await this.list();
 
         for (const file of files) {
-            await fs.unlink(path.join(this.backupDir, file));
+            await this.fs.unlink(path.join(this.backupDir, file));
         }
+        await this.fs.rm(await this.getManifestPath(), { force: true });
 
         return files.length;
     }
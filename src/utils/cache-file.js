@@ -0,0 +1,191 @@
+/**
+ * File Cache Backend
+ *
+ * Responsibilities:
+ * - Store embeddings in memory/.polish-cache/embeddings/embeddings.json
+ *   (vectors base64-encoded), with no native dependencies
+ * - Keep the index in memory; write it atomically after each change
+ * - Age and LRU deletion, statistics
+ * - Read-only: load the index if present, never write it
+ *
+ * Used when sqlite3 cannot be loaded, or with performance.cache_backend: file.
+ * Suited to the few thousand vectors a memory workspace produces.
+ */
+
+const path = require('path');
+const fs = require('fs').promises;
+const FileOps = require('../core/fileops');
+
+const FILE_VERSION = 1;
+
+class FileCacheBackend {
+    constructor(config, logger, directory, { readOnly = false } = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.readOnly = readOnly;
+        this.filePath = path.join(directory, 'embeddings.json');
+        this.fileops = new FileOps(config, logger);
+        this.entries = null;
+        this.dirty = false;
+    }
+
+    get name() {
+        return 'file';
+    }
+
+    key(text, modelVersion, dimensions) {
+        return `${modelVersion}\u0000${dimensions}\u0000${text}`;
+    }
+
+    async open() {
+        if (!this.readOnly) await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        this.entries = new Map();
+
+        const content = await this.fileops.readSafe(this.filePath);
+        if (content === null) return;
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            this.logger.warn(`Discarding unreadable embedding cache ${this.filePath}: ${error.message}`);
+            return;
+        }
+
+        if (data.version !== FILE_VERSION) return;
+
+        for (const entry of data.entries || []) {
+            this.entries.set(this.key(entry.text, entry.model_version, entry.dimensions), {
+                ...entry,
+                vector: Buffer.from(entry.vector, 'base64')
+            });
+        }
+    }
+
+    async flush() {
+        const entries = [...this.entries.values()].map(entry => ({
+            ...entry,
+            vector: entry.vector.toString('base64')
+        }));
+
+        await this.fileops.writeAtomic(this.filePath, JSON.stringify({ version: FILE_VERSION, entries }));
+        this.dirty = false;
+    }
+
+    /**
+     * Returns: { text: Buffer } for hits only; usage times are saved on close
+     */
+    async getMany(texts, modelVersion, dimensions, now) {
+        const found = {};
+
+        for (const text of texts) {
+            const entry = this.entries.get(this.key(text, modelVersion, dimensions));
+            if (!entry) continue;
+
+            found[text] = entry.vector;
+            if (this.readOnly) continue;
+
+            entry.last_used_at = now;
+            this.dirty = true;
+        }
+
+        return found;
+    }
+
+    async putMany(entries, modelVersion, dimensions, now) {
+        for (const [text, vector] of entries) {
+            this.entries.set(this.key(text, modelVersion, dimensions), {
+                text,
+                model_version: modelVersion,
+                dimensions,
+                vector,
+                computed_at: now,
+                last_used_at: now
+            });
+        }
+
+        await this.flush();
+    }
+
+    async deleteOlderThan(cutoff) {
+        let deleted = 0;
+
+        for (const [key, entry] of this.entries) {
+            if (entry.computed_at < cutoff) {
+                this.entries.delete(key);
+                deleted++;
+            }
+        }
+
+        if (deleted > 0) await this.flush();
+        return deleted;
+    }
+
+    entrySize(entry) {
+        return entry.vector.length + Buffer.byteLength(entry.text);
+    }
+
+    async evictTo(maxBytes) {
+        const { size } = await this.stats();
+        let excess = size - maxBytes;
+        if (excess <= 0) return 0;
+
+        const byAge = [...this.entries].sort((a, b) => a[1].last_used_at - b[1].last_used_at);
+        let evicted = 0;
+
+        for (const [key, entry] of byAge) {
+            if (excess <= 0) break;
+            this.entries.delete(key);
+            excess -= this.entrySize(entry);
+            evicted++;
+        }
+
+        await this.flush();
+        return evicted;
+    }
+
+    async stats() {
+        let size = 0;
+        let oldest = null;
+        let newest = null;
+        const models = new Map();
+
+        for (const entry of this.entries.values()) {
+            size += this.entrySize(entry);
+            oldest = oldest === null ? entry.computed_at : Math.min(oldest, entry.computed_at);
+            newest = newest === null ? entry.computed_at : Math.max(newest, entry.computed_at);
+
+            const modelKey = `${entry.model_version}\u0000${entry.dimensions}`;
+            const model = models.get(modelKey) || { model_version: entry.model_version, dimensions: entry.dimensions, count: 0 };
+            model.count++;
+            models.set(modelKey, model);
+        }
+
+        const file = await fs.stat(this.filePath).catch(() => null);
+
+        return {
+            count: this.entries.size,
+            size,
+            file_size: file ? file.size : 0,
+            oldest,
+            newest,
+            models: [...models.values()].sort((a, b) =>
+                a.model_version.localeCompare(b.model_version) || a.dimensions - b.dimensions)
+        };
+    }
+
+    async clear() {
+        this.entries.clear();
+        await fs.rm(this.filePath, { force: true });
+        this.dirty = false;
+    }
+
+    async close() {
+        if (this.entries && this.dirty) {
+            await this.flush();
+        }
+        this.entries = null;
+    }
+}
+
+module.exports = FileCacheBackend;
@@ -0,0 +1,238 @@
+/**
+ * SQLite Cache Backend
+ *
+ * Responsibilities:
+ * - Store embeddings in memory/.polish-cache/embeddings/embeddings.db
+ * - Bulk lookups (chunked IN queries) and bulk inserts (one transaction), WAL mode
+ * - Age and LRU deletion, statistics
+ *
+ * Requires the native sqlite3 module; Cache falls back to cache-file.js when
+ * it cannot be loaded.
+ */
+
+const sqlite3 = require('sqlite3').verbose();
+const { open } = require('sqlite');
+const path = require('path');
+const fs = require('fs').promises;
+
+// v1 keyed vectors by hashtag alone; v2 adds model and dimensions to the key
+const SCHEMA_VERSION = 2;
+
+// Stay well below SQLite's bound-parameter limit (999 on older builds)
+const CHUNK_SIZE = 500;
+
+class SqliteCacheBackend {
+    constructor(config, logger, directory, { readOnly = false } = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.readOnly = readOnly;
+        this.dbPath = path.join(directory, 'embeddings.db');
+        this.db = null;
+    }
+
+    get name() {
+        return 'sqlite';
+    }
+
+    async open() {
+        if (this.readOnly) return this.openReadOnly();
+
+        await fs.mkdir(path.dirname(this.dbPath), { recursive: true });
+
+        this.db = await open({
+            filename: this.dbPath,
+            driver: sqlite3.Database
+        });
+
+        // WAL: one append per commit instead of rewriting a rollback journal
+        // (far fewer fsyncs on SD cards); losing the last commit on power
+        // failure only costs a recomputation
+        await this.db.exec('PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL;');
+
+        await this.migrate();
+    }
+
+    /**
+     * Open an existing, current-schema database without writing to it;
+     * otherwise stay closed and report every lookup as a miss
+     */
+    async openReadOnly() {
+        try {
+            await fs.access(this.dbPath);
+            this.db = await open({
+                filename: this.dbPath,
+                driver: sqlite3.Database,
+                mode: sqlite3.OPEN_READONLY
+            });
+
+            const { user_version: version } = await this.db.get('PRAGMA user_version');
+            if (version === SCHEMA_VERSION) return;
+        } catch (error) {
+            if (error.code !== 'ENOENT') this.logger.debug(`Embedding cache not readable (${error.message}); treating it as empty`);
+        }
+
+        await this.close();
+    }
+
+    /**
+     * Create the embeddings table; drop a v1 table (its vectors have no model)
+     */
+    async migrate() {
+        const { user_version: version } = await this.db.get('PRAGMA user_version');
+
+        if (version < SCHEMA_VERSION) {
+            await this.db.exec('DROP TABLE IF EXISTS embeddings');
+        }
+
+        await this.db.exec(`
+      CREATE TABLE IF NOT EXISTS embeddings (
+        text TEXT NOT NULL,
+        model_version TEXT NOT NULL,
+        dimensions INTEGER NOT NULL,
+        vector BLOB NOT NULL,
+        computed_at INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL,
+        PRIMARY KEY (text, model_version, dimensions)
+      );
+      CREATE INDEX IF NOT EXISTS idx_computed_at ON embeddings(computed_at);
+      CREATE INDEX IF NOT EXISTS idx_last_used_at ON embeddings(last_used_at);
+      PRAGMA user_version = ${SCHEMA_VERSION};
+    `);
+    }
+
+    /**
+     * Look up texts, CHUNK_SIZE per query, and mark hits as used
+     * Returns: { text: Buffer } for hits only
+     */
+    async getMany(texts, modelVersion, dimensions, now) {
+        const found = {};
+        if (!this.db) return found;
+
+        for (let i = 0; i < texts.length; i += CHUNK_SIZE) {
+            const chunk = texts.slice(i, i + CHUNK_SIZE);
+            const placeholders = chunk.map(() => '?').join(', ');
+            const params = [modelVersion, dimensions, ...chunk];
+
+            const rows = await this.db.all(
+                `SELECT text, vector FROM embeddings
+       WHERE model_version = ? AND dimensions = ? AND text IN (${placeholders})`,
+                params
+            );
+
+            for (const row of rows) {
+                found[row.text] = Buffer.from(row.vector);
+            }
+
+            if (rows.length > 0 && !this.readOnly) {
+                await this.db.run(
+                    `UPDATE embeddings SET last_used_at = ?
+       WHERE model_version = ? AND dimensions = ? AND text IN (${placeholders})`,
+                    [now, ...params]
+                );
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Insert or replace [text, Buffer] entries in a single transaction
+     */
+    async putMany(entries, modelVersion, dimensions, now) {
+        await this.db.exec('BEGIN IMMEDIATE');
+
+        try {
+            const statement = await this.db.prepare(
+                `INSERT OR REPLACE INTO embeddings (text, model_version, dimensions, vector, computed_at, last_used_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+            );
+
+            try {
+                for (const [text, vector] of entries) {
+                    await statement.run(text, modelVersion, dimensions, vector, now, now);
+                }
+            } finally {
+                await statement.finalize();
+            }
+
+            await this.db.exec('COMMIT');
+        } catch (error) {
+            await this.db.exec('ROLLBACK');
+            throw error;
+        }
+    }
+
+    async deleteOlderThan(cutoff) {
+        const result = await this.db.run('DELETE FROM embeddings WHERE computed_at < ?', [cutoff]);
+        return result.changes;
+    }
+
+    /**
+     * Delete least recently used entries until at most maxBytes remain
+     */
+    async evictTo(maxBytes) {
+        const { size } = await this.stats();
+        let excess = size - maxBytes;
+        if (excess <= 0) return 0;
+
+        const rows = await this.db.all(
+            `SELECT rowid, LENGTH(vector) + LENGTH(CAST(text AS BLOB)) AS size
+       FROM embeddings ORDER BY last_used_at ASC`
+        );
+
+        const evict = [];
+        for (const row of rows) {
+            if (excess <= 0) break;
+            evict.push(row.rowid);
+            excess -= row.size;
+        }
+
+        for (let i = 0; i < evict.length; i += CHUNK_SIZE) {
+            const chunk = evict.slice(i, i + CHUNK_SIZE);
+            await this.db.run(
+                `DELETE FROM embeddings WHERE rowid IN (${chunk.map(() => '?').join(', ')})`,
+                chunk
+            );
+        }
+
+        return evict.length;
+    }
+
+    async stats() {
+        const totals = await this.db.get(
+            `SELECT COUNT(*) AS count,
+              SUM(LENGTH(vector) + LENGTH(CAST(text AS BLOB))) AS size,
+              MIN(computed_at) AS oldest,
+              MAX(computed_at) AS newest
+       FROM embeddings`
+        );
+        const models = await this.db.all(
+            `SELECT model_version, dimensions, COUNT(*) AS count
+       FROM embeddings GROUP BY model_version, dimensions ORDER BY model_version, dimensions`
+        );
+        const file = await fs.stat(this.dbPath).catch(() => null);
+
+        return {
+            count: totals.count,
+            size: totals.size || 0,
+            file_size: file ? file.size : 0,
+            oldest: totals.oldest,
+            newest: totals.newest,
+            models
+        };
+    }
+
+    async clear() {
+        await this.db.run('DELETE FROM embeddings');
+        await this.db.exec('VACUUM');
+    }
+
+    async close() {
+        if (this.db) {
+            await this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+module.exports = SqliteCacheBackend;
@@ -1,136 +1,226 @@
 /**
  * Cache Utility
- * 
+ *
  * Responsibilities:
- * - SQLite-based caching for embeddings
- * - Extraction cache management
- * - Cache cleanup
+ * - Embedding cache keyed by (text, model, dimensions)
+ * - Choose a backend: SQLite (cache-sqlite.js) or file (cache-file.js),
+ *   falling back to the file backend when sqlite3 cannot be loaded
+ * - Load the backend lazily, so runs that never embed never touch it
+ * - TTL expiry (performance.embedding_cache_ttl) applied on init
+ * - LRU eviction down to cleanup.max_cache_size_mb
+ * - Optional int8 scalar quantization of stored vectors
+ * - Cache statistics and cleanup
+ * - Read-only mode for dry runs and plans: lookups only, nothing created,
+ *   saved, expired or evicted
  */
 
-const sqlite3 = require('sqlite3').verbose();
-const { open } = require('sqlite');
 const path = require('path');
-const fs = require('fs').promises;
+
+const BACKENDS = {
+    sqlite: './cache-sqlite',
+    file: './cache-file'
+};
 
 class Cache {
-    constructor(config, logger) {
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
-        this.db = null;
+        this.readOnly = Boolean(options.readOnly);
+        this.backend = null;
+        this.pruned = null;
+        this.backendName = config.performance?.cache_backend || 'auto';
+        this.quantization = config.performance?.cache_quantization || 'none';
+        this.ttlSeconds = config.performance?.embedding_cache_ttl || 0;
+        this.maxBytes = (config.cleanup?.max_cache_size_mb || 0) * 1024 * 1024;
     }
 
-    /**
-     * Initialize SQLite database
-     */
-    async init() {
-        const dbPath = path.join(
+    getDirectory() {
+        return path.join(
             process.cwd(),
             'memory',
             this.config.advanced.cache_directory,
-            'embeddings',
-            'embeddings.db'
+            'embeddings'
         );
+    }
 
-        // Ensure directory exists
-        await fs.mkdir(path.dirname(dbPath), { recursive: true });
+    /**
+     * Resolve the backend class (auto: sqlite if its native module loads)
+     */
+    loadBackend() {
+        const name = this.backendName === 'auto' ? 'sqlite' : this.backendName;
 
-        this.db = await open({
-            filename: dbPath,
-            driver: sqlite3.Database
-        });
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown cache backend: ${name} (expected auto, ${Object.keys(BACKENDS).join(', ')})`);
+        }
 
-        // Create embeddings table
-        await this.db.exec(`
-      CREATE TABLE IF NOT EXISTS embeddings (
-        hashtag TEXT PRIMARY KEY,
-        vector BLOB NOT NULL,
-        dimensions INTEGER NOT NULL,
-        computed_at INTEGER NOT NULL,
-        model_version TEXT NOT NULL
-      );
-      CREATE INDEX IF NOT EXISTS idx_computed_at ON embeddings(computed_at);
-    `);
+        try {
+            return require(BACKENDS[name]);
+        } catch (error) {
+            if (this.backendName !== 'auto') {
+                throw new Error(`Cache backend ${name} is unavailable: ${error.message}`);
+            }
 
-        return this.db;
+            this.logger.warn(`sqlite3 could not be loaded (${error.message.split('\n')[0]}); using the file cache backend`);
+            return require(BACKENDS.file);
+        }
     }
 
     /**
-     * Get embedding from cache
+     * Open the backend, then expire and evict per config
      */
-    async getEmbedding(hashtag) {
-        if (!this.db) await this.init();
+    async init() {
+        if (this.backend) return this.backend;
 
-        const row = await this.db.get(
-            'SELECT vector, dimensions FROM embeddings WHERE hashtag = ?',
-            [hashtag]
-        );
+        const Backend = this.loadBackend();
+        const backend = new Backend(this.config, this.logger, this.getDirectory(), { readOnly: this.readOnly });
+        await backend.open();
+        this.backend = backend;
 
-        if (!row) return null;
+        this.pruned = this.readOnly ? { expired: 0, evicted: 0 } : await this.prune();
 
-        // Deserialize vector
-        const buffer = Buffer.from(row.vector);
-        const vector = new Float32Array(buffer.buffer, buffer.byteOffset, row.dimensions);
-        return Array.from(vector);
+        return this.backend;
     }
 
     /**
-     * Save embedding to cache
+     * Get embedding from cache (null on a miss)
      */
-    async saveEmbedding(hashtag, vector, modelVersion) {
-        if (!this.db) await this.init();
-
-        // Serialize vector
-        const float32Array = new Float32Array(vector);
-        const buffer = Buffer.from(float32Array.buffer);
+    async getEmbedding(text, modelVersion, dimensions) {
+        const found = await this.getEmbeddings([text], modelVersion, dimensions);
+        return Object.hasOwn(found, text) ? found[text] : null;
+    }
 
-        await this.db.run(
-            `INSERT OR REPLACE INTO embeddings (hashtag, vector, dimensions, computed_at, model_version)
-       VALUES (?, ?, ?, ?, ?)`,
-            [hashtag, buffer, vector.length, Date.now(), modelVersion]
-        );
+    /**
+     * Save embedding to cache
+     * dimensions: the requested size it is keyed by (defaults to vector length)
+     */
+    async saveEmbedding(text, vector, modelVersion, dimensions = vector.length) {
+        await this.saveEmbeddings({ [text]: vector }, modelVersion, dimensions);
     }
 
     /**
      * Get multiple embeddings
+     * Returns: { text: vector } for hits only
      */
-    async getEmbeddings(hashtags) {
-        const embeddings = {};
+    async getEmbeddings(texts, modelVersion, dimensions) {
+        if (!this.backend) await this.init();
+
+        const found = await this.backend.getMany([...new Set(texts)], modelVersion, dimensions, Date.now());
 
-        for (const tag of hashtags) {
-            embeddings[tag] = await this.getEmbedding(tag);
+        const embeddings = {};
+        for (const [text, buffer] of Object.entries(found)) {
+            const vector = this.deserialize(buffer, dimensions);
+            if (vector) embeddings[text] = vector;
         }
 
         return embeddings;
     }
 
+    /**
+     * Save multiple embeddings ({ text: vector }) in one write
+     */
+    async saveEmbeddings(vectors, modelVersion, dimensions) {
+        if (this.readOnly) return 0;
+        if (!this.backend) await this.init();
+
+        const entries = Object.entries(vectors).map(([text, vector]) => [text, this.serialize(vector)]);
+        if (entries.length === 0) return 0;
+
+        await this.backend.putMany(entries, modelVersion, dimensions, Date.now());
+        return entries.length;
+    }
+
+    /**
+     * Encode a vector as float32 (4 bytes per value) or, with
+     * cache_quantization: int8, as a float32 scale followed by one int8 per value
+     */
+    serialize(vector) {
+        if (this.quantization !== 'int8') {
+            return Buffer.from(new Float32Array(vector).buffer);
+        }
+
+        const maxAbs = vector.reduce((max, v) => Math.max(max, Math.abs(v)), 0);
+        const scale = maxAbs > 0 ? maxAbs / 127 : 1;
+        const buffer = Buffer.alloc(4 + vector.length);
+
+        buffer.writeFloatLE(scale, 0);
+        for (let i = 0; i < vector.length; i++) {
+            buffer.writeInt8(Math.round(vector[i] / scale), 4 + i);
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Decode either encoding, told apart by length (4n vs n + 4 bytes), so
+     * switching cache_quantization keeps existing entries readable
+     */
+    deserialize(buffer, dimensions) {
+        if (buffer.length === dimensions * 4) {
+            // Copy into a fresh ArrayBuffer: Float32Array needs 4-byte alignment
+            return Array.from(new Float32Array(new Uint8Array(buffer).buffer));
+        }
+
+        if (buffer.length === dimensions + 4) {
+            const scale = buffer.readFloatLE(0);
+            const vector = new Array(dimensions);
+            for (let i = 0; i < dimensions; i++) {
+                vector[i] = buffer.readInt8(4 + i) * scale;
+            }
+            return vector;
+        }
+
+        this.logger.debug(`Ignoring cached vector of ${buffer.length} bytes (expected ${dimensions} dimensions)`);
+        return null;
+    }
+
     /**
      * Clean old cache entries
      */
     async cleanOld(maxAgeSeconds) {
-        if (!this.db) await this.init();
+        if (!this.backend) await this.init();
 
-        const cutoff = Date.now() - (maxAgeSeconds * 1000);
+        return this.backend.deleteOlderThan(Date.now() - (maxAgeSeconds * 1000));
+    }
 
-        const result = await this.db.run(
-            'DELETE FROM embeddings WHERE computed_at < ?',
-            [cutoff]
-        );
+    /**
+     * Evict least recently used entries until the cache is within maxBytes
+     * (size counts stored vectors and texts, not storage overhead)
+     */
+    async enforceSizeLimit(maxBytes = this.maxBytes) {
+        if (this.readOnly || !maxBytes) return 0;
+        if (!this.backend) await this.init();
+
+        return this.backend.evictTo(maxBytes);
+    }
+
+    /**
+     * Apply the configured TTL and size cap
+     * Returns: { expired, evicted }
+     */
+    async prune() {
+        const expired = this.ttlSeconds ? await this.cleanOld(this.ttlSeconds) : 0;
+        const evicted = await this.enforceSizeLimit();
+
+        if (expired > 0 || evicted > 0) {
+            this.logger.debug(`Embedding cache: ${expired} expired, ${evicted} evicted`);
+        }
 
-        return result.changes;
+        return { expired, evicted };
     }
 
     /**
      * Get cache statistics
      */
     async getStats() {
-        if (!this.db) await this.init();
+        if (!this.backend) await this.init();
 
-        const totalRow = await this.db.get('SELECT COUNT(*) as count FROM embeddings');
-        const sizeRow = await this.db.get('SELECT SUM(LENGTH(vector)) as size FROM embeddings');
+        const stats = await this.backend.stats();
 
         return {
-            count: totalRow.count,
-            size: sizeRow.size || 0
+            backend: this.backend.name,
+            ...stats,
+            oldest: stats.oldest ? new Date(stats.oldest).toISOString() : null,
+            newest: stats.newest ? new Date(stats.newest).toISOString() : null
         };
     }
 
@@ -138,18 +228,18 @@ class Cache {
      * Clear entire cache
      */
     async clear() {
-        if (!this.db) await this.init();
+        if (!this.backend) await this.init();
 
-        await this.db.run('DELETE FROM embeddings');
+        await this.backend.clear();
     }
 
     /**
-     * Close database connection
+     * Close the backend
      */
     async close() {
-        if (this.db) {
-            await this.db.close();
-            this.db = null;
+        if (this.backend) {
+            await this.backend.close();
+            this.backend = null;
         }
     }
 }
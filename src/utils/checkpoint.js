@@ -30,15 +30,20 @@ class Checkpoint {
             session_id: state.session_id || this.generateSessionId(),
             started_at: state.started_at || new Date().toISOString(),
             updated_at: new Date().toISOString(),
+            status: state.status || 'running',
             current_phase: state.current_phase,
             completed_steps: state.completed_steps || [],
             stats: state.stats || {},
             discovered_topics: state.discovered_topics || {},
             merge_proposals: state.merge_proposals || [],
             canonical_map: state.canonical_map || {},
+            merge_review: state.merge_review || null,
             extractions: state.extractions || [],
             files_processed: state.files_processed || [],
             similarity_method: state.similarity_method || 'unknown',
+            plan_id: state.plan_id || null,
+            planned_archives: state.planned_archives || null,
+            drift_conflicts: state.drift_conflicts || [],
             base_path: this.basePath // Store for verification
         };
 
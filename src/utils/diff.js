@@ -0,0 +1,132 @@
+/**
+ * Diff Utility
+ *
+ * Responsibilities:
+ * - Line-based diff (Myers algorithm)
+ * - Unified diff formatting for dry-run reports
+ */
+
+class Diff {
+    /**
+     * Compute line edit script between two texts
+     * Returns: Array of { type: ' ' | '-' | '+', line }
+     */
+    diffLines(oldText, newText) {
+        const a = oldText === null || oldText === '' ? [] : oldText.split('\n');
+        const b = newText === null || newText === '' ? [] : newText.split('\n');
+        const n = a.length;
+        const m = b.length;
+        const max = n + m;
+        const offset = max + 1;
+        const v = new Array(2 * max + 2).fill(0);
+        const trace = [];
+
+        // Forward pass: find the shortest edit path, keeping each V for backtracking
+        let found = false;
+        for (let d = 0; d <= max && !found; d++) {
+            trace.push(v.slice());
+            for (let k = -d; k <= d; k += 2) {
+                let x;
+                if (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) {
+                    x = v[offset + k + 1];
+                } else {
+                    x = v[offset + k - 1] + 1;
+                }
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) {
+                    found = true;
+                    break;
+                }
+            }
+        }
+
+        // Backtrack from (n, m) to (0, 0)
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const vd = trace[d];
+            const k = x - y;
+            let prevK;
+            if (k === -d || (k !== d && vd[offset + k - 1] < vd[offset + k + 1])) {
+                prevK = k + 1;
+            } else {
+                prevK = k - 1;
+            }
+            const prevX = vd[offset + prevK];
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                ops.push({ type: ' ', line: a[--x] });
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    ops.push({ type: '+', line: b[--y] });
+                } else {
+                    ops.push({ type: '-', line: a[--x] });
+                }
+            }
+        }
+
+        return ops.reverse();
+    }
+
+    /**
+     * Format a unified diff between two texts
+     * Returns '' when the texts are identical
+     */
+    unified(oldText, newText, fromFile, toFile, context = 3) {
+        const ops = this.diffLines(oldText, newText);
+        if (!ops.some(op => op.type !== ' ')) return '';
+
+        // Line numbers (1-based) of each op in the old and new text
+        const positions = [];
+        let oldLine = 1;
+        let newLine = 1;
+        for (const op of ops) {
+            positions.push({ oldLine, newLine });
+            if (op.type !== '+') oldLine++;
+            if (op.type !== '-') newLine++;
+        }
+
+        // Group changes whose context windows overlap into hunks
+        const ranges = [];
+        ops.forEach((op, i) => {
+            if (op.type === ' ') return;
+            const start = Math.max(0, i - context);
+            const end = Math.min(ops.length - 1, i + context);
+            const last = ranges[ranges.length - 1];
+            if (last && start <= last.end + 1) {
+                last.end = end;
+            } else {
+                ranges.push({ start, end });
+            }
+        });
+
+        const hunks = ranges.map(({ start, end }) => ({
+            oldStart: positions[start].oldLine,
+            newStart: positions[start].newLine,
+            lines: ops.slice(start, end + 1).map(op => op.type + op.line)
+        }));
+
+        const out = [`--- ${fromFile}`, `+++ ${toFile}`];
+        for (const h of hunks) {
+            const oldCount = h.lines.filter(l => l[0] !== '+').length;
+            const newCount = h.lines.filter(l => l[0] !== '-').length;
+            const oldStart = oldCount === 0 ? h.oldStart - 1 : h.oldStart;
+            const newStart = newCount === 0 ? h.newStart - 1 : h.newStart;
+            out.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+            out.push(...h.lines);
+        }
+
+        return out.join('\n') + '\n';
+    }
+}
+
+module.exports = Diff;
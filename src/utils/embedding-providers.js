@@ -0,0 +1,232 @@
+/**
+ * Embedding Providers
+ *
+ * Responsibilities:
+ * - Common provider interface: embed(texts) → full-size vectors, in batches
+ * - Per-batch timeout and retry with backoff, both cut short by the run's
+ *   abort signal
+ * - HTTP provider for local OpenAI/Ollama-compatible /embeddings endpoints;
+ *   fails at once when nothing listens at the URL
+ * - Deterministic local provider (no model; for tests and offline runs)
+ */
+
+const crypto = require('crypto');
+const { setTimeout: sleep } = require('timers/promises');
+
+const DEFAULT_URL = 'http://127.0.0.1:11434/v1/embeddings';
+const DEFAULT_MODEL = 'embeddinggemma';
+const DEFAULT_DIMENSIONS = 768; // Full EmbeddingGemma output
+
+class EmbeddingProvider {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+
+        const settings = config.topic_similarity.provider || {};
+        this.settings = settings;
+        this.batchSize = config.performance?.batch_size || 10;
+        this.dimensions = settings.dimensions || DEFAULT_DIMENSIONS;
+        this.timeoutMs = settings.timeout_ms || 15000;
+        this.retries = settings.retries ?? 2;
+        this.retryDelayMs = settings.retry_delay_ms ?? 500;
+    }
+
+    /**
+     * Identifies the vectors this provider produces (cache key)
+     */
+    get modelVersion() {
+        throw new Error(`${this.constructor.name} must define modelVersion`);
+    }
+
+    /**
+     * Compute one batch; implemented by each provider
+     * Returns: Array of vectors, in the order of texts
+     */
+    async embedBatch() {
+        throw new Error(`${this.constructor.name} must implement embedBatch()`);
+    }
+
+    /**
+     * Embed texts in batches of performance.batch_size
+     * signal: the run's AbortSignal; aborts the request in flight and the backoff
+     * Returns: Array of vectors, in the order of texts
+     */
+    async embed(texts, { signal } = {}) {
+        const vectors = [];
+        const batches = Math.ceil(texts.length / this.batchSize);
+
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            signal?.throwIfAborted();
+            const batch = texts.slice(i, i + this.batchSize);
+            const result = await this.withRetry(batchSignal => this.embedBatch(batch, batchSignal), signal);
+
+            if (!Array.isArray(result) || result.length !== batch.length) {
+                throw new Error(`Embedding provider returned ${result?.length ?? 0} vectors for ${batch.length} texts`);
+            }
+
+            // Vectors are cached under this size; a mismatch would never hit
+            const wrongSize = result.find(vector => vector.length !== this.dimensions);
+            if (wrongSize) {
+                throw new Error(
+                    `Embedding provider returned ${wrongSize.length}-dimensional vectors, expected ${this.dimensions}; ` +
+                    `set topic_similarity.provider.dimensions to the model's full output size`
+                );
+            }
+
+            vectors.push(...result);
+            this.logger.debug(`Computed batch ${Math.floor(i / this.batchSize) + 1}/${batches}`);
+        }
+
+        return vectors;
+    }
+
+    /**
+     * Run fn with a timeout signal (combined with signal, if given), retrying
+     * transient failures with backoff; an abort of signal is never retried
+     */
+    async withRetry(fn, signal) {
+        for (let attempt = 0; ; attempt++) {
+            const timeout = AbortSignal.timeout(this.timeoutMs);
+
+            try {
+                return await fn(signal ? AbortSignal.any([signal, timeout]) : timeout);
+            } catch (caught) {
+                signal?.throwIfAborted();
+
+                const error = caught.name === 'TimeoutError'
+                    ? new Error(`Embedding request timed out after ${this.timeoutMs}ms`)
+                    : caught;
+
+                if (error.retryable === false || attempt >= this.retries) throw error;
+
+                const delay = this.retryDelayMs * 2 ** attempt;
+                this.logger.warn(`Embedding batch failed (${error.message}); retrying in ${delay}ms`);
+                await sleep(delay, undefined, { signal }).catch(() => signal.throwIfAborted());
+            }
+        }
+    }
+}
+
+/**
+ * POSTs { model, input } to a local embedding server.
+ * Accepts the OpenAI response shape ({ data: [{ index, embedding }] },
+ * also served by Ollama at /v1/embeddings) and Ollama's /api/embed
+ * shape ({ embeddings: [[...]] }).
+ */
+class HttpEmbeddingProvider extends EmbeddingProvider {
+    constructor(config, logger) {
+        super(config, logger);
+
+        const model = config.topic_similarity.model;
+        this.url = this.settings.url || DEFAULT_URL;
+        this.model = !model || model === 'auto' ? DEFAULT_MODEL : model;
+    }
+
+    get modelVersion() {
+        return `http:${this.model}`;
+    }
+
+    async embedBatch(texts, signal) {
+        const response = await fetch(this.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ model: this.model, input: texts }),
+            signal
+        }).catch(caught => {
+            // A server that is not running will not start between retries
+            const cause = caught.cause?.errors?.[0] || caught.cause;
+            if (cause?.code !== 'ECONNREFUSED') throw caught;
+
+            const error = new Error(
+                `No embedding server at ${this.url} (connection refused); ` +
+                'start it, or set topic_similarity.provider.type: local'
+            );
+            error.retryable = false;
+            throw error;
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Embedding endpoint ${this.url} returned HTTP ${response.status}`);
+            // Client errors (bad model name, bad request) will not fix themselves
+            error.retryable = response.status === 429 || response.status >= 500;
+            throw error;
+        }
+
+        const body = await response.json();
+
+        if (Array.isArray(body.data)) {
+            return [...body.data]
+                .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+                .map(item => item.embedding);
+        }
+
+        if (Array.isArray(body.embeddings)) {
+            return body.embeddings;
+        }
+
+        const error = new Error(`Unrecognized response from embedding endpoint ${this.url}`);
+        error.retryable = false;
+        throw error;
+    }
+}
+
+/**
+ * Hashes character trigrams and words into a fixed-size vector.
+ * Deterministic and dependency-free: strings sharing n-grams score as
+ * similar, but there is no semantic knowledge (#car vs #automobile).
+ */
+class LocalEmbeddingProvider extends EmbeddingProvider {
+    get modelVersion() {
+        return 'local:ngram-v1';
+    }
+
+    async embedBatch(texts) {
+        return texts.map(text => this.vectorize(text));
+    }
+
+    vectorize(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const normalized = text.toLowerCase();
+        const padded = ` ${normalized} `;
+
+        const features = normalized.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+        for (let i = 0; i < padded.length - 2; i++) {
+            features.push(padded.slice(i, i + 3));
+        }
+
+        for (const feature of features) {
+            const digest = crypto.createHash('sha1').update(feature).digest();
+            const index = digest.readUInt32BE(0) % this.dimensions;
+            vector[index] += digest[4] & 1 ? 1 : -1;
+        }
+
+        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
+        return magnitude === 0 ? vector : vector.map(val => val / magnitude);
+    }
+}
+
+const PROVIDERS = {
+    http: HttpEmbeddingProvider,
+    local: LocalEmbeddingProvider
+};
+
+/**
+ * Instantiate the provider named by topic_similarity.provider.type (default: http)
+ */
+function createProvider(config, logger) {
+    const type = config.topic_similarity.provider?.type || 'http';
+    const Provider = PROVIDERS[type];
+
+    if (!Provider) {
+        throw new Error(`Unknown embedding provider: ${type} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new Provider(config, logger);
+}
+
+module.exports = {
+    EmbeddingProvider,
+    HttpEmbeddingProvider,
+    LocalEmbeddingProvider,
+    createProvider
+};
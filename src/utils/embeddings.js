@@ -2,152 +2,80 @@
  * Embeddings Utility
  * 
  * Responsibilities:
- * - Interface with EmbeddingGemma
- * - Batch embedding computation
+ * - Resolve the configured embedding provider (see embedding-providers.js)
+ * - Cache full-size vectors; truncate and re-normalize to the configured
+ *   Matryoshka dimensions on read
  * - Cache management
  */
 
 const Cache = require('./cache');
+const MathUtils = require('./math');
+const { createProvider } = require('./embedding-providers');
 
 class Embeddings {
-    constructor(config, logger) {
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
-        this.cache = new Cache(config, logger);
-        this.model = null;
-        this.modelLoaded = false;
+        this.cache = new Cache(config, logger, { readOnly: options.readOnly });
+        this.math = new MathUtils(config, logger);
+        this.provider = null;
     }
 
     /**
-     * Load embedding model (lazy loading)
+     * Create the configured embedding provider (lazy loading)
      */
     async loadModel() {
-        if (this.modelLoaded) return this.model;
-
-        this.logger.info('Loading EmbeddingGemma...');
-
-        try {
-            // In OpenClaw, embeddings are accessed via the memory search provider
-            // This is a simplified interface - actual implementation would use OpenClaw's API
-
-            const modelPath = this.config.topic_similarity.model;
-
-            if (modelPath === 'auto') {
-                // Use OpenClaw's configured embedding model
-                // This would interface with OpenClaw's memorySearch.local provider
-                this.logger.debug('Using OpenClaw embedding provider');
-                this.model = {
-                    type: 'openclaw',
-                    dimensions: this.config.topic_similarity.dimensions || 256
-                };
-            } else {
-                // Load model from explicit path
-                this.logger.debug(`Loading model from: ${modelPath}`);
-                this.model = {
-                    type: 'custom',
-                    path: modelPath,
-                    dimensions: this.config.topic_similarity.dimensions || 256
-                };
-            }
+        if (this.provider) return this.provider;
 
-            this.modelLoaded = true;
-            this.logger.debug('Embedding model loaded');
+        this.provider = createProvider(this.config, this.logger);
+        this.logger.debug(`Using embedding provider ${this.provider.modelVersion}`);
 
-            return this.model;
-        } catch (error) {
-            this.logger.error(`Failed to load embedding model: ${error.message}`);
-            throw error;
-        }
+        return this.provider;
     }
 
     /**
-     * Get embeddings for multiple hashtags (with caching)
+     * Get embeddings for multiple hashtags (with caching), at the configured
+     * topic_similarity.dimensions
+     * signal: the run's AbortSignal, passed on to the provider
      */
-    async getEmbeddings(hashtags) {
-        await this.loadModel();
-        await this.cache.init();
+    async getEmbeddings(hashtags, { dimensions = this.config.topic_similarity.dimensions || 256, signal } = {}) {
+        const full = await this.getFullEmbeddings(hashtags, { signal });
 
         const embeddings = {};
-        const toCompute = [];
-
-        // Check cache first
-        for (const tag of hashtags) {
-            const cached = await this.cache.getEmbedding(tag);
-            if (cached) {
-                embeddings[tag] = cached;
-            } else {
-                toCompute.push(tag);
-            }
-        }
-
-        if (toCompute.length > 0) {
-            this.logger.info(`Computing ${toCompute.length} new embeddings...`);
-
-            // Compute in batches
-            const batchSize = this.config.performance.batch_size || 10;
-
-            for (let i = 0; i < toCompute.length; i += batchSize) {
-                const batch = toCompute.slice(i, i + batchSize);
-                const batchEmbeddings = await this.computeBatch(batch);
-
-                // Cache and store results
-                for (const [tag, vector] of Object.entries(batchEmbeddings)) {
-                    embeddings[tag] = vector;
-                    await this.cache.saveEmbedding(tag, vector, 'embeddinggemma-v1');
-                }
-
-                this.logger.debug(`Computed batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(toCompute.length / batchSize)}`);
-            }
+        for (const [text, vector] of Object.entries(full)) {
+            embeddings[text] = this.math.normalize(this.truncateEmbedding(vector, dimensions));
         }
 
         return embeddings;
     }
 
     /**
-     * Compute embeddings for a batch of hashtags
+     * Full-size vectors, computed once per (text, model) and cached
      */
-    async computeBatch(hashtags) {
-        // This is a placeholder for actual embedding computation
-        // In production, this would call EmbeddingGemma via OpenClaw's API
+    async getFullEmbeddings(hashtags, { signal } = {}) {
+        const provider = await this.loadModel();
+        await this.cache.init();
 
-        const embeddings = {};
-        const dimensions = this.config.topic_similarity.dimensions || 256;
+        // Check cache first; vectors from another model are not comparable
+        const embeddings = await this.cache.getEmbeddings(hashtags, provider.modelVersion, provider.dimensions);
+        const toCompute = [...new Set(hashtags)].filter(tag => !Object.hasOwn(embeddings, tag));
 
-        for (const tag of hashtags) {
-            // Simulate embedding computation
-            // In real implementation, this would be:
-            // const vector = await openclawAPI.embed(tag);
+        if (toCompute.length > 0) {
+            this.logger.info(`Computing ${toCompute.length} new embeddings...`);
 
-            // For now, generate deterministic pseudo-embeddings for testing
-            embeddings[tag] = this.generatePseudoEmbedding(tag, dimensions);
-        }
+            const vectors = await provider.embed(toCompute, { signal });
+            const computed = {};
 
-        return embeddings;
-    }
-
-    /**
-     * Generate pseudo-embedding for testing
-     * (Replace with actual EmbeddingGemma call in production)
-     */
-    generatePseudoEmbedding(text, dimensions) {
-        const vector = new Array(dimensions);
-
-        // Simple hash-based pseudo-embedding
-        let hash = 0;
-        for (let i = 0; i < text.length; i++) {
-            hash = ((hash << 5) - hash) + text.charCodeAt(i);
-            hash = hash & hash;
-        }
+            for (let i = 0; i < toCompute.length; i++) {
+                computed[toCompute[i]] = vectors[i];
+            }
 
-        // Generate deterministic values
-        for (let i = 0; i < dimensions; i++) {
-            const seed = hash + i;
-            vector[i] = Math.sin(seed) * Math.cos(seed * 0.5);
+            await this.cache.saveEmbeddings(computed, provider.modelVersion, provider.dimensions);
+            await this.cache.enforceSizeLimit();
+            Object.assign(embeddings, computed);
         }
 
-        // Normalize
-        const magnitude = Math.sqrt(vector.reduce((sum, val) => sum + val * val, 0));
-        return vector.map(val => val / magnitude);
+        return embeddings;
     }
 
     /**
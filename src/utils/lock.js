@@ -0,0 +1,247 @@
+/**
+ * Run Lock Utility
+ *
+ * Responsibilities:
+ * - Prevent concurrent polisher sessions on one workspace
+ * - Record holder PID, host, session ID and heartbeat
+ * - Detect stale locks (dead process or missed heartbeats)
+ * - Wait for, or force-remove, a lock held by another run
+ * - Take over a stale lock atomically, and notice when ours was taken over
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+class Lock {
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.lockPath = path.join(
+            process.cwd(),
+            'memory',
+            config.advanced.cache_directory,
+            'polisher.lock'
+        );
+
+        const recovery = config.recovery || {};
+        this.heartbeatMs = (recovery.lock_heartbeat_seconds || 30) * 1000;
+        this.staleMs = (recovery.lock_stale_seconds || 120) * 1000;
+        this.pollMs = options.pollMs || 1000;
+
+        // Called with the error when a heartbeat finds the lock taken over
+        this.onLost = options.onLost || null;
+
+        this.token = null;
+        this.sessionId = null;
+        this.acquiredAt = null;
+        this.heartbeat = null;
+        this.pending = Promise.resolve();
+    }
+
+    /**
+     * Take the lock, or throw if another live run holds it
+     * wait: seconds to keep retrying; force: remove any existing lock first
+     */
+    async acquire({ sessionId = null, wait = 0, force = false } = {}) {
+        await fs.mkdir(path.dirname(this.lockPath), { recursive: true });
+
+        if (force) {
+            const holder = await this.read();
+            if (holder) {
+                this.logger.warn(`Forcing unlock (held by pid ${holder.pid} on ${holder.host}, session ${holder.session_id || 'unknown'})`);
+                await fs.rm(this.lockPath, { force: true });
+            }
+        }
+
+        this.sessionId = sessionId;
+        const deadline = Date.now() + wait * 1000;
+        let waiting = false;
+
+        for (;;) {
+            if (await this.tryCreate()) break;
+
+            const holder = await this.read();
+            if (!holder) continue; // Released between our attempt and the read
+
+            if (this.isStale(holder)) {
+                await this.removeStale(holder);
+                continue;
+            }
+
+            if (Date.now() >= deadline) {
+                throw new Error(
+                    `Another polisher run holds the lock: pid ${holder.pid} on ${holder.host}, ` +
+                    `session ${holder.session_id || 'unknown'}, last heartbeat ${holder.heartbeat_at}.\n` +
+                    `Use --wait [seconds] to wait for it, or --force-unlock if it is not running.`
+                );
+            }
+
+            if (!waiting) {
+                this.logger.info(`⏳ Waiting for lock held by pid ${holder.pid} on ${holder.host}...`);
+                waiting = true;
+            }
+            await new Promise(resolve => setTimeout(resolve, this.pollMs));
+        }
+
+        this.heartbeat = setInterval(() => {
+            this.pending = this.write().catch(error => {
+                if (error.code !== 'ELOCKLOST') {
+                    this.logger.warn(`Lock heartbeat failed: ${error.message}`);
+                    return;
+                }
+
+                clearInterval(this.heartbeat);
+                this.heartbeat = null;
+                this.logger.error(error.message);
+                if (this.onLost) this.onLost(error);
+            });
+        }, this.heartbeatMs);
+        this.heartbeat.unref();
+
+        return this.lockPath;
+    }
+
+    /**
+     * Create the lock file exclusively; false if it already exists
+     */
+    async tryCreate() {
+        this.token = crypto.randomBytes(8).toString('hex');
+        this.acquiredAt = new Date().toISOString();
+
+        try {
+            await fs.writeFile(this.lockPath, JSON.stringify(this.describe(), null, 2), { flag: 'wx' });
+            return true;
+        } catch (error) {
+            if (error.code === 'EEXIST') return false;
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a stale lock, unless another run replaced or refreshed it since
+     * it was read: move it aside (only one contender can), check it is still
+     * the stale holder's, and put it back otherwise
+     */
+    async removeStale(holder) {
+        const claimedPath = `${this.lockPath}.${crypto.randomBytes(8).toString('hex')}.stale`;
+
+        try {
+            await fs.rename(this.lockPath, claimedPath);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+
+        const claimed = await this.read(claimedPath);
+        if (claimed && (claimed.token !== holder.token || claimed.heartbeat_at !== holder.heartbeat_at)) {
+            // Another run took over (or the holder woke up) first: hand it back
+            try {
+                await fs.link(claimedPath, this.lockPath);
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+            await fs.rm(claimedPath, { force: true });
+            return;
+        }
+
+        this.logger.warn(`Removing stale lock (pid ${holder.pid} on ${holder.host}, last heartbeat ${holder.heartbeat_at})`);
+        await fs.rm(claimedPath, { force: true });
+    }
+
+    describe() {
+        const now = new Date().toISOString();
+        return {
+            pid: process.pid,
+            host: os.hostname(),
+            session_id: this.sessionId,
+            token: this.token,
+            acquired_at: this.acquiredAt,
+            heartbeat_at: now
+        };
+    }
+
+    /**
+     * Refresh the heartbeat (atomic temp → rename), if the lock is still ours
+     * Throws (code ELOCKLOST) if another run took it over
+     */
+    async write() {
+        const holder = await this.read();
+        if (!holder || holder.token !== this.token) {
+            const error = new Error(`Run lock was taken over${holder ? ` by pid ${holder.pid} on ${holder.host}` : ''}; stopping this run`);
+            error.code = 'ELOCKLOST';
+            throw error;
+        }
+
+        const tempPath = `${this.lockPath}.${this.token}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.describe(), null, 2), 'utf8');
+        await fs.rename(tempPath, this.lockPath);
+    }
+
+    /**
+     * Record the session ID once it is known (Phase 0 or resume)
+     */
+    async setSession(sessionId) {
+        if (!this.heartbeat || !sessionId || sessionId === this.sessionId) return;
+
+        this.sessionId = sessionId;
+        await this.write();
+    }
+
+    async read(lockPath = this.lockPath) {
+        try {
+            return JSON.parse(await fs.readFile(lockPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            if (!(error instanceof SyntaxError)) throw error;
+
+            // Half-written (just created) or corrupt: age it by mtime
+            const stats = await fs.stat(lockPath).catch(() => null);
+            if (!stats) return null;
+            return { pid: null, host: 'unknown', heartbeat_at: new Date(stats.mtimeMs).toISOString() };
+        }
+    }
+
+    /**
+     * A lock is stale if its heartbeat is overdue, or its process is gone (same host only)
+     */
+    isStale(holder) {
+        const heartbeat = Date.parse(holder.heartbeat_at);
+        if (Number.isNaN(heartbeat) || Date.now() - heartbeat > this.staleMs) {
+            return true;
+        }
+
+        if (holder.host === os.hostname() && holder.pid) {
+            try {
+                process.kill(holder.pid, 0);
+            } catch (error) {
+                return error.code === 'ESRCH';
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Release the lock if we still hold it
+     */
+    async release() {
+        if (!this.heartbeat) return false;
+
+        clearInterval(this.heartbeat);
+        this.heartbeat = null;
+        await this.pending; // Never let a late heartbeat re-create the file
+
+        const holder = await this.read();
+        if (!holder || holder.token !== this.token) {
+            this.logger.warn('Run lock was taken over by another process; leaving it in place');
+            return false;
+        }
+
+        await fs.rm(this.lockPath, { force: true });
+        return true;
+    }
+}
+
+module.exports = Lock;
@@ -3,7 +3,7 @@
  * 
  * Responsibilities:
  * - Cosine similarity
- * - Levenshtein distance
+ * - Levenshtein distance (plain and with transpositions)
  * - Vector operations
  * 
  * FIX: Renamed from Math to MathUtils to avoid shadowing global Math
@@ -67,6 +67,41 @@ class MathUtils {
         return matrix[len1][len2];
     }
 
+    /**
+     * Levenshtein distance counting an adjacent transposition as one edit
+     * (optimal string alignment), so "pyhton" is one edit from "python"
+     */
+    transpositionDistance(str1, str2) {
+        const len1 = str1.length;
+        const len2 = str2.length;
+
+        const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0));
+
+        for (let i = 0; i <= len1; i++) {
+            matrix[i][0] = i;
+        }
+        for (let j = 0; j <= len2; j++) {
+            matrix[0][j] = j;
+        }
+
+        for (let i = 1; i <= len1; i++) {
+            for (let j = 1; j <= len2; j++) {
+                const cost = str1[i - 1] === str2[j - 1] ? 0 : 1;
+                matrix[i][j] = Math.min(
+                    matrix[i - 1][j] + 1,
+                    matrix[i][j - 1] + 1,
+                    matrix[i - 1][j - 1] + cost
+                );
+
+                if (i > 1 && j > 1 && str1[i - 1] === str2[j - 2] && str1[i - 2] === str2[j - 1]) {
+                    matrix[i][j] = Math.min(matrix[i][j], matrix[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return matrix[len1][len2];
+    }
+
     normalizedLevenshtein(str1, str2) {
         const distance = this.levenshteinDistance(str1, str2);
         const maxLen = Math.max(str1.length, str2.length);
@@ -99,6 +134,25 @@ class MathUtils {
         return vector.map(v => v / mag);
     }
 
+    /**
+     * Mean of equal-length vectors, normalized to unit length
+     */
+    centroid(vectors) {
+        if (vectors.length === 0) return null;
+
+        const sum = new Array(vectors[0].length).fill(0);
+        for (const vector of vectors) {
+            if (vector.length !== sum.length) {
+                throw new Error('Vectors must have same dimensions');
+            }
+            for (let i = 0; i < vector.length; i++) {
+                sum[i] += vector[i];
+            }
+        }
+
+        return this.normalize(sum.map(v => v / vectors.length));
+    }
+
     euclideanDistance(vec1, vec2) {
         if (vec1.length !== vec2.length) {
             throw new Error('Vectors must have same dimensions');
@@ -0,0 +1,133 @@
+/**
+ * Plan Utility
+ *
+ * Responsibilities:
+ * - Serialize a reviewed polish plan (plan/apply workflow)
+ * - Load and version-check plan files
+ * - Detect source drift between planning and applying
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const FileOps = require('../core/fileops');
+
+const PLAN_VERSION = '1.0.0';
+
+class Plan {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.basePath = path.resolve(process.cwd(), 'memory');
+        this.fileops = new FileOps(config, logger);
+    }
+
+    /**
+     * Build a plan from simulated state and VirtualFS changes
+     */
+    build(state, changes) {
+        const rel = (p) => path.relative(this.basePath, p);
+        const archiveRoot = this.config.advanced.archive_directory.replace(/\/+$/, '');
+
+        const fileOperations = changes.map(change => {
+            const op = { op: change.type, path: rel(change.path) };
+            if (change.from) op.from = rel(change.from);
+            return op;
+        });
+
+        // Archive moves are date-driven; pin them so apply does exactly what was reviewed
+        const plannedArchives = fileOperations
+            .filter(op => op.op === 'move' && op.path.startsWith(archiveRoot + path.sep))
+            .map(op => op.from);
+
+        return {
+            version: PLAN_VERSION,
+            plan_id: state.session_id,
+            created_at: new Date().toISOString(),
+            base_path: this.basePath,
+            similarity_method: state.similarity_method,
+            discovered_topics: state.discovered_topics || {},
+            merge_proposals: state.merge_proposals || [],
+            canonical_map: state.canonical_map || {},
+            merge_review: state.merge_review || null,
+            extractions: state.extractions || [],
+            files_processed: state.files_processed || [],
+            planned_archives: plannedArchives,
+            file_operations: fileOperations
+        };
+    }
+
+    async save(plan, filepath) {
+        await this.fileops.ensureDir(path.dirname(filepath));
+        await this.fileops.writeAtomic(filepath, JSON.stringify(plan, null, 2));
+        return filepath;
+    }
+
+    async load(filepath) {
+        let plan;
+        try {
+            plan = JSON.parse(await fs.readFile(filepath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Failed to load plan ${filepath}: ${error.message}`);
+        }
+
+        if (plan.version !== PLAN_VERSION) {
+            throw new Error(`Unsupported plan version: ${plan.version}`);
+        }
+
+        if (plan.base_path !== this.basePath) {
+            throw new Error(
+                `Plan base path mismatch.\n` +
+                `Expected: ${this.basePath}\n` +
+                `Plan: ${plan.base_path}`
+            );
+        }
+
+        return plan;
+    }
+
+    /**
+     * Compare every source file against the hash Phase2Extract recorded
+     * Returns: Array of { file, expected, actual } (empty when the plan still applies)
+     */
+    async verify(plan) {
+        const expected = {};
+        for (const extraction of plan.extractions) {
+            expected[extraction.source_file] = extraction.source_hash;
+        }
+
+        const mismatches = [];
+
+        for (const [file, hash] of Object.entries(expected)) {
+            const content = await this.fileops.readSafe(path.join(this.basePath, file));
+            const actual = content === null
+                ? null
+                : crypto.createHash('sha256').update(content).digest('hex');
+
+            if (!hash || actual !== hash) {
+                mismatches.push({ file, expected: hash || null, actual });
+            }
+        }
+
+        return mismatches;
+    }
+
+    /**
+     * Convert a plan back into orchestrator state
+     */
+    toState(plan) {
+        return {
+            plan_id: plan.plan_id,
+            discovered_topics: plan.discovered_topics,
+            merge_proposals: plan.merge_proposals,
+            canonical_map: plan.canonical_map,
+            merge_review: plan.merge_review || null,
+            extractions: plan.extractions,
+            files_processed: plan.files_processed,
+            planned_archives: plan.planned_archives,
+            similarity_method: plan.similarity_method
+        };
+    }
+}
+
+module.exports = Plan;
@@ -0,0 +1,163 @@
+/**
+ * Topic Registry Utility
+ *
+ * Responsibilities:
+ * - Persist canonical topics across runs (memory/topic-registry.json):
+ *   aliases, first-seen date and pinned status per canonical
+ * - Persist merge review decisions: never_merge pairs and approved synonyms
+ * - Answer lookups for Phase 1 (registered aliases, established canonicals)
+ * - Fold a run's canonical map and review decisions into the registry (Phase 3)
+ * - Atomic writes through FileOps
+ *
+ * The file is meant to be hand-edited: set "pinned": true to keep a topic
+ * canonical for good, or move a tag between alias lists.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const FileOps = require('../core/fileops');
+
+const REGISTRY_VERSION = 1;
+
+class TopicRegistry {
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.fs = options.fs || fs;
+        this.fileops = new FileOps(config, logger, { fs: this.fs });
+        this.registryPath = path.join(
+            process.cwd(),
+            'memory',
+            config.advanced?.registry_file || 'topic-registry.json'
+        );
+        this.topics = {};
+        this.neverMerge = [];
+        this.synonyms = [];
+    }
+
+    /**
+     * Load the registry (empty if the file does not exist yet)
+     */
+    async load() {
+        const content = await this.fileops.readSafe(this.registryPath);
+        this.topics = {};
+        this.neverMerge = [];
+        this.synonyms = [];
+        if (content === null) return this;
+
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Topic registry ${this.registryPath} is not valid JSON: ${error.message}`);
+        }
+
+        if (data.version !== REGISTRY_VERSION) {
+            throw new Error(`Unsupported topic registry version: ${data.version}`);
+        }
+
+        for (const [canonical, entry] of Object.entries(data.topics || {})) {
+            this.topics[canonical] = {
+                aliases: [...(entry.aliases || [])],
+                first_seen: entry.first_seen || null,
+                pinned: entry.pinned === true
+            };
+        }
+
+        this.neverMerge = (data.never_merge || []).filter(pair => Array.isArray(pair) && pair.length === 2);
+        this.synonyms = (data.synonyms || []).filter(group => Array.isArray(group) && group.length >= 2);
+
+        return this;
+    }
+
+    /**
+     * Decisions for Similarity and Clustering: { never_merge, synonyms }
+     */
+    get decisions() {
+        return { never_merge: this.neverMerge, synonyms: this.synonyms };
+    }
+
+    /**
+     * Record review decisions: approved [canonical, alias] pairs become synonym
+     * rules, rejected [a, b] pairs never_merge; a later decision on the same
+     * pair replaces the earlier one
+     */
+    recordDecisions({ approved = [], rejected = [] }) {
+        const key = ([a, b]) => [a, b].sort().join('\u0000');
+        const decided = new Set([...approved, ...rejected].map(key));
+
+        this.synonyms = this.synonyms.filter(group => group.length !== 2 || !decided.has(key(group)));
+        this.neverMerge = this.neverMerge.filter(pair => !decided.has(key(pair)));
+
+        this.synonyms.push(...approved.map(([canonical, alias]) => [canonical, alias]));
+        this.neverMerge.push(...rejected.map(pair => [...pair].sort()));
+    }
+
+    /**
+     * Registered canonical of an alias (null if the tag is not an alias)
+     */
+    canonicalOf(tag) {
+        for (const [canonical, entry] of Object.entries(this.topics)) {
+            if (entry.aliases.includes(tag)) return canonical;
+        }
+        return null;
+    }
+
+    /**
+     * Record the canonical map of a run: new canonicals are added, aliases
+     * appended, and a registered canonical that became an alias hands its
+     * aliases to the new canonical. Pinned topics never become aliases.
+     * Returns: true if anything changed
+     */
+    update(canonicalMap, date) {
+        const before = this.serialize();
+
+        for (const [canonical, info] of Object.entries(canonicalMap)) {
+            const entry = this.topics[canonical] || (this.topics[canonical] = { aliases: [], first_seen: date, pinned: false });
+
+            for (const alias of info.aliases || []) {
+                const absorbed = this.topics[alias];
+                if (absorbed?.pinned) {
+                    this.logger.warn(`Topic registry: #${alias} is pinned; not recording it as an alias of #${canonical}`);
+                    continue;
+                }
+
+                if (absorbed) {
+                    entry.aliases.push(...absorbed.aliases);
+                    if (absorbed.first_seen && (!entry.first_seen || absorbed.first_seen < entry.first_seen)) {
+                        entry.first_seen = absorbed.first_seen;
+                    }
+                    delete this.topics[alias];
+                }
+
+                entry.aliases.push(alias);
+            }
+
+            entry.aliases = [...new Set(entry.aliases)].filter(alias => alias !== canonical).sort();
+        }
+
+        return this.serialize() !== before;
+    }
+
+    serialize() {
+        const topics = {};
+        for (const canonical of Object.keys(this.topics).sort()) {
+            topics[canonical] = this.topics[canonical];
+        }
+
+        return JSON.stringify({
+            version: REGISTRY_VERSION,
+            topics,
+            never_merge: this.neverMerge,
+            synonyms: this.synonyms
+        }, null, 2) + '\n';
+    }
+
+    async save() {
+        const content = this.serialize();
+        await this.fileops.writeAtomic(this.registryPath, content);
+        return content;
+    }
+}
+
+module.exports = TopicRegistry;
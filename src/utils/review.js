@@ -0,0 +1,101 @@
+/**
+ * Merge Review Utility
+ *
+ * Responsibilities:
+ * - Write pending merge proposals to memory/merge-review.md as task lists
+ * - Read the user's ticked Approve / Reject boxes back as decisions
+ * - Atomic writes through FileOps
+ *
+ * Used when topic_similarity.review.enabled is true: similarity proposals
+ * wait here instead of being applied; decisions are kept in the topic
+ * registry (approved → synonyms, rejected → never_merge).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const FileOps = require('../core/fileops');
+const Similarity = require('../core/similarity');
+
+const HEADING = /^### #(\S+) → #(\S+)\s*$/;
+const CHECKBOX = /^\s*[-*] \[([ xX])\] (Approve|Reject)\b/i;
+
+class MergeReview {
+    constructor(config, logger, options = {}) {
+        this.config = config;
+        this.logger = logger;
+        this.fs = options.fs || fs;
+        this.fileops = new FileOps(config, logger, { fs: this.fs });
+
+        const settings = config.topic_similarity?.review || {};
+        this.enabled = settings.enabled === true;
+        this.reviewPath = path.join(process.cwd(), 'memory', settings.file || 'merge-review.md');
+    }
+
+    /**
+     * Ticked boxes in the review file
+     * Returns: { approved: [[canonical, alias]], rejected: [[canonical, alias]] }
+     */
+    async readDecisions() {
+        const decisions = { approved: [], rejected: [] };
+        const content = await this.fileops.readSafe(this.reviewPath);
+        if (content === null) return decisions;
+
+        const proposals = [];
+        for (const line of content.split('\n')) {
+            const heading = line.match(HEADING);
+            const checkbox = line.match(CHECKBOX);
+
+            if (heading) {
+                proposals.push({ alias: heading[1], canonical: heading[2], ticked: [] });
+            } else if (checkbox && checkbox[1] !== ' ' && proposals.length > 0) {
+                proposals[proposals.length - 1].ticked.push(checkbox[2].toLowerCase());
+            }
+        }
+
+        for (const { alias, canonical, ticked } of proposals) {
+            if (ticked.length > 1) {
+                this.logger.warn(`Merge review: both boxes ticked for #${alias} → #${canonical}; leaving it pending`);
+            } else if (ticked[0] === 'approve') {
+                decisions.approved.push([canonical, alias]);
+            } else if (ticked[0] === 'reject') {
+                decisions.rejected.push([canonical, alias]);
+            }
+        }
+
+        return decisions;
+    }
+
+    format(pending) {
+        const header = '# Merge Review\n\n' +
+            '> Tick Approve or Reject for each proposed merge, then run the polisher again.\n' +
+            '> Approved merges become synonym rules; rejected pairs are never proposed again.\n' +
+            '> Decisions are kept in the topic registry. Unticked proposals stay pending.\n';
+
+        if (pending.length === 0) {
+            return header + '\nNo merges awaiting review.\n';
+        }
+
+        const blocks = pending.map(proposal => {
+            const scores = Similarity.formatScores(proposal);
+
+            return `### #${proposal.alias} → #${proposal.canonical}\n\n` +
+                `Confidence ${proposal.confidence.toFixed(2)} (${proposal.method}${scores})\n\n` +
+                '- [ ] Approve\n' +
+                '- [ ] Reject\n';
+        });
+
+        return header + '\n' + blocks.join('\n');
+    }
+
+    /**
+     * Write the pending proposals (replacing decided ones)
+     * Returns: the written content
+     */
+    async write(pending) {
+        const content = this.format(pending);
+        await this.fileops.writeAtomic(this.reviewPath, content);
+        return content;
+    }
+}
+
+module.exports = MergeReview;
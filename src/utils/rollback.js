@@ -0,0 +1,185 @@
+/**
+ * Rollback Utility
+ *
+ * Responsibilities:
+ * - Invert logged transaction entries (newest first)
+ * - Restore before-images from backups, remove files the run created
+ * - Remove directories the run created (when empty)
+ * - Detect files changed since a session (before undo)
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const Backup = require('./backup');
+
+class Rollback {
+    constructor(config, logger) {
+        this.config = config;
+        this.logger = logger;
+        this.memoryDir = path.join(process.cwd(), 'memory');
+        this.backup = new Backup(config, logger);
+
+        // Inverse operation for each logged action
+        this.inverses = {
+            write_topic_entry: (txn, result) => this.restoreFiles(txn, result),
+            write_cross_reference: (txn, result) => this.restoreFiles(txn, result),
+            merge_topic_file: (txn, result) => this.restoreFiles(txn, result),
+            update_topic_registry: (txn, result) => this.restoreFiles(txn, result),
+            update_merge_review: (txn, result) => this.restoreFiles(txn, result),
+            write_topic_index: (txn, result) => this.restoreFiles(txn, result),
+            replace_stubs: (txn, result) => this.restoreStubs(txn, result),
+            archive: (txn, result) => this.restoreFiles(txn, result),
+            heal_links: (txn, result) => this.restoreFiles(txn, result),
+            undo: (txn, result) => this.restoreFiles(txn, result),
+            restore_backup: (txn, result) => this.restoreFiles(txn, result),
+            create_directory: (txn, result) => this.removeDirectory(txn, result)
+        };
+    }
+
+    /**
+     * Revert entries in reverse log order
+     * Returns: { restored: [paths], removed: [paths], failed: [{ action, path, message }] }
+     * A path touched several times is reported once, by its final (pre-run) state.
+     */
+    async revert(transactions) {
+        const result = { steps: [], failed: [] };
+
+        for (const txn of [...transactions].reverse()) {
+            const inverse = this.inverses[txn.action];
+            if (!inverse) continue; // e.g. backup entries have nothing to undo
+
+            try {
+                await inverse(txn, result);
+            } catch (error) {
+                this.logger.error(`Rollback failed for ${txn.action} ${txn.target || ''}: ${error.message}`);
+                result.failed.push({ action: txn.action, path: txn.target, message: error.message });
+            }
+        }
+
+        const final = new Map();
+        for (const step of result.steps) final.set(step.path, step.op);
+
+        return {
+            restored: [...final].filter(([, op]) => op === 'restored').map(([p]) => p),
+            removed: [...final].filter(([, op]) => op === 'removed').map(([p]) => p),
+            failed: result.failed
+        };
+    }
+
+    /**
+     * Check that every file a session touched is still exactly as it left it,
+     * and that every before-image it needs is still in the backup store
+     * Returns: Array of { path, reason } (empty when the session can be undone)
+     */
+    async findConflicts(transactions) {
+        const finalHashes = new Map();
+        const beforeImages = new Map();
+        const conflicts = [];
+
+        for (const txn of transactions) {
+            if (!this.inverses[txn.action] || txn.action === 'create_directory') continue;
+
+            if (!txn.files) {
+                conflicts.push({ path: txn.target, reason: `${txn.action} entry has no file record; cannot verify` });
+                continue;
+            }
+
+            for (const file of txn.files) {
+                finalHashes.set(file.path, file.after_hash);
+                if (file.before_hash && !beforeImages.has(file.path)) {
+                    beforeImages.set(file.path, file.before_hash);
+                }
+            }
+        }
+
+        for (const [relPath, expected] of finalHashes) {
+            let actual = null;
+            try {
+                const content = await fs.readFile(this.resolve(relPath), 'utf8');
+                actual = crypto.createHash('sha256').update(content).digest('hex');
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+
+            if (actual === expected) continue;
+
+            let reason = 'modified since the session';
+            if (actual === null) reason = 'deleted since the session';
+            else if (expected === null) reason = 're-created since the session';
+            conflicts.push({ path: relPath, reason });
+        }
+
+        for (const [relPath, hash] of beforeImages) {
+            try {
+                await fs.access(await this.backup.getBackupPath(hash));
+            } catch {
+                conflicts.push({ path: relPath, reason: `backup ${hash.slice(0, 12)} is missing` });
+            }
+        }
+
+        return conflicts;
+    }
+
+    async restoreFiles(txn, result) {
+        // Files are restored in reverse order too (e.g. archive: dest removed, then source restored)
+        const files = [...(txn.files || [])].reverse();
+
+        for (const file of files) {
+            const absPath = this.resolve(file.path);
+
+            if (file.before_hash) {
+                await this.backup.restore(file.before_hash, absPath);
+                result.steps.push({ op: 'restored', path: file.path });
+                this.logger.debug(`Restored: ${file.path}`);
+            } else {
+                try {
+                    await fs.unlink(absPath);
+                    result.steps.push({ op: 'removed', path: file.path });
+                    this.logger.debug(`Removed: ${file.path}`);
+                } catch (error) {
+                    if (error.code !== 'ENOENT') throw error;
+                }
+            }
+        }
+    }
+
+    async restoreStubs(txn, result) {
+        if (txn.files) {
+            return this.restoreFiles(txn, result);
+        }
+
+        // Entries written before per-file records existed
+        if (!txn.hash || !txn.target) {
+            this.logger.warn(`Skipping rollback entry (missing hash/target): ${JSON.stringify({ action: txn.action, target: txn.target, hash: txn.hash })}`);
+            return;
+        }
+
+        await this.backup.restore(txn.hash, txn.target);
+        result.steps.push({ op: 'restored', path: path.relative(this.memoryDir, txn.target) });
+        this.logger.debug(`Restored: ${txn.target}`);
+    }
+
+    async removeDirectory(txn, result) {
+        try {
+            await fs.rmdir(this.resolve(txn.path));
+            result.steps.push({ op: 'removed', path: txn.path + '/' });
+        } catch (error) {
+            // Not empty (pre-existing content) or already gone: leave it
+            if (error.code !== 'ENOTEMPTY' && error.code !== 'ENOENT' && error.code !== 'EEXIST') throw error;
+        }
+    }
+
+    /**
+     * Resolve a memory-relative path, refusing anything outside memory/
+     */
+    resolve(relPath) {
+        const absPath = path.resolve(this.memoryDir, relPath);
+        if (absPath !== this.memoryDir && !absPath.startsWith(this.memoryDir + path.sep)) {
+            throw new Error(`Security violation: rollback path outside memory directory: ${relPath}`);
+        }
+        return absPath;
+    }
+}
+
+module.exports = Rollback;
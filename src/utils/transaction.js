@@ -11,11 +11,14 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const crypto = require('crypto');
 
 class Transaction {
-    constructor(config, logger) {
+    constructor(config, logger, options = {}) {
         this.config = config;
         this.logger = logger;
+        this.fs = options.fs || fs;
+        this.sessionId = options.sessionId || null;
         this.logPath = null;
         this.writeLock = Promise.resolve(); // Serialize writes
     }
@@ -27,14 +30,14 @@ class Transaction {
             this.config.advanced.cache_directory
         );
 
-        await fs.mkdir(logDir, { recursive: true });
+        await this.fs.mkdir(logDir, { recursive: true });
 
         this.logPath = path.join(logDir, 'transaction.log');
 
         try {
-            await fs.access(this.logPath);
+            await this.fs.access(this.logPath);
         } catch {
-            await fs.writeFile(this.logPath, '', 'utf8');
+            await this.fs.writeFile(this.logPath, '', 'utf8');
         }
 
         return this.logPath;
@@ -52,6 +55,7 @@ class Transaction {
             action: transaction.action,
             target: transaction.target || null,
             status: transaction.status || 'success',
+            session_id: this.sessionId,
             ...transaction
         };
 
@@ -60,7 +64,7 @@ class Transaction {
         // FIX: Serialize writes to prevent race conditions
         this.writeLock = this.writeLock.then(async () => {
             try {
-                await fs.appendFile(this.logPath, line, {
+                await this.fs.appendFile(this.logPath, line, {
                     encoding: 'utf8',
                     flag: 'a' // Atomic append mode
                 });
@@ -73,11 +77,26 @@ class Transaction {
         await this.writeLock;
     }
 
-    async read() {
+    /**
+     * Describe one file touched by an action, for rollback/undo
+     * beforeHash: backup hash of the previous content (null = file did not exist)
+     * afterContent: content left on disk (null = file removed)
+     */
+    fileChange(filepath, beforeHash, afterContent) {
+        return {
+            path: path.relative(path.join(process.cwd(), 'memory'), path.resolve(filepath)),
+            before_hash: beforeHash || null,
+            after_hash: afterContent === null || afterContent === undefined
+                ? null
+                : crypto.createHash('sha256').update(afterContent).digest('hex')
+        };
+    }
+
+    async read(logPath = null) {
         if (!this.logPath) await this.init();
 
         try {
-            const content = await fs.readFile(this.logPath, 'utf8');
+            const content = await this.fs.readFile(logPath || this.logPath, 'utf8');
             const lines = content.trim().split('\n').filter(l => l.length > 0);
             return lines.map(line => JSON.parse(line));
         } catch (error) {
@@ -88,6 +107,75 @@ class Transaction {
         }
     }
 
+    /**
+     * Read the current log and every archived log, oldest first
+     */
+    async readAll() {
+        if (!this.logPath) await this.init();
+
+        const logDir = path.dirname(this.logPath);
+        const archived = (await this.fs.readdir(logDir))
+            .filter(f => /^transaction_\d{14}(-\d+)?\.log$/.test(f))
+            .sort();
+
+        const entries = [];
+        for (const file of [...archived, path.basename(this.logPath)]) {
+            const logPath = path.join(logDir, file);
+            for (const entry of await this.read(logPath)) {
+                entries.push({ ...entry, log_file: file });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Summarize past sessions found in the logs, oldest first
+     * Returns: Array of { session_id, started_at, ended_at, entries, undone_by }
+     */
+    async listSessions() {
+        const sessions = new Map();
+        const undone = new Map();
+
+        for (const entry of await this.readAll()) {
+            if (entry.action === 'undo' && entry.undone_session) {
+                undone.set(entry.undone_session, entry.session_id);
+            }
+            if (!entry.session_id) continue;
+
+            if (!sessions.has(entry.session_id)) {
+                sessions.set(entry.session_id, {
+                    session_id: entry.session_id,
+                    started_at: entry.timestamp,
+                    ended_at: entry.timestamp,
+                    entries: []
+                });
+            }
+
+            const session = sessions.get(entry.session_id);
+            session.ended_at = entry.timestamp;
+            session.entries.push(entry);
+        }
+
+        return [...sessions.values()].map(session => ({
+            ...session,
+            undone_by: undone.get(session.session_id) || null
+        }));
+    }
+
+    /**
+     * Items this session already completed for an action (per-item resume markers)
+     */
+    async getCompletedItems(action) {
+        if (!this.sessionId) return new Set();
+
+        // Archived logs too: a resumed session may have re-run Phase 0
+        const transactions = await this.readAll();
+        return new Set(transactions
+            .filter(t => t.session_id === this.sessionId && t.action === action && t.status === 'success' && t.item)
+            .map(t => t.item));
+    }
+
     async getByAction(action) {
         const transactions = await this.read();
         return transactions.filter(t => t.action === action);
@@ -105,17 +193,31 @@ class Transaction {
 
     async clear() {
         if (!this.logPath) await this.init();
-        await fs.writeFile(this.logPath, '', 'utf8');
+        await this.fs.writeFile(this.logPath, '', 'utf8');
+    }
+
+    async exists(filepath) {
+        try {
+            await this.fs.access(filepath);
+            return true;
+        } catch {
+            return false;
+        }
     }
 
     async archive() {
         if (!this.logPath) await this.init();
 
         const timestamp = new Date().toISOString().replace(/[-:T.]/g, '').slice(0, 14);
-        const archivePath = this.logPath.replace('.log', `_${timestamp}.log`);
+        let archivePath = this.logPath.replace('.log', `_${timestamp}.log`);
+
+        // Never overwrite an earlier archive from the same second
+        for (let n = 1; await this.exists(archivePath); n++) {
+            archivePath = this.logPath.replace('.log', `_${timestamp}-${n}.log`);
+        }
 
-        await fs.rename(this.logPath, archivePath);
-        await fs.writeFile(this.logPath, '', 'utf8');
+        await this.fs.rename(this.logPath, archivePath);
+        await this.fs.writeFile(this.logPath, '', 'utf8');
 
         return archivePath;
     }
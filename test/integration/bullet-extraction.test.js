@@ -0,0 +1,98 @@
+/**
+ * Bullet-Level Extraction Integration Test
+ */
+
+const Phase2Extract = require('../../src/phases/phase2-extract');
+const Phase4Update = require('../../src/phases/phase4-update');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Bullet-level extraction', () => {
+    const workspace = path.join(__dirname, '../fixtures/bullet-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const today = new Date().toISOString().split('T')[0];
+    const logFile = `memory-${today}.md`;
+    const logPath = path.join(memoryDir, logFile);
+    const config = {
+        advanced: {
+            lookback_days: 7,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false },
+        extraction: { granularity: 'bullet' }
+    };
+    const logger = {
+        phase: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    };
+    const log = `# Daily Log
+
+## Notes
+- Coffee with Sam
+- Bought AAPL #trading
+  - limit order at 150
+- Call the dentist
+  1. Refactor parser #coding #trading
+
+## Standup #work
+- Demo went fine
+`;
+    let originalCwd;
+
+    const state = {
+        canonical_map: {
+            canonicalMap: { trading: ['trading'], coding: ['coding'], work: ['work'] },
+            aliasMap: {}
+        }
+    };
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(memoryDir, '.polish-cache', 'extractions'), { recursive: true });
+        await fs.writeFile(logPath, log, 'utf8');
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should extract tagged items with their children, and sections tagged outside lists whole', async () => {
+        const { extractions } = await new Phase2Extract(config, logger, state).execute();
+
+        expect(extractions.map(e => [e.granularity, e.primary_topic, e.full_content])).toEqual([
+            ['bullet', 'trading', '- Bought AAPL #trading\n  - limit order at 150'],
+            ['bullet', 'coding', '1. Refactor parser #coding #trading'],
+            [undefined, 'work', '## Standup #work\n- Demo went fine']
+        ]);
+    });
+
+    test('should replace extracted items with inline stubs, keeping the list intact', async () => {
+        const { extractions } = await new Phase2Extract(config, logger, state).execute();
+
+        const result = await new Phase4Update(config, logger, { session_id: 'bullet-test', extractions }).execute();
+        const updated = await fs.readFile(logPath, 'utf8');
+
+        expect(result.drift_conflicts).toEqual([]);
+        expect(updated.split('## Standup')[0]).toBe(`# Daily Log
+
+## Notes
+- Coffee with Sam
+- → **Polished to [Topics/Trading.md](Topics/Trading.md#${today})** on ${today}
+- Call the dentist
+  1. → **Primary:** [Topics/Coding.md](Topics/Coding.md#${today}) · **Also in:** [Topics/Trading.md](Topics/Trading.md#${today})
+
+`);
+
+        // A second pass finds nothing left to extract in the list
+        const second = await new Phase2Extract(config, logger, state).execute();
+        expect(second.extractions).toEqual([]);
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Source Drift Detection Integration Test
+ */
+
+const Phase4Update = require('../../src/phases/phase4-update');
+const Phase5Validate = require('../../src/phases/phase5-validate');
+const Parser = require('../../src/core/parser');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+describe('Source drift detection', () => {
+    const workspace = path.join(__dirname, '../fixtures/drift-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const logFile = 'memory-2026-02-05.md';
+    const logPath = path.join(memoryDir, logFile);
+    const config = {
+        advanced: {
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false }
+    };
+    const logger = {
+        phase: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    };
+    const original = `# Daily Log
+
+## Trading Note
+#trading
+
+Backtest results.
+
+## Lunch
+Nothing tagged here.
+`;
+    let originalCwd;
+
+    // Extraction as Phase 2 would have recorded it for the original log
+    const extractTrading = async () => {
+        const sections = await new Parser(config, logger).parseSections(original, logFile);
+        const section = sections.find(s => s.title === 'Trading Note');
+        return {
+            id: '20260205-00',
+            source_file: logFile,
+            source_line_start: section.lineStart,
+            source_line_end: section.lineEnd,
+            section_title: section.title,
+            primary_topic: 'trading',
+            secondary_topics: [],
+            full_content: section.content,
+            content_hash: crypto.createHash('sha256').update(section.content).digest('hex')
+        };
+    };
+
+    const runPhase4 = async (extraction) => new Phase4Update(config, logger, {
+        session_id: `drift-${Date.now()}`,
+        extractions: [extraction]
+    }).execute();
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(memoryDir, { recursive: true });
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should stub the section at its recorded lines when nothing changed', async () => {
+        await fs.writeFile(logPath, original, 'utf8');
+
+        const result = await runPhase4(await extractTrading());
+        const updated = await fs.readFile(logPath, 'utf8');
+
+        expect(result.drift_conflicts).toEqual([]);
+        expect(updated).toContain('→ **Polished to [Topics/Trading.md]');
+        expect(updated).not.toContain('Backtest results.');
+        expect(updated).toContain('Nothing tagged here.');
+    });
+
+    test('should relocate a section that moved by hash', async () => {
+        await fs.writeFile(logPath, original.replace('# Daily Log\n', '# Daily Log\n\n## Morning\nWoke up early.\n'), 'utf8');
+
+        const result = await runPhase4(await extractTrading());
+        const updated = await fs.readFile(logPath, 'utf8');
+
+        expect(result.drift_conflicts).toEqual([]);
+        expect(updated).toContain('## Morning\nWoke up early.');
+        expect(updated).toContain('## Trading Note\n→ **Polished to');
+        expect(updated).not.toContain('Backtest results.');
+    });
+
+    test('should leave an edited section in place and report a conflict', async () => {
+        const edited = original.replace('Backtest results.', 'Backtest results.\nAdded after extraction.');
+        await fs.writeFile(logPath, edited, 'utf8');
+
+        const result = await runPhase4(await extractTrading());
+
+        expect(await fs.readFile(logPath, 'utf8')).toBe(edited);
+        expect(result.files_modified).toBe(0);
+        expect(result.drift_conflicts).toEqual([{
+            extraction: '20260205-00',
+            file: logFile,
+            section: 'Trading Note',
+            line: 3,
+            reason: 'section was edited since extraction'
+        }]);
+    });
+
+    test('should surface drift conflicts as a validation category', () => {
+        const phase5 = new Phase5Validate(config, logger, {
+            drift_conflicts: [{ extraction: 'x', file: logFile, section: 'Trading Note', line: 3, reason: 'section no longer found' }]
+        });
+
+        phase5.checkDriftConflicts();
+
+        expect(phase5.warnings.map(w => w.type)).toEqual(['drift_conflict']);
+        expect(phase5.formatDriftConflicts()).toContain('section no longer found');
+        expect(phase5.formatWarnings()).toBe('- None');
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Dry Run Integration Test
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MemoryPolisher = require('../../src/index');
+
+describe('Dry Run', () => {
+    const testDir = path.join(__dirname, '../fixtures/dry-run-test/memory');
+    const today = new Date().toISOString().split('T')[0];
+    const logName = `memory-${today}.md`;
+    const sampleLog = `# Daily Log
+
+## Trading Analysis
+#trading #python
+
+Analyzed AAPL using Python backtest.
+
+## Health Note
+#health
+
+Went for a run.
+`;
+
+    const config = {
+        execution_mode: 'mechanical',
+        topic_similarity: { method: 'levenshtein', threshold: 0.8 },
+        advanced: {
+            lookback_days: 1,
+            min_tag_frequency: 1,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false },
+        recovery: { enable_checkpoints: true },
+        logging: { verbose: false, report_location: '.polish-reports/' },
+        performance: { batch_size: 10 },
+        cleanup: { auto_cleanup: false },
+        synonyms: []
+    };
+
+    beforeAll(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, logName), sampleLog, 'utf8');
+    });
+
+    afterAll(async () => {
+        await fs.rm(path.dirname(testDir), { recursive: true, force: true });
+    });
+
+    test('should report changes without writing them', async () => {
+        const originalCwd = process.cwd();
+        process.chdir(path.dirname(testDir));
+
+        try {
+            const polisher = new MemoryPolisher(config, { dry_run: true });
+            const result = await polisher.run();
+
+            expect(result.dry_run).toBe(true);
+
+            const changed = result.changes.map(c => `${c.type} ${path.relative(testDir, c.path)}`);
+            expect(changed).toContain(`modify ${logName}`);
+            expect(changed).toContain(`create ${path.join('Topics', 'Trading.md')}`);
+            expect(changed).toContain(`create ${path.join('Topics', 'Health.md')}`);
+
+            // Nothing under memory/ was touched besides the report
+            expect(await fs.readFile(path.join(testDir, logName), 'utf8')).toBe(sampleLog);
+            await expect(fs.access(path.join(testDir, 'Topics'))).rejects.toThrow();
+            await expect(fs.access(path.join(testDir, '.polish-cache'))).rejects.toThrow();
+
+            const report = await fs.readFile(result.report_path, 'utf8');
+            expect(report).toContain(`--- a/${logName}`);
+            expect(report).toContain('+++ b/Topics/Trading.md');
+            expect(report).toContain('-Went for a run.');
+        } finally {
+            process.chdir(originalCwd);
+        }
+    }, 30000);
+
+    test('should not create or write the embedding cache', async () => {
+        const originalCwd = process.cwd();
+        process.chdir(path.dirname(testDir));
+
+        try {
+            const embeddingConfig = {
+                ...config,
+                topic_similarity: { method: 'embedding', threshold: 0.8, provider: { type: 'local' } }
+            };
+            await new MemoryPolisher(embeddingConfig, { dry_run: true }).run();
+            await new MemoryPolisher(embeddingConfig).plan();
+
+            await expect(fs.access(path.join(testDir, '.polish-cache'))).rejects.toThrow();
+        } finally {
+            process.chdir(originalCwd);
+        }
+    }, 30000);
+});
@@ -0,0 +1,105 @@
+/**
+ * YAML Frontmatter Integration Test
+ */
+
+const Phase2Extract = require('../../src/phases/phase2-extract');
+const Phase4Update = require('../../src/phases/phase4-update');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('YAML frontmatter in daily logs', () => {
+    const workspace = path.join(__dirname, '../fixtures/frontmatter-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const logFile = 'notes.md';
+    const logPath = path.join(memoryDir, logFile);
+    const today = new Date().toISOString().split('T')[0];
+    const baseConfig = {
+        advanced: {
+            lookback_days: 7,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false }
+    };
+    const logger = {
+        phase: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    };
+    // Odd spacing and a comment: the block must come back exactly as written
+    const frontmatter = `---\ntags:   [trading, Health]\ndate: ${today}\nmood: "ok"  # comment\n---\n`;
+    const log = frontmatter + '## Backtest\n#python\nResults.\n\n## Walk\nTen thousand steps.\n';
+    let originalCwd;
+
+    const canonicalMap = {
+        canonicalMap: { trading: ['trading'], health: ['health'], python: ['python'] },
+        aliasMap: {}
+    };
+
+    const extract = (tagScope) => new Phase2Extract(
+        { ...baseConfig, frontmatter: { tag_scope: tagScope } },
+        logger,
+        { canonical_map: canonicalMap }
+    ).execute();
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(memoryDir, '.polish-cache', 'extractions'), { recursive: true });
+        await fs.writeFile(logPath, log, 'utf8');
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should apply frontmatter tags to every section and date undated logs', async () => {
+        const { extractions } = await extract('all');
+
+        expect(extractions.map(e => [e.section_title, e.primary_topic, e.secondary_topics])).toEqual([
+            ['Backtest', 'python', ['trading', 'health']],
+            ['Walk', 'trading', ['health']]
+        ]);
+        expect(extractions[0].source_date).toBe(today);
+        expect(extractions[0].id).toMatch(new RegExp(`^${today.replace(/-/g, '')}-[0-9a-f]{8}-00$`));
+    });
+
+    test('should keep extraction IDs of files sharing a date apart', async () => {
+        await fs.writeFile(path.join(memoryDir, 'other.md'), log, 'utf8');
+
+        const { extractions } = await extract('all');
+
+        expect(extractions).toHaveLength(4);
+        expect(new Set(extractions.map(e => e.id)).size).toBe(4);
+    });
+
+    test('should apply frontmatter tags to untagged sections only', async () => {
+        const { extractions } = await extract('untagged');
+
+        expect(extractions.map(e => [e.section_title, e.primary_topic, e.secondary_topics])).toEqual([
+            ['Backtest', 'python', []],
+            ['Walk', 'trading', ['health']]
+        ]);
+    });
+
+    test('should reject an unknown tag scope', () => {
+        expect(() => new Phase2Extract({ ...baseConfig, frontmatter: { tag_scope: 'some' } }, logger, {}))
+            .toThrow('Unknown frontmatter.tag_scope: some');
+    });
+
+    test('should keep frontmatter byte-for-byte when stubbing', async () => {
+        const { extractions } = await extract('all');
+
+        await new Phase4Update(baseConfig, logger, { session_id: 'frontmatter-test', extractions }).execute();
+        const updated = await fs.readFile(logPath, 'utf8');
+
+        expect(updated.startsWith(frontmatter)).toBe(true);
+        expect(updated).toContain(`→ **Primary:** [Topics/Python.md](Topics/Python.md#${today})`);
+        expect(updated).not.toContain('Ten thousand steps.');
+    });
+});
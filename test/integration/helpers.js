@@ -0,0 +1,94 @@
+/**
+ * Shared scaffolding for the topic-writing integration tests
+ *
+ * - A fresh test/fixtures/<name>/memory per test, used as the working directory
+ * - Extractions of memory-2026-02-05.md with the IDs Phase 2 generates
+ * - Phase 3 runs, each in a new session as a re-run over the same window would be
+ */
+
+const Phase2Extract = require('../../src/phases/phase2-extract');
+const Phase3Organize = require('../../src/phases/phase3-organize');
+const fs = require('fs').promises;
+const path = require('path');
+
+const config = {
+    advanced: {
+        topics_directory: 'Topics/',
+        cache_directory: '.polish-cache/'
+    }
+};
+
+const SOURCE_FILE = 'memory-2026-02-05.md';
+const SOURCE_DATE = '2026-02-05';
+
+const makeLogger = () => ({
+    phase: jest.fn(),
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+});
+
+/**
+ * Register hooks that give each test an empty workspace; setup(memoryDir)
+ * runs after it is created
+ * Returns: { workspace, memoryDir, topicsDir }
+ */
+function useWorkspace(name, setup = async () => {}) {
+    const workspace = path.join(__dirname, '../fixtures', name);
+    const memoryDir = path.join(workspace, 'memory');
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(memoryDir, { recursive: true });
+        await setup(memoryDir);
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    return { workspace, memoryDir, topicsDir: path.join(memoryDir, 'Topics') };
+}
+
+/**
+ * Extraction factory over defaults; `section` (default 1) is the section
+ * index in memory-2026-02-05.md the ID is generated from
+ */
+function makeExtraction(defaults) {
+    const phase2 = new Phase2Extract(config, makeLogger(), {});
+
+    return ({ section = 1, ...overrides } = {}) => ({
+        id: phase2.generateExtractionId(SOURCE_FILE, section, SOURCE_DATE),
+        source_file: SOURCE_FILE,
+        source_date: SOURCE_DATE,
+        ...defaults,
+        ...overrides
+    });
+}
+
+/**
+ * Phase 3 runner: run(extractions) executes one session per call
+ */
+function makeRunner(logger) {
+    let runs = 0;
+
+    return (extractions) => new Phase3Organize(config, logger, {
+        session_id: `test-session-${++runs}`,
+        extractions,
+        merge_proposals: []
+    }).execute();
+}
+
+module.exports = {
+    config,
+    SOURCE_FILE,
+    makeLogger,
+    useWorkspace,
+    makeExtraction,
+    makeRunner
+};
@@ -0,0 +1,60 @@
+/**
+ * Hierarchical Topics Integration Test
+ */
+
+const Phase5Validate = require('../../src/phases/phase5-validate');
+const fs = require('fs').promises;
+const path = require('path');
+const { config, SOURCE_FILE, makeLogger, useWorkspace, makeExtraction, makeRunner } = require('./helpers');
+
+describe('Hierarchical topics', () => {
+    const { topicsDir } = useWorkspace('hierarchical-test', memoryDir =>
+        fs.writeFile(path.join(memoryDir, SOURCE_FILE), '# Feb 5\n', 'utf8'));
+    const logger = makeLogger();
+    const run = makeRunner(logger);
+
+    const extraction = makeExtraction({
+        source_line_start: 3,
+        source_line_end: 5,
+        primary_topic: 'work/projectx',
+        secondary_topics: ['café'],
+        full_content: '## Kickoff\n#work/projectx #café\nScoped the milestones.',
+        content_hash: 'a'.repeat(64)
+    });
+
+    test('should write nested topic files linked relative to their directory', async () => {
+        await run([extraction()]);
+
+        const projectx = await fs.readFile(path.join(topicsDir, 'Work', 'Projectx.md'), 'utf8');
+        const cafe = await fs.readFile(path.join(topicsDir, 'Café.md'), 'utf8');
+
+        expect(projectx).toContain('# Work / Projectx');
+        expect(projectx).toContain('> Topic: #work/projectx');
+        expect(projectx).toContain('[memory-2026-02-05.md](../../memory-2026-02-05.md#L3)');
+        expect(cafe).toContain('[Work/Projectx.md](Work/Projectx.md)');
+    });
+
+    test('should index child topics under their parent', async () => {
+        await run([
+            extraction(),
+            extraction({ section: 2, primary_topic: 'work', secondary_topics: [], content_hash: 'b'.repeat(64), source_line_start: 9 })
+        ]);
+
+        const index = await fs.readFile(path.join(topicsDir, 'Work', '_index.md'), 'utf8');
+
+        expect(index).toContain('**Parent topic:** [Work.md](../Work.md)');
+        expect(index).toContain('- [Work/Projectx.md](Projectx.md) — #work/projectx (1 entries)');
+
+        const second = await run([extraction()]);
+        expect(second.topic_indexes_updated).toBe(0);
+    });
+
+    test('should pass link integrity checks', async () => {
+        await run([extraction(), extraction({ section: 2, primary_topic: 'work', secondary_topics: [], content_hash: 'b'.repeat(64) })]);
+
+        const phase5 = new Phase5Validate(config, logger, { extractions: [], merge_proposals: [] });
+        await phase5.checkLinkIntegrity();
+
+        expect(phase5.errors).toEqual([]);
+    });
+});
@@ -0,0 +1,69 @@
+/**
+ * Idempotent Topic Writes Integration Test
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { makeLogger, useWorkspace, makeExtraction, makeRunner } = require('./helpers');
+
+describe('Idempotent topic writes', () => {
+    const { topicsDir } = useWorkspace('idempotent-test');
+    const hash = 'a'.repeat(64);
+    const run = makeRunner(makeLogger());
+
+    const extraction = makeExtraction({
+        source_line_start: 3,
+        source_line_end: 6,
+        primary_topic: 'trading',
+        secondary_topics: ['python'],
+        full_content: '## Trading Note\n#trading #python\n\nBacktest results.',
+        content_hash: hash
+    });
+
+    const count = (content, text) => content.split(text).length - 1;
+
+    test('should not duplicate entries or stubs when run twice', async () => {
+        await run([extraction()]);
+        const trading = await fs.readFile(path.join(topicsDir, 'Trading.md'), 'utf8');
+        const python = await fs.readFile(path.join(topicsDir, 'Python.md'), 'utf8');
+
+        const second = await run([extraction()]);
+
+        expect(second.entries_written).toBe(0);
+        expect(second.entries_unchanged).toBe(1);
+        expect(second.cross_refs_created).toBe(0);
+        expect(second.cross_refs_unchanged).toBe(1);
+        expect(await fs.readFile(path.join(topicsDir, 'Trading.md'), 'utf8')).toBe(trading);
+        expect(await fs.readFile(path.join(topicsDir, 'Python.md'), 'utf8')).toBe(python);
+        expect(count(python, `**Ref Hash:** ${hash}`)).toBe(1);
+    });
+
+    test('should update an entry in place when its content hash matches', async () => {
+        await run([extraction(), extraction({ section: 2, content_hash: 'b'.repeat(64), source_line_start: 20, source_line_end: 22 })]);
+
+        const result = await run([extraction({ source_line_start: 5, source_line_end: 8 })]);
+        const trading = await fs.readFile(path.join(topicsDir, 'Trading.md'), 'utf8');
+
+        expect(result.entries_written).toBe(1);
+        expect(count(trading, `**Hash:** ${hash}`)).toBe(1);
+        expect(trading).toContain('(lines 5-8)');
+        expect(trading).not.toContain('(lines 3-6)');
+        expect(trading.indexOf('(lines 5-8)')).toBeLessThan(trading.indexOf('(lines 20-22)'));
+    });
+    test('should find an entry whose content holds a --- break', async () => {
+        const fullContent = '## Trading Note\n#trading #python\n\nBefore the break.\n\n---\n\n### Detail\nAfter the break.';
+        await run([extraction({ full_content: fullContent })]);
+
+        const unchanged = await run([extraction({ full_content: fullContent })]);
+        expect(unchanged.entries_unchanged).toBe(1);
+
+        const moved = await run([extraction({ full_content: fullContent, source_line_start: 5, source_line_end: 14 })]);
+        const trading = await fs.readFile(path.join(topicsDir, 'Trading.md'), 'utf8');
+
+        expect(moved.entries_written).toBe(1);
+        expect(count(trading, 'Before the break.')).toBe(1);
+        expect(count(trading, 'After the break.')).toBe(1);
+        expect(trading).toContain('(lines 5-14)');
+        expect(trading).not.toContain('(lines 3-6)');
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Interrupt (AbortSignal) Integration Test
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const MemoryPolisher = require('../../src/index');
+const Checkpoint = require('../../src/utils/checkpoint');
+const Transaction = require('../../src/utils/transaction');
+
+describe('Interrupted run', () => {
+    const testDir = path.join(__dirname, '../fixtures/interrupt-test/memory');
+    const today = new Date().toISOString().split('T')[0];
+    const logName = `memory-${today}.md`;
+    const sampleLog = `# Daily Log
+
+## Trading Analysis
+#trading
+
+Analyzed AAPL.
+
+## Health Note
+#health
+
+Went for a run.
+`;
+
+    const config = {
+        execution_mode: 'mechanical',
+        topic_similarity: { method: 'levenshtein', threshold: 0.8 },
+        advanced: {
+            lookback_days: 1,
+            min_tag_frequency: 1,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false },
+        recovery: { enable_checkpoints: true, checkpoint_file: '.polish-cache/checkpoint.json' },
+        logging: { verbose: false, report_location: '.polish-reports/' },
+        performance: { batch_size: 10 },
+        cleanup: { auto_cleanup: false },
+        synonyms: []
+    };
+
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(path.dirname(testDir), { recursive: true, force: true });
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, logName), sampleLog, 'utf8');
+        process.chdir(path.dirname(testDir));
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        process.chdir(originalCwd);
+        await fs.rm(path.dirname(testDir), { recursive: true, force: true });
+    });
+
+    test('should stop between items, checkpoint as interrupted and resume', async () => {
+        const controller = new AbortController();
+        const log = Transaction.prototype.log;
+
+        // Abort right after the first topic entry is committed
+        jest.spyOn(Transaction.prototype, 'log').mockImplementation(async function (entry) {
+            const result = await log.call(this, entry);
+            if (entry.action === 'write_topic_entry') controller.abort();
+            return result;
+        });
+
+        const polisher = new MemoryPolisher(config, { signal: controller.signal });
+        await expect(polisher.run()).rejects.toMatchObject({ name: 'AbortError' });
+
+        const checkpoint = await new Checkpoint(config).load();
+        expect(checkpoint.status).toBe('interrupted');
+        expect(checkpoint.completed_steps).toEqual(['0', '1', '2']);
+
+        // Nothing was rolled back: the committed entry is still there
+        const topics = await fs.readdir(path.join(testDir, 'Topics'));
+        expect(topics).toHaveLength(1);
+
+        // Lock released, so a new run can resume
+        jest.restoreAllMocks();
+        const result = await new MemoryPolisher(config).run();
+
+        expect(result.resumed).toBe(true);
+        const trading = await fs.readFile(path.join(testDir, 'Topics', 'Trading.md'), 'utf8');
+        const health = await fs.readFile(path.join(testDir, 'Topics', 'Health.md'), 'utf8');
+        expect(trading.match(/\*\*Hash:\*\*/g)).toHaveLength(1);
+        expect(health.match(/\*\*Hash:\*\*/g)).toHaveLength(1);
+        expect(await new Checkpoint(config).exists()).toBe(false);
+    }, 30000);
+
+    test('should not start when already aborted', async () => {
+        const controller = new AbortController();
+        controller.abort();
+
+        const polisher = new MemoryPolisher(config, { signal: controller.signal });
+        await expect(polisher.run()).rejects.toMatchObject({ name: 'AbortError' });
+
+        await expect(fs.access(path.join(testDir, 'Topics'))).rejects.toThrow();
+    }, 30000);
+});
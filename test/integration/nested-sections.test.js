@@ -0,0 +1,109 @@
+/**
+ * Nested Sections Integration Test
+ */
+
+const Phase2Extract = require('../../src/phases/phase2-extract');
+const Phase4Update = require('../../src/phases/phase4-update');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Nested sections', () => {
+    const workspace = path.join(__dirname, '../fixtures/nested-sections-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const today = new Date().toISOString().split('T')[0];
+    const logFile = `memory-${today}.md`;
+    const logPath = path.join(memoryDir, logFile);
+    const config = {
+        advanced: {
+            lookback_days: 7,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false }
+    };
+    const logger = {
+        phase: jest.fn(),
+        info: jest.fn(),
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    };
+    const log = `# Daily Log
+
+## Project X #work
+Kickoff notes.
+
+### Detail
+Untagged specs.
+
+### Budget #finance
+Numbers.
+
+## Personal
+Nothing tagged here.
+
+### Gym #health
+Leg day.
+
+## Lunch
+Soup.
+`;
+    let originalCwd;
+
+    const state = {
+        canonical_map: {
+            canonicalMap: { work: ['work'], finance: ['finance'], health: ['health'] },
+            aliasMap: {}
+        }
+    };
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(memoryDir, '.polish-cache', 'extractions'), { recursive: true });
+        await fs.writeFile(logPath, log, 'utf8');
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should extract a tagged section with its nested sections', async () => {
+        const { extractions } = await new Phase2Extract(config, logger, state).execute();
+
+        expect(extractions.map(e => [e.section_title, e.primary_topic, e.secondary_topics])).toEqual([
+            ['Project X #work', 'work', ['finance']],
+            ['Gym #health', 'health', []]
+        ]);
+        expect(extractions[0].full_content).toBe('## Project X #work\nKickoff notes.\n\n### Detail\nUntagged specs.\n\n### Budget #finance\nNumbers.');
+    });
+
+    test('should stub whole subtrees and keep heading levels', async () => {
+        const { extractions } = await new Phase2Extract(config, logger, state).execute();
+
+        const result = await new Phase4Update(config, logger, { session_id: 'nested-test', extractions }).execute();
+        const updated = await fs.readFile(logPath, 'utf8');
+
+        expect(result.drift_conflicts).toEqual([]);
+        expect(updated).toBe(`# Daily Log
+
+## Project X #work
+→ **Primary:** [Topics/Work.md](Topics/Work.md#${today})
+→ **Also in:** [Topics/Finance.md](Topics/Finance.md#${today})
+
+📎 Topics: #work #finance
+
+## Personal
+Nothing tagged here.
+
+### Gym #health
+→ **Polished to [Topics/Health.md](Topics/Health.md#${today})** on ${today}
+
+## Lunch
+Soup.
+`);
+    });
+});
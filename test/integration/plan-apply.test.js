@@ -0,0 +1,70 @@
+/**
+ * Plan / Apply Integration Test
+ */
+
+const MemoryPolisher = require('../../src/index');
+const Phase1Discover = require('../../src/phases/phase1-discover');
+const Phase2Extract = require('../../src/phases/phase2-extract');
+const Phase4Update = require('../../src/phases/phase4-update');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Plan and apply', () => {
+    const workspace = path.join(__dirname, '../fixtures/plan-apply-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const today = new Date().toISOString().split('T')[0];
+    const logPath = path.join(memoryDir, `memory-${today}.md`);
+    const config = {
+        execution_mode: 'mechanical',
+        topic_similarity: { method: 'levenshtein', threshold: 0.8 },
+        advanced: {
+            lookback_days: 1,
+            min_tag_frequency: 1,
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        archive: { enabled: false },
+        recovery: { enable_checkpoints: true },
+        logging: { verbose: false, report_location: '.polish-reports/' },
+        performance: { batch_size: 10 },
+        cleanup: { auto_cleanup: false },
+        synonyms: []
+    };
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(memoryDir, { recursive: true });
+        await fs.writeFile(logPath, '# Daily Log\n\n## Backtest\n#trading\n\nResults.\n', 'utf8');
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should resume an interrupted apply without re-running discovery or extraction', async () => {
+        const { plan_path: planPath, plan } = await new MemoryPolisher(config).plan();
+        expect(plan.extractions).toHaveLength(1);
+
+        // Interrupted (SIGINT) before Phase 4 wrote anything
+        const abort = Object.assign(new Error('This operation was aborted'), { name: 'AbortError' });
+        jest.spyOn(Phase4Update.prototype, 'execute').mockRejectedValueOnce(abort);
+        await expect(new MemoryPolisher(config).apply(planPath)).rejects.toThrow('aborted');
+
+        const discover = jest.spyOn(Phase1Discover.prototype, 'execute');
+        const extract = jest.spyOn(Phase2Extract.prototype, 'execute');
+        const result = await new MemoryPolisher(config).run();
+
+        expect(result.resumed).toBe(true);
+        expect(discover).not.toHaveBeenCalled();
+        expect(extract).not.toHaveBeenCalled();
+        expect(result.state.plan_id).toBe(plan.plan_id);
+        expect(await fs.readFile(path.join(memoryDir, 'Topics', 'Trading.md'), 'utf8')).toContain('Results.');
+        expect(await fs.readFile(logPath, 'utf8')).toContain('Polished to');
+    }, 30000);
+});
@@ -4,6 +4,10 @@
 
 const MemoryPolisher = require('../../src/index');
 const Checkpoint = require('../../src/utils/checkpoint');
+const Transaction = require('../../src/utils/transaction');
+const Phase3Organize = require('../../src/phases/phase3-organize');
+const Phase4Update = require('../../src/phases/phase4-update');
+const Phase5Validate = require('../../src/phases/phase5-validate');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -107,4 +111,107 @@ Test content.
             process.chdir(originalCwd);
         }
     }, 30000);
+
+    test('should start from the first phase not completed', async () => {
+        const originalCwd = process.cwd();
+        process.chdir(path.dirname(testDir));
+
+        try {
+            const polisher = new MemoryPolisher(config);
+            const started = [];
+            const spies = [Phase3Organize, Phase4Update, Phase5Validate].map(phaseClass =>
+                jest.spyOn(phaseClass.prototype, 'execute').mockImplementation(async function () {
+                    started.push(this.constructor.name);
+                    return {};
+                })
+            );
+
+            try {
+                await polisher.resumeExecution({
+                    current_phase: '3',
+                    completed_steps: ['0', '1', '2', '3'],
+                    session_id: 'resume-start'
+                });
+            } finally {
+                spies.forEach(spy => spy.mockRestore());
+            }
+
+            expect(started).toEqual(['Phase4Update', 'Phase5Validate']);
+        } finally {
+            process.chdir(originalCwd);
+        }
+    }, 30000);
+
+    test('should skip items the interrupted session already committed', async () => {
+        const originalCwd = process.cwd();
+        process.chdir(path.dirname(testDir));
+
+        try {
+            const logPath = path.join(testDir, 'memory-2026-02-05.md');
+            const original = await fs.readFile(logPath, 'utf8');
+            const extraction = {
+                id: 'memory-2026-02-05.md:2',
+                source_file: 'memory-2026-02-05.md',
+                source_line_start: 2,
+                source_line_end: 5,
+                section_title: 'Trading Note',
+                primary_topic: 'resumed',
+                secondary_topics: [],
+                full_content: '## Trading Note\n#trading\n\nTest content.',
+                content_hash: 'c'.repeat(64)
+            };
+            const state = { session_id: 'item-resume', extractions: [extraction], merge_proposals: [] };
+            const logger = { phase: jest.fn(), info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+            // Markers left behind by the interrupted session
+            const transaction = new Transaction(config, logger, { sessionId: 'item-resume' });
+            await transaction.log({ action: 'write_topic_entry', item: extraction.id, status: 'success' });
+            await transaction.log({ action: 'replace_stubs', item: 'memory-2026-02-05.md', status: 'success' });
+
+            const phase3 = await new Phase3Organize(config, logger, state).execute();
+            const phase4 = await new Phase4Update(config, logger, state).execute();
+
+            expect(phase3.entries_written).toBe(0);
+            await expect(fs.access(path.join(testDir, 'Topics', 'Resumed.md'))).rejects.toThrow();
+            expect(phase4.files_modified).toBe(0);
+            expect(await fs.readFile(logPath, 'utf8')).toBe(original);
+        } finally {
+            process.chdir(originalCwd);
+        }
+    }, 30000);
+    test('should heal links to files archived before an interruption', async () => {
+        const originalCwd = process.cwd();
+        process.chdir(path.dirname(testDir));
+
+        try {
+            const oldLog = 'memory-2020-01-01.md';
+            await fs.writeFile(path.join(testDir, oldLog), '# Old\n', 'utf8');
+            await fs.mkdir(path.join(testDir, 'Topics'), { recursive: true });
+            const topicPath = path.join(testDir, 'Topics', 'Archived.md');
+            await fs.writeFile(topicPath, `# Archived\n\nSource: [${oldLog}](../${oldLog}#L1)\n`, 'utf8');
+
+            const archiveConfig = { ...config, archive: { enabled: true, grace_period_days: 3 } };
+            const state = { session_id: 'archive-resume', extractions: [], merge_proposals: [], planned_archives: [oldLog] };
+            const logger = { phase: jest.fn(), info: jest.fn(), debug: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+            // Interrupted after archiving, before healing
+            const heal = jest.spyOn(Phase4Update.prototype, 'healLinks')
+                .mockRejectedValueOnce(new Error('Simulated interruption'));
+            try {
+                await expect(new Phase4Update(archiveConfig, logger, state).execute()).rejects.toThrow('Simulated interruption');
+            } finally {
+                heal.mockRestore();
+            }
+            await expect(fs.access(path.join(testDir, oldLog))).rejects.toThrow();
+
+            const resumed = await new Phase4Update(archiveConfig, logger, state).execute();
+
+            const year = new Date().getFullYear();
+            expect(resumed.files_archived).toBe(0);
+            expect(resumed.links_healed).toBe(1);
+            expect(await fs.readFile(topicPath, 'utf8')).toContain(`[${oldLog}](../Archive/${year}/${oldLog}#L1)`);
+        } finally {
+            process.chdir(originalCwd);
+        }
+    }, 30000);
 });
@@ -0,0 +1,80 @@
+/**
+ * Undo Integration Test
+ */
+
+const MemoryPolisher = require('../../src/index');
+const Backup = require('../../src/utils/backup');
+const Transaction = require('../../src/utils/transaction');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Undo', () => {
+    const workspace = path.join(__dirname, '../fixtures/undo-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const config = {
+        execution_mode: 'mechanical',
+        topic_similarity: { method: 'levenshtein', threshold: 0.8 },
+        advanced: {
+            topics_directory: 'Topics/',
+            archive_directory: 'Archive/',
+            cache_directory: '.polish-cache/'
+        },
+        logging: { verbose: false, report_location: '.polish-reports/' }
+    };
+    const logger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(memoryDir, 'Topics'), { recursive: true });
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('undo --last should skip backup restores and undo the last polish run', async () => {
+        // A polish run that rewrote a topic file
+        const topicPath = path.join(memoryDir, 'Topics', 'Trading.md');
+        await fs.writeFile(topicPath, '# Trading\n', 'utf8');
+        const runBackup = new Backup(config, logger, { sessionId: 'polish-run' });
+        const beforeHash = await runBackup.snapshot(topicPath);
+        await fs.writeFile(topicPath, '# Trading\n\nnew entry\n', 'utf8');
+        const run = new Transaction(config, logger, { sessionId: 'polish-run' });
+        await run.log({
+            action: 'write_topic_entry',
+            files: [run.fileChange(topicPath, beforeHash, '# Trading\n\nnew entry\n')],
+            status: 'success'
+        });
+
+        // Then a `backups restore` of another file
+        const notesPath = path.join(memoryDir, 'notes.md');
+        await fs.writeFile(notesPath, 'old notes\n', 'utf8');
+        await new Backup(config, logger).snapshot(notesPath);
+        await fs.writeFile(notesPath, 'new notes\n', 'utf8');
+        await new MemoryPolisher(config).backups('restore', 'notes.md');
+
+        const result = await new MemoryPolisher(config).undo(null, { last: true });
+
+        expect(result.session_id).toBe('polish-run');
+        expect(await fs.readFile(topicPath, 'utf8')).toBe('# Trading\n');
+    }, 30000);
+
+    test('backups restore should bring back the latest backup and be undoable', async () => {
+        const notesPath = path.join(memoryDir, 'notes.md');
+        await fs.writeFile(notesPath, 'old notes\n', 'utf8');
+        await new Backup(config, logger).snapshot(notesPath);
+        await fs.writeFile(notesPath, 'new notes\n', 'utf8');
+
+        const polisher = new MemoryPolisher(config);
+        await polisher.backups('restore', 'notes.md');
+        expect(await fs.readFile(notesPath, 'utf8')).toBe('old notes\n');
+
+        const restoreId = (await new Transaction(config, logger).listSessions()).pop().session_id;
+        await polisher.undo(restoreId);
+        expect(await fs.readFile(notesPath, 'utf8')).toBe('new notes\n');
+    }, 30000);
+});
@@ -18,6 +18,12 @@ describe('Backup', () => {
         debug: jest.fn()
     };
 
+    // Move every manifest record back in time, keeping their order
+    const ageRecords = async (days) => {
+        const createdAt = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        await backup.writeManifest((await backup.readManifest()).map(e => ({ ...e, created_at: createdAt })));
+    };
+
     beforeEach(async () => {
         backup = new Backup(mockConfig, mockLogger);
         await backup.init();
@@ -29,6 +35,7 @@ describe('Backup', () => {
             for (const file of files) {
                 await fs.unlink(path.join(backup.backupDir, file));
             }
+            await fs.rm(await backup.getManifestPath(), { force: true });
         } catch { }
     });
 
@@ -55,6 +62,26 @@ describe('Backup', () => {
         });
     });
 
+    describe('snapshot', () => {
+        test('should back up existing file and return its hash', async () => {
+            const filepath = path.join(backup.backupDir, '../snapshot-test.md');
+            const content = '# Before';
+            await fs.writeFile(filepath, content, 'utf8');
+
+            const hash = await backup.snapshot(filepath);
+
+            expect(hash).toBe(crypto.createHash('sha256').update(content).digest('hex'));
+            expect(await fs.readFile(await backup.getBackupPath(hash), 'utf8')).toBe(content);
+
+            await fs.unlink(filepath);
+        });
+
+        test('should return null for a file that does not exist yet', async () => {
+            const hash = await backup.snapshot(path.join(backup.backupDir, '../missing.md'));
+            expect(hash).toBeNull();
+        });
+    });
+
     describe('restore', () => {
         test('should restore file from backup', async () => {
             const content = '# Original Content';
@@ -78,16 +105,131 @@ describe('Backup', () => {
             const content = '# Test';
             const hash = crypto.createHash('sha256').update(content).digest('hex');
 
-            const backupPath = await backup.create('test.md', content, hash);
-
-            // Set mtime to 10 days ago
-            const tenDaysAgo = Date.now() - (10 * 24 * 60 * 60 * 1000);
-            await fs.utimes(backupPath, tenDaysAgo / 1000, tenDaysAgo / 1000);
+            await backup.create('test.md', content, hash);
+            await ageRecords(10);
 
             const deleted = await backup.cleanOld(7 * 24); // 7 days
 
             expect(deleted).toBe(1);
         });
+
+        test('should age backups by their manifest record, not file mtime', async () => {
+            const backupPath = await backup.create('test.md', '# Test', null);
+            const tenDaysAgo = (Date.now() - (10 * 24 * 60 * 60 * 1000)) / 1000;
+            await fs.utimes(backupPath, tenDaysAgo, tenDaysAgo);
+
+            expect(await backup.cleanOld(7 * 24)).toBe(0);
+        });
+    });
+
+    describe('manifest', () => {
+        const testDir = path.join(process.cwd(), 'memory', 'manifest-test');
+        const filepath = path.join(testDir, 'Trading.md');
+        const relPath = path.join('manifest-test', 'Trading.md');
+
+        beforeEach(async () => {
+            await fs.mkdir(testDir, { recursive: true });
+        });
+
+        afterEach(async () => {
+            await fs.rm(testDir, { recursive: true, force: true });
+        });
+
+        test('should record original path, session and size', async () => {
+            const sessionBackup = new Backup(mockConfig, mockLogger, { sessionId: 'session-1' });
+            await fs.writeFile(filepath, '# Trading', 'utf8');
+
+            const hash = await sessionBackup.snapshot(filepath);
+            await sessionBackup.snapshot(filepath);
+
+            const entries = await backup.history(relPath);
+            expect(entries).toHaveLength(1);
+            expect(entries[0]).toMatchObject({ hash, path: relPath, session_id: 'session-1', size: 9 });
+            expect(entries[0].created_at).toEqual(expect.any(String));
+        });
+
+        test('should record a path and content once across sessions', async () => {
+            await fs.writeFile(filepath, 'v1', 'utf8');
+            const v1 = await new Backup(mockConfig, mockLogger, { sessionId: 'session-1' }).snapshot(filepath);
+            await new Backup(mockConfig, mockLogger, { sessionId: 'session-2' }).snapshot(filepath);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await fs.writeFile(filepath, 'v2', 'utf8');
+            const v2 = await new Backup(mockConfig, mockLogger, { sessionId: 'session-3' }).snapshot(filepath);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await fs.writeFile(filepath, 'v1', 'utf8');
+            await new Backup(mockConfig, mockLogger, { sessionId: 'session-4' }).snapshot(filepath);
+
+            // Back to v1: its record moves after v2
+            expect((await backup.history(relPath)).map(e => [e.hash, e.session_id])).toEqual([
+                [v2, 'session-3'],
+                [v1, 'session-4']
+            ]);
+        });
+
+        test('should restore a path to its latest backup at a given time', async () => {
+            await fs.writeFile(filepath, 'v1', 'utf8');
+            await backup.snapshot(filepath);
+            const between = new Date();
+            await new Promise(resolve => setTimeout(resolve, 5));
+            await fs.writeFile(filepath, 'v2', 'utf8');
+            await backup.snapshot(filepath);
+            await fs.writeFile(filepath, 'v3', 'utf8');
+
+            await backup.restorePath(relPath, { at: between });
+            expect(await fs.readFile(filepath, 'utf8')).toBe('v1');
+
+            await backup.restorePath(relPath);
+            expect(await fs.readFile(filepath, 'utf8')).toBe('v2');
+        });
+
+        test('should refuse to restore outside memory/', async () => {
+            await expect(backup.restorePath('../outside.md')).rejects.toThrow('Security violation');
+        });
+
+        const session = (id, files, undoneBy = null) => ({
+            session_id: id,
+            undone_by: undoneBy,
+            entries: [{ action: 'write_topic_entry', files }]
+        });
+
+        test('should keep every before-image of sessions that can still be undone', async () => {
+            const hashes = [];
+            for (const version of ['v1', 'v2', 'v3', 'v4']) {
+                await fs.writeFile(filepath, version, 'utf8');
+                hashes.push(await backup.snapshot(filepath));
+            }
+            const [v1, v2, v3, v4] = hashes;
+            await ageRecords(10);
+
+            const change = (beforeHash) => [{ path: relPath, before_hash: beforeHash, after_hash: null }];
+            const deleted = await backup.cleanOld(7 * 24, {
+                sessions: [session('older', change(v1)), session('newer', change(v2)), session('undone', change(v3), 'undo-1')]
+            });
+
+            // v3 only served the undone session; v4 is the newest backup of the path
+            expect(deleted).toBe(1);
+            expect((await backup.history(relPath)).map(e => e.hash)).toEqual([v1, v2, v4]);
+            await expect(fs.access(await backup.getBackupPath(v1))).resolves.toBeUndefined();
+        });
+
+        test('should keep the only backup of an archived path, however old', async () => {
+            const archivedPath = path.join(testDir, 'memory-2020-01-01.md');
+            const archivedRel = path.join('manifest-test', 'memory-2020-01-01.md');
+            await fs.writeFile(archivedPath, '# Old log', 'utf8');
+            const archived = await backup.snapshot(archivedPath);
+            await fs.writeFile(filepath, 'unreferenced', 'utf8');
+            const unreferenced = await backup.snapshot(filepath);
+            await ageRecords(30);
+
+            // Its before-image only served a session that was undone since
+            const deleted = await backup.cleanOld(7 * 24, {
+                sessions: [session('archive-run', [{ path: archivedRel, before_hash: archived, after_hash: null }], 'undo-1')]
+            });
+
+            expect(deleted).toBe(1);
+            await expect(fs.access(await backup.getBackupPath(archived))).resolves.toBeUndefined();
+            await expect(fs.access(await backup.getBackupPath(unreferenced))).rejects.toThrow();
+        });
     });
 
     describe('getTotalSize', () => {
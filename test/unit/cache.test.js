@@ -0,0 +1,280 @@
+/**
+ * Embedding Cache Tests
+ */
+
+const Cache = require('../../src/utils/cache');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Cache', () => {
+    const workspace = path.join(__dirname, '../fixtures/cache-test');
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn()
+    };
+    const makeConfig = (backend, overrides = {}) => ({
+        advanced: { cache_directory: '.polish-cache/' },
+        performance: { cache_backend: backend, embedding_cache_ttl: 3600, ...overrides.performance },
+        cleanup: { max_cache_size_mb: 50, ...overrides.cleanup }
+    });
+    let originalCwd;
+    let cache;
+
+    // Save with a given timestamp (computed_at and last_used_at)
+    const saveAt = async (time, text, vector, model = 'm') => {
+        const spy = jest.spyOn(Date, 'now').mockReturnValue(time);
+        try {
+            await cache.saveEmbedding(text, vector, model, vector.length);
+        } finally {
+            spy.mockRestore();
+        }
+    };
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(workspace, 'memory'), { recursive: true });
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await cache?.close();
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    describe.each(['sqlite', 'file'])('%s backend', (backend) => {
+        beforeEach(() => {
+            cache = new Cache(makeConfig(backend), mockLogger);
+        });
+
+        test('should key entries by text, model and dimensions', async () => {
+            await cache.saveEmbedding('trading', [0.5, 0.25], 'http:model-a', 2);
+
+            expect(await cache.getEmbedding('trading', 'http:model-a', 2)).toEqual([0.5, 0.25]);
+            expect(await cache.getEmbedding('trading', 'http:model-b', 2)).toBeNull();
+            expect(await cache.getEmbedding('trading', 'http:model-a', 768)).toBeNull();
+
+            await cache.saveEmbedding('trading', [1, 0, 0], 'http:model-a', 3);
+            expect(await cache.getEmbedding('trading', 'http:model-a', 2)).toEqual([0.5, 0.25]);
+            expect((await cache.getStats()).count).toBe(2);
+        });
+
+        test('should look up and save in bulk across query chunks', async () => {
+            const vectors = {};
+            for (let i = 0; i < 1200; i++) {
+                vectors[`tag-${i}`] = [i, 1];
+            }
+
+            expect(await cache.saveEmbeddings(vectors, 'm', 2)).toBe(1200);
+
+            const found = await cache.getEmbeddings([...Object.keys(vectors), 'missing', 'tag-0'], 'm', 2);
+            expect(Object.keys(found)).toHaveLength(1200);
+            expect(found['tag-1199']).toEqual([1199, 1]);
+            expect(found.missing).toBeUndefined();
+        });
+
+        test('should persist across close and reopen', async () => {
+            await cache.saveEmbedding('trading', [0.5, 0.25], 'm', 2);
+            await cache.close();
+
+            cache = new Cache(makeConfig(backend), mockLogger);
+            expect(await cache.getEmbedding('trading', 'm', 2)).toEqual([0.5, 0.25]);
+        });
+
+        test('should expire entries older than the TTL on init', async () => {
+            await saveAt(Date.now() - 7200 * 1000, 'old', [1, 0]);
+            await saveAt(Date.now(), 'new', [0, 1]);
+            await cache.close();
+
+            await cache.init();
+
+            expect(cache.pruned).toEqual({ expired: 1, evicted: 0 });
+            expect(await cache.getEmbedding('old', 'm', 2)).toBeNull();
+            expect(await cache.getEmbedding('new', 'm', 2)).toEqual([0, 1]);
+        });
+
+        test('should evict least recently used entries down to the size cap', async () => {
+            const vector = new Array(256).fill(0.5); // 1 KiB as float32
+            await saveAt(Date.now() - 3000, 'a', vector);
+            await saveAt(Date.now() - 2000, 'b', vector);
+            await saveAt(Date.now() - 1000, 'c', vector);
+            await cache.getEmbedding('a', 'm', 256); // Now b is least recently used
+
+            const evicted = await cache.enforceSizeLimit(2100);
+
+            expect(evicted).toBe(1);
+            expect(await cache.getEmbedding('b', 'm', 256)).toBeNull();
+            expect(await cache.getEmbedding('a', 'm', 256)).not.toBeNull();
+            expect((await cache.getStats()).size).toBeLessThanOrEqual(2100);
+        });
+
+        test('should report stats per model and clear everything', async () => {
+            await cache.saveEmbedding('a', [1, 0], 'local:ngram-v1', 2);
+            await cache.saveEmbedding('b', [0, 1], 'http:embeddinggemma', 2);
+
+            const stats = await cache.getStats();
+            expect(stats.backend).toBe(backend);
+            expect(stats.count).toBe(2);
+            expect(stats.size).toBe(2 * (8 + 1));
+            expect(stats.models).toEqual([
+                { model_version: 'http:embeddinggemma', dimensions: 2, count: 1 },
+                { model_version: 'local:ngram-v1', dimensions: 2, count: 1 }
+            ]);
+
+            await cache.clear();
+            expect((await cache.getStats()).count).toBe(0);
+        });
+
+        test('should create nothing on disk in read-only mode', async () => {
+            cache = new Cache(makeConfig(backend), mockLogger, { readOnly: true });
+
+            expect(await cache.getEmbedding('trading', 'm', 2)).toBeNull();
+            expect(await cache.saveEmbeddings({ trading: [1, 0] }, 'm', 2)).toBe(0);
+            expect(await cache.enforceSizeLimit(1)).toBe(0);
+            await cache.close();
+
+            await expect(fs.access(path.join(workspace, 'memory', '.polish-cache'))).rejects.toThrow();
+        });
+
+        test('should read but not save, prune or touch an existing cache in read-only mode', async () => {
+            await saveAt(Date.now() - 7200 * 1000, 'old', [1, 0]);
+            await saveAt(Date.now(), 'new', [0, 1]);
+            await cache.close();
+            const file = path.join(cache.getDirectory(), backend === 'sqlite' ? 'embeddings.db' : 'embeddings.json');
+            const before = await fs.readFile(file);
+
+            cache = new Cache(makeConfig(backend), mockLogger, { readOnly: true });
+            expect(await cache.getEmbeddings(['old', 'new'], 'm', 2)).toEqual({ old: [1, 0], new: [0, 1] });
+            await cache.saveEmbedding('fresh', [1, 1], 'm', 2);
+            await cache.enforceSizeLimit(1);
+            await cache.close();
+
+            expect(await fs.readFile(file)).toEqual(before);
+            cache = new Cache(makeConfig(backend), mockLogger);
+            expect(await cache.getEmbedding('fresh', 'm', 2)).toBeNull();
+        });
+    });
+
+    describe('int8 quantization', () => {
+        const vector = Array.from({ length: 256 }, (_, i) => Math.sin(i));
+
+        test('should store one byte per dimension plus a scale', async () => {
+            cache = new Cache(makeConfig('file', { performance: { cache_quantization: 'int8' } }), mockLogger);
+            await cache.saveEmbedding('trading', vector, 'm', 256);
+
+            const restored = await cache.getEmbedding('trading', 'm', 256);
+            const stats = await cache.getStats();
+
+            expect(stats.size).toBe(256 + 4 + 'trading'.length);
+            restored.forEach((value, i) => expect(value).toBeCloseTo(vector[i], 1));
+        });
+
+        test('should read float32 entries after quantization is switched on', async () => {
+            cache = new Cache(makeConfig('file'), mockLogger);
+            await cache.saveEmbedding('trading', [0.5, 0.25], 'm', 2);
+            await cache.close();
+
+            cache = new Cache(makeConfig('file', { performance: { cache_quantization: 'int8' } }), mockLogger);
+            expect(await cache.getEmbedding('trading', 'm', 2)).toEqual([0.5, 0.25]);
+        });
+
+        test('should treat a vector of the wrong size as a miss', async () => {
+            cache = new Cache(makeConfig('file'), mockLogger);
+            const backend = await cache.init();
+            await backend.putMany([['trading', Buffer.alloc(5)]], 'm', 2, Date.now());
+
+            expect(await cache.getEmbedding('trading', 'm', 2)).toBeNull();
+        });
+    });
+
+    describe('sqlite backend storage', () => {
+        beforeEach(() => {
+            cache = new Cache(makeConfig('sqlite'), mockLogger);
+        });
+
+        test('should open the database in WAL mode', async () => {
+            const backend = await cache.init();
+
+            expect(await backend.db.get('PRAGMA journal_mode')).toEqual({ journal_mode: 'wal' });
+        });
+
+        test('should roll back a failed bulk save', async () => {
+            const backend = await cache.init();
+            const prepare = backend.db.prepare.bind(backend.db);
+            jest.spyOn(backend.db, 'prepare').mockImplementation(async (sql) => {
+                const statement = await prepare(sql);
+                const run = statement.run.bind(statement);
+                let calls = 0;
+                statement.run = (...params) => (++calls === 2 ? Promise.reject(new Error('disk full')) : run(...params));
+                return statement;
+            });
+
+            await expect(cache.saveEmbeddings({ ok: [1, 0], bad: [0, 1] }, 'm', 2)).rejects.toThrow('disk full');
+            expect((await cache.getStats()).count).toBe(0);
+        });
+
+        test('should drop a v1 table keyed by hashtag alone', async () => {
+            const backend = await cache.init();
+            await backend.db.exec(`
+                DROP TABLE embeddings;
+                CREATE TABLE embeddings (hashtag TEXT PRIMARY KEY, vector BLOB NOT NULL, dimensions INTEGER NOT NULL,
+                                         computed_at INTEGER NOT NULL, model_version TEXT NOT NULL);
+                PRAGMA user_version = 0;
+            `);
+            await cache.close();
+
+            await cache.saveEmbedding('trading', [1, 0], 'm', 2);
+
+            expect(await cache.getEmbedding('trading', 'm', 2)).toEqual([1, 0]);
+        });
+    });
+
+    describe('backend selection', () => {
+        test('should fall back to the file backend when sqlite3 cannot be loaded', async () => {
+            let stats;
+
+            await jest.isolateModulesAsync(async () => {
+                jest.doMock('sqlite3', () => {
+                    throw new Error('Could not locate the bindings file');
+                });
+                const IsolatedCache = require('../../src/utils/cache');
+                cache = new IsolatedCache(makeConfig('auto'), mockLogger);
+
+                await cache.saveEmbedding('trading', [1, 0], 'm', 2);
+                stats = await cache.getStats();
+            });
+
+            expect(stats.backend).toBe('file');
+            expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('using the file cache backend'));
+        });
+
+        test('should fail when an explicitly chosen backend cannot be loaded', async () => {
+            await jest.isolateModulesAsync(async () => {
+                jest.doMock('sqlite3', () => {
+                    throw new Error('Could not locate the bindings file');
+                });
+                const IsolatedCache = require('../../src/utils/cache');
+                cache = new IsolatedCache(makeConfig('sqlite'), mockLogger);
+
+                await expect(cache.init()).rejects.toThrow('Cache backend sqlite is unavailable');
+            });
+        });
+
+        test('should not need sqlite3 for mechanical runs', () => {
+            jest.isolateModules(() => {
+                jest.doMock('sqlite3', () => {
+                    throw new Error('Could not locate the bindings file');
+                });
+
+                expect(() => {
+                    require('../../src/index');
+                    const Phase2Extract = require('../../src/phases/phase2-extract');
+                    return new Phase2Extract(makeConfig('auto'), mockLogger, {});
+                }).not.toThrow();
+            });
+        });
+    });
+});
@@ -0,0 +1,116 @@
+/**
+ * Clustering Module Tests
+ */
+
+const Clustering = require('../../src/core/clustering');
+const Phase1Discover = require('../../src/phases/phase1-discover');
+
+describe('Clustering', () => {
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn()
+    };
+    const makeConfig = (linkage, synonyms = []) => ({
+        topic_similarity: { method: 'levenshtein', threshold: 0.8, clustering: { linkage } },
+        synonyms
+    });
+    const proposal = (canonical, alias, confidence, method = 'levenshtein') => ({ canonical, alias, confidence, method });
+    const topics = (counts) => Object.fromEntries(Object.entries(counts).map(([tag, count]) => [tag, { count }]));
+
+    describe('single linkage', () => {
+        test('should resolve a chain into one cluster with direct merges', () => {
+            const clustering = new Clustering(makeConfig('single'), mockLogger);
+
+            const { clusters, proposals } = clustering.resolve(
+                [proposal('b', 'a', 0.9), proposal('c', 'b', 0.85)],
+                topics({ a: 1, b: 2, c: 5 })
+            );
+
+            expect(clusters).toEqual([{ canonical: 'c', aliases: ['a', 'b'] }]);
+            expect(proposals).toEqual([
+                { ...proposal('c', 'a', 0.9), via: 'b' },
+                proposal('c', 'b', 0.85)
+            ]);
+        });
+
+        test('should give an alias proposed for two canonicals a single target', () => {
+            const clustering = new Clustering(makeConfig('single'), mockLogger);
+
+            const { proposals } = clustering.resolve(
+                [proposal('trading', 'trade', 0.9), proposal('trader', 'trade', 0.85)],
+                topics({ trading: 8, trader: 3, trade: 2 })
+            );
+
+            expect(proposals.map(p => `${p.alias}→${p.canonical}`)).toEqual(['trade→trading', 'trader→trading']);
+        });
+    });
+
+    describe('average and complete linkage', () => {
+        const chain = [proposal('b', 'a', 0.95), proposal('c', 'b', 0.9), proposal('c', 'a', 0.7)];
+
+        test('should not join clusters whose mean score is below the threshold', () => {
+            const clustering = new Clustering(makeConfig('average'), mockLogger);
+
+            const { clusters } = clustering.resolve(chain, topics({ a: 1, b: 2, c: 3 }));
+
+            // {a, b} joins at 0.95; c scores (0.9 + 0.7) / 2 = 0.8 against it
+            expect(clusters).toEqual([{ canonical: 'c', aliases: ['a', 'b'] }]);
+        });
+
+        test('should require every pair under complete linkage', () => {
+            const clustering = new Clustering(makeConfig('complete'), mockLogger);
+
+            const { clusters } = clustering.resolve(chain, topics({ a: 1, b: 2, c: 3 }));
+
+            expect(clusters).toEqual([{ canonical: 'b', aliases: ['a'] }]);
+        });
+
+        test('should always join synonym rules', () => {
+            const config = makeConfig('complete', [['coding', 'code', 'dev']]);
+            const clustering = new Clustering(config, mockLogger);
+
+            const { clusters } = clustering.resolve(
+                [proposal('coding', 'code', 1.0, 'synonym_rule'), proposal('coding', 'dev', 1.0, 'synonym_rule')],
+                topics({ coding: 1, code: 9, dev: 4 })
+            );
+
+            expect(clusters).toEqual([{ canonical: 'coding', aliases: ['code', 'dev'] }]);
+        });
+    });
+
+    describe('canonical rule', () => {
+        const clustering = new Clustering(makeConfig('single', [['trading', 'trade', 'market']]), mockLogger);
+
+        test('should prefer the earliest-listed synonym over usage', () => {
+            expect(clustering.chooseCanonical(['market', 'trade', 'stocks'], topics({ market: 2, trade: 1, stocks: 9 })))
+                .toBe('trade');
+        });
+
+        test('should fall back to usage, then length, then name', () => {
+            expect(clustering.chooseCanonical(['py', 'python'], topics({ py: 4, python: 2 }))).toBe('py');
+            expect(clustering.chooseCanonical(['python', 'py'], topics({ py: 2, python: 2 }))).toBe('py');
+            expect(clustering.chooseCanonical(['js', 'ts'], topics({ js: 2, ts: 2 }))).toBe('js');
+        });
+    });
+
+    test('should reject an unknown linkage', () => {
+        expect(() => new Clustering(makeConfig('ward'), mockLogger)).toThrow('Unknown clustering linkage: ward');
+    });
+
+    test('Phase 1 should build a canonical map with no alias left as a canonical', async () => {
+        const phase1 = new Phase1Discover(makeConfig('single'), { ...mockLogger, phase: jest.fn() }, {});
+        const discovered = topics({ trade: 2, trader: 3, trading: 8 });
+        phase1.similarity.computePairwiseSimilarity = async () => [
+            proposal('trader', 'trade', 0.9),
+            proposal('trading', 'trader', 0.85)
+        ];
+
+        const proposals = await phase1.analyzeSimilarity(discovered);
+        const { canonicalMap, aliasMap } = await phase1.createCanonicalMap(discovered, proposals);
+
+        expect(Object.keys(canonicalMap)).toEqual(['trading']);
+        expect(canonicalMap.trading).toMatchObject({ aliases: ['trade', 'trader'], count: 13 });
+        expect(aliasMap).toEqual({ trade: 'trading', trader: 'trading' });
+    });
+});
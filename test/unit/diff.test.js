@@ -0,0 +1,48 @@
+/**
+ * Diff Utility Tests
+ */
+
+const Diff = require('../../src/utils/diff');
+
+describe('Diff', () => {
+    let diff;
+
+    beforeEach(() => {
+        diff = new Diff();
+    });
+
+    describe('diffLines', () => {
+        test('should produce a minimal edit script', () => {
+            const ops = diff.diffLines('a\nb\nc', 'a\nB\nc');
+
+            expect(ops).toEqual([
+                { type: ' ', line: 'a' },
+                { type: '-', line: 'b' },
+                { type: '+', line: 'B' },
+                { type: ' ', line: 'c' }
+            ]);
+        });
+    });
+
+    describe('unified', () => {
+        test('should return empty string for identical text', () => {
+            expect(diff.unified('same', 'same', 'a/x', 'b/x')).toBe('');
+        });
+
+        test('should format a new file', () => {
+            const out = diff.unified(null, 'x\ny', '/dev/null', 'b/new.md');
+
+            expect(out).toBe('--- /dev/null\n+++ b/new.md\n@@ -0,0 +1,2 @@\n+x\n+y\n');
+        });
+
+        test('should split distant changes into separate hunks', () => {
+            const before = 'a\nb\nc\nd\ne\nf\ng\nh\ni\nj';
+            const after = 'a\nB\nc\nd\ne\nf\ng\nh\ni\nj\nk';
+
+            const out = diff.unified(before, after, 'a/f', 'b/f');
+            const hunks = out.split('\n').filter(l => l.startsWith('@@'));
+
+            expect(hunks).toEqual(['@@ -1,5 +1,5 @@', '@@ -8,3 +8,4 @@']);
+        });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * Embedding Provider Tests
+ */
+
+const http = require('http');
+const {
+    HttpEmbeddingProvider,
+    LocalEmbeddingProvider,
+    createProvider
+} = require('../../src/utils/embedding-providers');
+const MathUtils = require('../../src/utils/math');
+
+describe('Embedding providers', () => {
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn()
+    };
+
+    const makeConfig = (provider = {}) => ({
+        topic_similarity: {
+            model: 'test-model',
+            dimensions: 32,
+            provider: { retry_delay_ms: 1, dimensions: 64, ...provider }
+        },
+        performance: { batch_size: 2 }
+    });
+
+    describe('HttpEmbeddingProvider', () => {
+        let server;
+        let url;
+        let requests;
+        let handler;
+
+        const vectorFor = (text) => [text.length, 1, 0];
+
+        beforeEach(async () => {
+            requests = [];
+            handler = (body, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    data: body.input.map((text, index) => ({ index, embedding: vectorFor(text) }))
+                }));
+            };
+
+            server = http.createServer((req, res) => {
+                let raw = '';
+                req.on('data', chunk => { raw += chunk; });
+                req.on('end', () => {
+                    const body = JSON.parse(raw);
+                    requests.push(body);
+                    handler(body, res, requests.length);
+                });
+            });
+
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            url = `http://127.0.0.1:${server.address().port}/v1/embeddings`;
+        });
+
+        afterEach(async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        test('should send texts in batches and keep input order', async () => {
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3 }), mockLogger);
+
+            const vectors = await provider.embed(['a', 'bb', 'ccc', 'dddd', 'eeeee']);
+
+            expect(requests.map(r => r.input)).toEqual([['a', 'bb'], ['ccc', 'dddd'], ['eeeee']]);
+            expect(requests[0].model).toBe('test-model');
+            expect(vectors.map(v => v[0])).toEqual([1, 2, 3, 4, 5]);
+        });
+
+        test('should accept the Ollama /api/embed response shape', async () => {
+            handler = (body, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ embeddings: body.input.map(vectorFor) }));
+            };
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3 }), mockLogger);
+
+            expect(await provider.embed(['ab'])).toEqual([[2, 1, 0]]);
+        });
+
+        test('should reject vectors that do not match the configured full size', async () => {
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 768 }), mockLogger);
+
+            await expect(provider.embed(['ab'])).rejects.toThrow('returned 3-dimensional vectors, expected 768');
+        });
+
+        test('should retry server errors', async () => {
+            const succeed = handler;
+            handler = (body, res, count) => {
+                if (count === 1) {
+                    res.writeHead(503);
+                    res.end();
+                } else {
+                    succeed(body, res);
+                }
+            };
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3 }), mockLogger);
+
+            expect(await provider.embed(['ab'])).toEqual([[2, 1, 0]]);
+            expect(requests).toHaveLength(2);
+        });
+
+        test('should not retry client errors', async () => {
+            handler = (body, res) => {
+                res.writeHead(404);
+                res.end();
+            };
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3 }), mockLogger);
+
+            await expect(provider.embed(['ab'])).rejects.toThrow('returned HTTP 404');
+            expect(requests).toHaveLength(1);
+        });
+
+        test('should time out a stalled request and give up after the retries', async () => {
+            handler = () => {}; // Never respond
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3, timeout_ms: 50, retries: 1 }), mockLogger);
+
+            await expect(provider.embed(['ab'])).rejects.toThrow('timed out after 50ms');
+            expect(requests).toHaveLength(2);
+        });
+
+        test('should reject a response with the wrong number of vectors', async () => {
+            handler = (body, res) => {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ embeddings: [[1, 0]] }));
+            };
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3, retries: 0 }), mockLogger);
+
+            await expect(provider.embed(['a', 'b'])).rejects.toThrow('returned 1 vectors for 2 texts');
+        });
+
+        test('should not retry when nothing listens at the URL', async () => {
+            server.closeAllConnections();
+            await new Promise(resolve => server.close(resolve));
+            server = http.createServer(); // For afterEach
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3, retry_delay_ms: 60000 }), mockLogger);
+
+            await expect(provider.embed(['ab'])).rejects.toThrow(`No embedding server at ${url} (connection refused)`);
+        });
+
+        test('should abort a request in flight when the run is aborted', async () => {
+            const controller = new AbortController();
+            handler = () => controller.abort(); // Never respond
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3, timeout_ms: 60000 }), mockLogger);
+
+            await expect(provider.embed(['ab'], { signal: controller.signal })).rejects.toThrow('aborted');
+            expect(requests).toHaveLength(1);
+        });
+
+        test('should abort the backoff between retries', async () => {
+            const controller = new AbortController();
+            handler = (body, res) => {
+                res.writeHead(503);
+                res.end();
+            };
+            const provider = new HttpEmbeddingProvider(makeConfig({ url, dimensions: 3, retry_delay_ms: 60000 }), mockLogger);
+            mockLogger.warn.mockImplementationOnce(() => controller.abort());
+
+            const started = Date.now();
+            await expect(provider.embed(['ab'], { signal: controller.signal })).rejects.toThrow('aborted');
+            expect(Date.now() - started).toBeLessThan(5000);
+            expect(requests).toHaveLength(1);
+        });
+    });
+
+    describe('LocalEmbeddingProvider', () => {
+        const provider = new LocalEmbeddingProvider(makeConfig(), mockLogger);
+        const math = new MathUtils({}, mockLogger);
+
+        test('should be deterministic and normalized', async () => {
+            const [first] = await provider.embed(['trading']);
+            const [second] = await new LocalEmbeddingProvider(makeConfig(), mockLogger).embed(['trading']);
+
+            expect(first).toHaveLength(64);
+            expect(first).toEqual(second);
+            expect(Math.hypot(...first)).toBeCloseTo(1, 6);
+        });
+
+        test('should score overlapping strings above unrelated ones', async () => {
+            const [trade, trading, health] = await provider.embed(['trade', 'trading', 'health']);
+
+            expect(math.cosineSimilarity(trade, trading))
+                .toBeGreaterThan(math.cosineSimilarity(trade, health));
+        });
+    });
+
+    test('createProvider should select by type and reject unknown types', () => {
+        expect(createProvider(makeConfig({ type: 'local' }), mockLogger)).toBeInstanceOf(LocalEmbeddingProvider);
+        expect(createProvider(makeConfig(), mockLogger)).toBeInstanceOf(HttpEmbeddingProvider);
+        expect(() => createProvider(makeConfig({ type: 'magic' }), mockLogger)).toThrow('Unknown embedding provider: magic');
+    });
+});
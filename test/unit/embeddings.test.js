@@ -0,0 +1,72 @@
+/**
+ * Embeddings Tests
+ */
+
+const Embeddings = require('../../src/utils/embeddings');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Embeddings', () => {
+    const workspace = path.join(__dirname, '../fixtures/embeddings-test');
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn()
+    };
+    const makeConfig = (dimensions) => ({
+        topic_similarity: {
+            dimensions,
+            provider: { type: 'local', dimensions: 64 }
+        },
+        advanced: { cache_directory: '.polish-cache/' },
+        performance: { batch_size: 10, cache_backend: 'file' },
+        cleanup: {}
+    });
+    let originalCwd;
+    let embeddings;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(workspace, 'memory'), { recursive: true });
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await embeddings?.close();
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should truncate full vectors to the configured dimensions and re-normalize', async () => {
+        const tag = 'portfolio-rebalancing';
+        embeddings = new Embeddings(makeConfig(32), mockLogger);
+
+        const truncated = (await embeddings.getEmbeddings([tag]))[tag];
+        const full = (await embeddings.getFullEmbeddings([tag]))[tag];
+        const scale = Math.hypot(...full.slice(0, 32));
+
+        expect(truncated).toHaveLength(32);
+        expect(full).toHaveLength(64);
+        expect(Math.hypot(...truncated)).toBeCloseTo(1, 5);
+        truncated.forEach((value, i) => expect(value).toBeCloseTo(full[i] / scale, 5));
+    });
+
+    test('should cache the full vector once for every dimension setting', async () => {
+        embeddings = new Embeddings(makeConfig(16), mockLogger);
+        await embeddings.getEmbeddings(['trading', 'python']);
+        await embeddings.close();
+
+        embeddings = new Embeddings(makeConfig(32), mockLogger);
+        const provider = await embeddings.loadModel();
+        const embed = jest.spyOn(provider, 'embed');
+
+        const vectors = await embeddings.getEmbeddings(['trading', 'python']);
+        const stats = await embeddings.cache.getStats();
+
+        expect(embed).not.toHaveBeenCalled();
+        expect(vectors.python).toHaveLength(32);
+        expect(stats.models).toEqual([{ model_version: 'local:ngram-v1', dimensions: 64, count: 2 }]);
+    });
+});
@@ -0,0 +1,41 @@
+/**
+ * Frontmatter Module Tests
+ */
+
+const Frontmatter = require('../../src/core/frontmatter');
+
+describe('Frontmatter', () => {
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn() };
+    const frontmatter = new Frontmatter({}, mockLogger);
+
+    test('should parse tags, date and the raw block', () => {
+        const content = '---\ntags: [trading, "#health"]\ndate: 2026-02-05\n---\n## Note\n';
+
+        const parsed = frontmatter.parse(content);
+
+        expect(parsed).toMatchObject({
+            raw: '---\ntags: [trading, "#health"]\ndate: 2026-02-05\n---\n',
+            lineCount: 4,
+            tags: ['trading', 'health'],
+            date: '2026-02-05'
+        });
+    });
+
+    test('should read comma-separated tags and keep CRLF and BOM in the raw block', () => {
+        const content = '\uFEFF---\r\ntags: trading, health\r\ndate: "2026-02-05T09:30"\r\n---\r\nBody';
+
+        const parsed = frontmatter.parse(content);
+
+        expect(parsed.tags).toEqual(['trading', 'health']);
+        expect(parsed.date).toBe('2026-02-05');
+        expect(content.startsWith(parsed.raw)).toBe(true);
+        expect(content.slice(parsed.raw.length)).toBe('Body');
+    });
+
+    test('should not treat thematic breaks or invalid YAML as frontmatter', () => {
+        expect(frontmatter.parse('Text\n---\ntags: [a]\n---\n')).toBeNull();
+        expect(frontmatter.parse('---\nJust a sentence.\n---\n')).toBeNull();
+        expect(frontmatter.parse('---\ntags: [a\n---\n', 'memory-2026-02-05.md')).toBeNull();
+        expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('memory-2026-02-05.md'));
+    });
+});
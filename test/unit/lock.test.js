@@ -0,0 +1,131 @@
+/**
+ * Run Lock Tests
+ */
+
+const Lock = require('../../src/utils/lock');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+describe('Lock', () => {
+    const mockConfig = {
+        advanced: { cache_directory: '.polish-cache' },
+        recovery: { lock_heartbeat_seconds: 30, lock_stale_seconds: 120 }
+    };
+    const mockLogger = {
+        info: jest.fn(),
+        warn: jest.fn()
+    };
+    let lock;
+
+    const writeHolder = async (holder) => {
+        await fs.writeFile(lock.lockPath, JSON.stringify({
+            pid: process.pid,
+            host: os.hostname(),
+            session_id: 'other-session',
+            token: 'other',
+            heartbeat_at: new Date().toISOString(),
+            ...holder
+        }), 'utf8');
+    };
+
+    beforeEach(() => {
+        lock = new Lock(mockConfig, mockLogger, { pollMs: 10 });
+    });
+
+    afterEach(async () => {
+        await lock.release();
+        await fs.rm(lock.lockPath, { force: true });
+    });
+
+    test('should record pid, host and session in the lock file', async () => {
+        await lock.acquire({ sessionId: 'session-1' });
+
+        const holder = JSON.parse(await fs.readFile(lock.lockPath, 'utf8'));
+        expect(holder).toMatchObject({ pid: process.pid, host: os.hostname(), session_id: 'session-1' });
+        expect(holder.heartbeat_at).toEqual(expect.any(String));
+
+        await lock.setSession('session-2');
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).session_id).toBe('session-2');
+    });
+
+    test('should refuse a lock held by a live run', async () => {
+        await lock.acquire();
+        const second = new Lock(mockConfig, mockLogger, { pollMs: 10 });
+
+        await expect(second.acquire()).rejects.toThrow(`pid ${process.pid}`);
+    });
+
+    test('should remove the lock on release', async () => {
+        await lock.acquire();
+
+        expect(await lock.release()).toBe(true);
+        await expect(fs.access(lock.lockPath)).rejects.toThrow();
+    });
+
+    test('should take over a lock whose process is gone', async () => {
+        await fs.mkdir(path.dirname(lock.lockPath), { recursive: true });
+        await writeHolder({ pid: 999999999 });
+
+        await lock.acquire();
+
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).pid).toBe(process.pid);
+    });
+
+    test('should take over a lock with an overdue heartbeat', async () => {
+        await fs.mkdir(path.dirname(lock.lockPath), { recursive: true });
+        await writeHolder({ heartbeat_at: new Date(Date.now() - 600 * 1000).toISOString() });
+
+        await lock.acquire();
+
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).token).toBe(lock.token);
+    });
+
+    test('should wait for the holder to release', async () => {
+        const first = new Lock(mockConfig, mockLogger);
+        await first.acquire();
+        setTimeout(() => first.release(), 50);
+
+        await lock.acquire({ wait: 5 });
+
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).token).toBe(lock.token);
+    });
+
+    test('should force-unlock a live lock', async () => {
+        await fs.mkdir(path.dirname(lock.lockPath), { recursive: true });
+        await writeHolder({});
+
+        await lock.acquire({ force: true });
+
+        expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('Forcing unlock'));
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).token).toBe(lock.token);
+    });
+
+    test('should let only one of two contenders take over a stale lock', async () => {
+        await fs.mkdir(path.dirname(lock.lockPath), { recursive: true });
+        await writeHolder({ pid: 999999999 });
+        const other = new Lock(mockConfig, mockLogger, { pollMs: 10 });
+
+        // Both read the stale holder; the first takes over before the second acts
+        const stale = await other.read();
+        await lock.acquire();
+        jest.spyOn(other, 'read').mockResolvedValueOnce(stale);
+
+        await expect(other.acquire()).rejects.toThrow('Another polisher run holds the lock');
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).token).toBe(lock.token);
+        expect((await fs.readdir(path.dirname(lock.lockPath))).filter(f => f.startsWith('polisher.lock.'))).toEqual([]);
+    });
+
+    test('should stop the heartbeat and report when the lock was taken over', async () => {
+        const onLost = jest.fn();
+        const paused = new Lock({ ...mockConfig, recovery: { lock_heartbeat_seconds: 0.02 } }, { ...mockLogger, error: jest.fn() }, { onLost });
+        await paused.acquire();
+        await writeHolder({ token: 'taker' });
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(onLost).toHaveBeenCalledWith(expect.objectContaining({ code: 'ELOCKLOST' }));
+        expect(JSON.parse(await fs.readFile(lock.lockPath, 'utf8')).token).toBe('taker');
+        expect(await paused.release()).toBe(false);
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Markdown Tokenizer Module Tests
+ *
+ * Every case runs against remark-parse (imported the way load() does, which
+ * needs Jest's --experimental-vm-modules) and against the line-based scanner
+ */
+
+const MarkdownTokenizer = require('../../src/core/markdown');
+
+describe('MarkdownTokenizer', () => {
+    const logger = { debug: jest.fn() };
+    const processors = {};
+
+    beforeAll(async () => {
+        const { unified } = await import('unified');
+        const remarkParse = (await import('remark-parse')).default;
+        processors.remark = unified().use(remarkParse);
+        processors.lines = null;
+    });
+
+    describe.each(['remark', 'lines'])('%s', (name) => {
+        let markdown;
+
+        beforeAll(() => {
+            markdown = new MarkdownTokenizer({}, logger, { processor: processors[name] });
+        });
+
+        test('should blank fenced code and keep line numbers', () => {
+            const content = 'before\n~~~sh\n# install #deps\n~~~\nafter #tag';
+
+            const masked = markdown.mask(content);
+
+            expect(masked.split('\n')).toEqual(['before', '     ', '               ', '   ', 'after #tag']);
+        });
+
+        test('should keep link text and blank link and image destinations', () => {
+            const content = '[#linked](file.md#L4) ![#img](a.png#x) <https://x.io#y> https://x.io/#z';
+
+            const masked = markdown.mask(content);
+
+            expect(masked.trim()).toBe('[#linked]');
+            expect(masked).toHaveLength(content.length);
+        });
+
+        test('should blank inline code, HTML comments and link definitions', () => {
+            const content = 'a ``b ` #c`` d <!-- #e\n#f --> g\n\n[ref]: https://x.io/#h';
+
+            expect(markdown.mask(content).replace(/ +/g, ' ')).toBe('a d \n g\n\n ');
+        });
+
+        test('should blank indented code after a blank line or a heading', () => {
+            const content = 'intro\n\n    #define X\n\n    # comment #c\nafter\n## H\n\t#d';
+
+            const masked = markdown.mask(content);
+
+            expect(masked.split('\n').map(line => line.trim())).toEqual(['intro', '', '', '', '', 'after', '## H', '']);
+        });
+
+        test('should keep indented paragraph continuations and list content', () => {
+            const content = 'para #a\n    still #b\n\n- item\n\n    more #c';
+
+            expect(markdown.mask(content)).toBe(content);
+        });
+
+        test('should blank frontmatter', () => {
+            const content = '---\ntags: [a]\n---\n#body';
+
+            expect(markdown.mask(content)).toBe(`${' '.repeat(3)}\n${' '.repeat(9)}\n${' '.repeat(3)}\n#body`);
+        });
+    });
+
+    test('load() should import remark-parse', async () => {
+        const markdown = await new MarkdownTokenizer({}, logger).load();
+
+        expect(markdown.mask('intro\n\n    #x').trim()).toBe('intro');
+        expect(logger.debug).not.toHaveBeenCalledWith(expect.stringContaining('remark-parse unavailable'));
+    });
+});
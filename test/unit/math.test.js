@@ -104,4 +104,16 @@ describe('Math', () => {
             expect(normalized).toEqual([0, 0]);
         });
     });
+
+    describe('centroid', () => {
+        test('should average vectors and normalize the result', () => {
+            const centroid = math.centroid([[1, 0], [0, 1]]);
+            expect(centroid[0]).toBeCloseTo(0.70711, 5);
+            expect(centroid[1]).toBeCloseTo(0.70711, 5);
+        });
+
+        test('should return null for no vectors', () => {
+            expect(math.centroid([])).toBeNull();
+        });
+    });
 });
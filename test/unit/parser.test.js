@@ -54,6 +54,65 @@ without headers`;
             expect(sections).toHaveLength(1);
             expect(sections[0].title).toBe('test');
         });
+
+        test('should not split sections at headers inside code fences', async () => {
+            const content = `## Setup \`npm\`
+\`\`\`sh
+## not a header
+npm install
+\`\`\`
+
+## Next`;
+
+            const sections = await parser.parseSections(content, 'test.md');
+
+            expect(sections.map(s => s.title)).toEqual(['Setup `npm`', 'Next']);
+            expect(sections[0].lineEnd).toBe(4);
+        });
+
+        test('should keep frontmatter out of sections', async () => {
+            const content = '---\ntags: [trading]\n---\nBacktest results.\n';
+
+            const sections = await parser.parseSections(content, 'notes.md');
+
+            expect(sections).toEqual([expect.objectContaining({ lineStart: 3, content: 'Backtest results.' })]);
+        });
+    });
+
+    describe('section tree', () => {
+        test('should nest sections by heading level', async () => {
+            const content = '## Project #work\nPlan.\n### Detail\nSpecs.\n#### Note\nSmall.\n### Risks\nFew.\n\n## Lunch\nSoup.\n';
+
+            const sections = await parser.parseSections(content, 'test.md');
+
+            expect(sections.map(s => [s.title, s.parent, s.children, s.lineEnd, s.subtreeEnd])).toEqual([
+                ['Project #work', null, [1, 3], 1, 7],
+                ['Detail', 0, [2], 3, 5],
+                ['Note', 1, [], 5, 5],
+                ['Risks', 0, [], 7, 7],
+                ['Lunch', null, [], 10, 10]
+            ]);
+            expect(parser.subtree(content.split('\n'), sections[1]))
+                .toMatchObject({ lineStart: 2, lineEnd: 5, level: 3, content: '### Detail\nSpecs.\n#### Note\nSmall.' });
+        });
+    });
+
+    describe('parseListItems', () => {
+        test('should span nested children and skip markers in code', async () => {
+            const content = '## Notes\n- a\n- b #trading\n  - child\n\n  more\n  ```\n  - fenced\n  ```\n- c\n';
+            const sections = await parser.parseSections(content, 'test.md');
+
+            const items = await parser.parseListItems(content, sections);
+
+            expect(items.map(i => [i.title, i.lineStart, i.lineEnd])).toEqual([
+                ['a', 1, 1],
+                ['b #trading', 2, 8],
+                ['child', 3, 3],
+                ['c', 9, 9]
+            ]);
+            expect(items[1].text).toBe('- b #trading');
+            expect(items[2]).toMatchObject({ indent: '  ', marker: '-', content: '- child' });
+        });
     });
 
     describe('stripMarkdown', () => {
@@ -0,0 +1,102 @@
+/**
+ * Plan Utility Tests
+ */
+
+const Plan = require('../../src/utils/plan');
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+describe('Plan', () => {
+    const workspace = path.join(__dirname, '../fixtures/plan-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const content = '## Trading\n#trading\n\nBought SPY.\n';
+    const sha = (text) => crypto.createHash('sha256').update(text).digest('hex');
+    const mockConfig = {
+        advanced: { archive_directory: 'Archive/' }
+    };
+    const mockLogger = { debug: jest.fn() };
+    let originalCwd;
+    let plan;
+
+    const state = {
+        session_id: 'plan-1',
+        similarity_method: 'levenshtein',
+        merge_proposals: [{ canonical: 'trading', alias: 'trade', confidence: 0.9 }],
+        extractions: [{
+            id: '20260205-00',
+            source_file: 'memory-2026-02-05.md',
+            source_hash: sha(content),
+            content_hash: sha(content.trim())
+        }]
+    };
+
+    beforeAll(async () => {
+        await fs.mkdir(memoryDir, { recursive: true });
+        originalCwd = process.cwd();
+        process.chdir(workspace);
+    });
+
+    beforeEach(async () => {
+        await fs.writeFile(path.join(memoryDir, 'memory-2026-02-05.md'), content, 'utf8');
+        plan = new Plan(mockConfig, mockLogger);
+    });
+
+    afterAll(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    describe('build', () => {
+        test('should record file operations and pin archive moves', () => {
+            const changes = [
+                { type: 'create', path: path.join(memoryDir, 'Topics', 'Trading.md') },
+                {
+                    type: 'move',
+                    from: path.join(memoryDir, 'memory-2026-01-01.md'),
+                    path: path.join(memoryDir, 'Archive', '2026', 'memory-2026-01-01.md')
+                }
+            ];
+
+            const built = plan.build(state, changes);
+
+            expect(built.plan_id).toBe('plan-1');
+            expect(built.file_operations[0]).toEqual({ op: 'create', path: path.join('Topics', 'Trading.md') });
+            expect(built.planned_archives).toEqual(['memory-2026-01-01.md']);
+            expect(built.merge_proposals).toHaveLength(1);
+        });
+    });
+
+    describe('save/load', () => {
+        test('should round-trip a plan', async () => {
+            const filepath = path.join(workspace, 'plan.json');
+            await plan.save(plan.build(state, []), filepath);
+
+            const loaded = await plan.load(filepath);
+            expect(loaded.extractions[0].id).toBe('20260205-00');
+            expect(plan.toState(loaded).plan_id).toBe('plan-1');
+        });
+
+        test('should reject unknown plan versions', async () => {
+            const filepath = path.join(workspace, 'bad-plan.json');
+            await fs.writeFile(filepath, JSON.stringify({ version: '0.1.0' }), 'utf8');
+
+            await expect(plan.load(filepath)).rejects.toThrow('Unsupported plan version');
+        });
+    });
+
+    describe('verify', () => {
+        test('should pass when sources are unchanged', async () => {
+            expect(await plan.verify(plan.build(state, []))).toEqual([]);
+        });
+
+        test('should report sources modified since planning', async () => {
+            await fs.appendFile(path.join(memoryDir, 'memory-2026-02-05.md'), 'late edit\n', 'utf8');
+
+            const mismatches = await plan.verify(plan.build(state, []));
+
+            expect(mismatches).toHaveLength(1);
+            expect(mismatches[0]).toMatchObject({ file: 'memory-2026-02-05.md', expected: sha(content) });
+        });
+    });
+});
@@ -0,0 +1,158 @@
+/**
+ * Topic Registry Tests
+ */
+
+const TopicRegistry = require('../../src/utils/registry');
+const Phase1Discover = require('../../src/phases/phase1-discover');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('TopicRegistry', () => {
+    const workspace = path.join(__dirname, '../fixtures/registry-test');
+    const registryPath = path.join(workspace, 'memory', 'topic-registry.json');
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        phase: jest.fn()
+    };
+    const config = {
+        topic_similarity: { method: 'levenshtein', threshold: 0.8 },
+        advanced: { registry_file: 'topic-registry.json' },
+        synonyms: []
+    };
+    const writeRegistry = (topics) =>
+        fs.writeFile(registryPath, JSON.stringify({ version: 1, topics }), 'utf8');
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(workspace, 'memory'), { recursive: true });
+        process.chdir(workspace);
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    describe('update', () => {
+        test('should add canonicals and aliases and save atomically', async () => {
+            const registry = await new TopicRegistry(config, mockLogger).load();
+
+            const changed = registry.update({
+                trading: { aliases: ['trade'] },
+                python: { aliases: [] }
+            }, '2026-10-01');
+            await registry.save();
+
+            expect(changed).toBe(true);
+            const saved = JSON.parse(await fs.readFile(registryPath, 'utf8'));
+            expect(saved.topics).toEqual({
+                python: { aliases: [], first_seen: '2026-10-01', pinned: false },
+                trading: { aliases: ['trade'], first_seen: '2026-10-01', pinned: false }
+            });
+            expect(await fs.readdir(path.dirname(registryPath))).toEqual(['topic-registry.json']);
+        });
+
+        test('should hand a demoted canonical\'s aliases and first-seen date to the new canonical', async () => {
+            await writeRegistry({
+                trade: { aliases: ['trades'], first_seen: '2026-01-05', pinned: false },
+                trading: { aliases: [], first_seen: '2026-03-01', pinned: false }
+            });
+            const registry = await new TopicRegistry(config, mockLogger).load();
+
+            registry.update({ trading: { aliases: ['trade'] } }, '2026-10-01');
+
+            expect(registry.topics).toEqual({
+                trading: { aliases: ['trade', 'trades'], first_seen: '2026-01-05', pinned: false }
+            });
+        });
+
+        test('should never record a pinned topic as an alias', async () => {
+            await writeRegistry({ trade: { aliases: [], first_seen: '2026-01-05', pinned: true } });
+            const registry = await new TopicRegistry(config, mockLogger).load();
+
+            registry.update({ trading: { aliases: ['trade'] } }, '2026-10-01');
+
+            expect(registry.topics.trade.pinned).toBe(true);
+            expect(registry.topics.trading.aliases).toEqual([]);
+        });
+
+        test('should report no change when the map is already recorded', async () => {
+            const registry = await new TopicRegistry(config, mockLogger).load();
+            registry.update({ trading: { aliases: ['trade'] } }, '2026-10-01');
+
+            expect(registry.update({ trading: { aliases: ['trade'] } }, '2026-10-08')).toBe(false);
+        });
+    });
+
+    test('should reject a registry that is not valid JSON', async () => {
+        await fs.writeFile(registryPath, '{ "version": 1,', 'utf8');
+
+        await expect(new TopicRegistry(config, mockLogger).load()).rejects.toThrow('is not valid JSON');
+    });
+
+    describe('Phase 1', () => {
+        const topics = (counts) => Object.fromEntries(Object.entries(counts).map(([tag, count]) => [tag, { count }]));
+
+        const analyze = async (discovered, phaseConfig = config) => {
+            const phase1 = new Phase1Discover(phaseConfig, mockLogger, {});
+            await phase1.registry.load();
+            const proposals = await phase1.analyzeSimilarity(discovered);
+            return { proposals, map: await phase1.createCanonicalMap(discovered, proposals) };
+        };
+
+        test('should keep a registered canonical when usage flips', async () => {
+            await writeRegistry({ trading: { aliases: [], first_seen: '2026-01-05', pinned: false } });
+
+            const { proposals } = await analyze(topics({ trade: 9, trading: 2 }));
+
+            expect(proposals).toMatchObject([{ canonical: 'trading', alias: 'trade' }]);
+        });
+
+        test('should map registered aliases without comparing them again', async () => {
+            await writeRegistry({ coding: { aliases: ['dev'], first_seen: '2026-01-05', pinned: false } });
+
+            const { proposals, map } = await analyze(topics({ dev: 4, health: 3 }));
+
+            expect(proposals).toMatchObject([{ canonical: 'coding', alias: 'dev', method: 'registry' }]);
+            expect(map.aliasMap).toEqual({ dev: 'coding' });
+            expect(map.canonicalMap.coding).toMatchObject({ aliases: ['dev'], count: 4 });
+        });
+
+        test('should not merge two pinned topics', async () => {
+            await writeRegistry({
+                trade: { aliases: [], first_seen: '2026-01-05', pinned: true },
+                trading: { aliases: [], first_seen: '2026-01-05', pinned: true }
+            });
+
+            const { proposals } = await analyze(topics({ trade: 9, trading: 2 }));
+
+            expect(proposals).toEqual([]);
+        });
+
+        test('should not demote a registered canonical to an alias of another', async () => {
+            await writeRegistry({
+                trade: { aliases: [], first_seen: '2026-01-05', pinned: false },
+                trading: { aliases: [], first_seen: '2026-03-01', pinned: false }
+            });
+
+            const { proposals } = await analyze(topics({ trade: 2, trading: 9 }));
+
+            expect(proposals).toEqual([]);
+        });
+
+        test('should merge registered canonicals a synonym group joins', async () => {
+            await writeRegistry({
+                trade: { aliases: [], first_seen: '2026-01-05', pinned: false },
+                trading: { aliases: [], first_seen: '2026-03-01', pinned: false }
+            });
+
+            const { proposals } = await analyze(topics({ trade: 2, trading: 9 }), { ...config, synonyms: [['trading', 'trade']] });
+
+            expect(proposals).toMatchObject([{ canonical: 'trade', alias: 'trading', method: 'synonym_rule' }]);
+        });
+    });
+});
@@ -0,0 +1,135 @@
+/**
+ * Merge Review Tests
+ */
+
+const MergeReview = require('../../src/utils/review');
+const TopicRegistry = require('../../src/utils/registry');
+const Similarity = require('../../src/core/similarity');
+const Clustering = require('../../src/core/clustering');
+const Phase1Discover = require('../../src/phases/phase1-discover');
+const Phase3Organize = require('../../src/phases/phase3-organize');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('MergeReview', () => {
+    const workspace = path.join(__dirname, '../fixtures/review-test');
+    const reviewPath = path.join(workspace, 'memory', 'merge-review.md');
+    const mockLogger = {
+        debug: jest.fn(),
+        info: jest.fn(),
+        warn: jest.fn(),
+        phase: jest.fn()
+    };
+    const config = {
+        topic_similarity: { method: 'levenshtein', threshold: 0.8, review: { enabled: true, file: 'merge-review.md' } },
+        advanced: { registry_file: 'topic-registry.json' },
+        synonyms: []
+    };
+    const proposal = (canonical, alias, confidence, method = 'levenshtein') => ({ canonical, alias, confidence, method });
+    const topics = (counts) => Object.fromEntries(Object.entries(counts).map(([tag, count]) => [tag, { count }]));
+    let originalCwd;
+
+    beforeEach(async () => {
+        originalCwd = process.cwd();
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(path.join(workspace, 'memory'), { recursive: true });
+        process.chdir(workspace);
+        mockLogger.warn.mockClear();
+    });
+
+    afterEach(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    describe('review file', () => {
+        test('should write pending proposals as task lists', async () => {
+            const review = new MergeReview(config, mockLogger);
+
+            const content = await review.write([proposal('trading', 'trade', 0.87)]);
+
+            expect(content).toContain('### #trade → #trading\n\nConfidence 0.87 (levenshtein)\n\n- [ ] Approve\n- [ ] Reject\n');
+            expect(await fs.readFile(reviewPath, 'utf8')).toBe(content);
+        });
+
+        test('should read ticked boxes as decisions', async () => {
+            const review = new MergeReview(config, mockLogger);
+            const content = review.format([proposal('trading', 'trade', 0.87), proposal('python', 'py', 0.82), proposal('code', 'coder', 0.8)])
+                .replace('- [ ] Approve', '- [x] Approve')
+                .replace(/(#py → #python[\s\S]*?)- \[ \] Reject/, '$1- [X] Reject');
+            await fs.writeFile(reviewPath, content, 'utf8');
+
+            expect(await review.readDecisions()).toEqual({
+                approved: [['trading', 'trade']],
+                rejected: [['python', 'py']]
+            });
+        });
+
+        test('should leave a proposal with both boxes ticked pending', async () => {
+            const review = new MergeReview(config, mockLogger);
+            await fs.writeFile(reviewPath, '### #trade → #trading\n\n- [x] Approve\n- [x] Reject\n', 'utf8');
+
+            expect(await review.readDecisions()).toEqual({ approved: [], rejected: [] });
+            expect(mockLogger.warn).toHaveBeenCalledWith(expect.stringContaining('both boxes ticked'));
+        });
+    });
+
+    describe('decisions', () => {
+        test('should let a later decision on a pair replace the earlier one', async () => {
+            const registry = await new TopicRegistry(config, mockLogger).load();
+
+            registry.recordDecisions({ approved: [['trading', 'trade']] });
+            registry.recordDecisions({ rejected: [['trading', 'trade']] });
+
+            expect(registry.decisions).toEqual({ never_merge: [['trade', 'trading']], synonyms: [] });
+        });
+
+        test('should never propose a rejected pair and always an approved one', async () => {
+            const similarity = new Similarity(config, mockLogger);
+
+            const proposals = await similarity.computePairwiseSimilarity(
+                ['trade', 'trading', 'js', 'javascript'],
+                topics({ trade: 2, trading: 5, js: 3, javascript: 1 }),
+                {},
+                { never_merge: [['trade', 'trading']], synonyms: [['javascript', 'js']] }
+            );
+
+            expect(proposals).toEqual([
+                expect.objectContaining({ canonical: 'javascript', alias: 'js', method: 'synonym_rule' })
+            ]);
+        });
+
+        test('should keep a never_merge pair in separate clusters', () => {
+            const clustering = new Clustering(config, mockLogger);
+
+            const { clusters } = clustering.resolve(
+                [proposal('b', 'a', 0.9), proposal('c', 'b', 0.85)],
+                topics({ a: 1, b: 2, c: 5 }),
+                { neverMerge: [['a', 'c']] }
+            );
+
+            expect(clusters).toEqual([{ canonical: 'b', aliases: ['a'] }]);
+        });
+    });
+
+    test('Phase 1 should hold similarity proposals for review', async () => {
+        await fs.writeFile(reviewPath, '### #code → #coding\n\n- [x] Approve\n- [ ] Reject\n', 'utf8');
+        const phase1 = new Phase1Discover(config, mockLogger, {});
+        await phase1.registry.load();
+        phase1.reviewDecisions = await phase1.review.readDecisions();
+        phase1.registry.recordDecisions(phase1.reviewDecisions);
+
+        const proposals = await phase1.analyzeSimilarity(topics({ trade: 2, trading: 5, code: 3, coding: 4 }));
+
+        expect(proposals).toMatchObject([{ canonical: 'coding', alias: 'code', method: 'synonym_rule' }]);
+        expect(phase1.pendingReview).toMatchObject([{ canonical: 'trading', alias: 'trade' }]);
+    });
+
+    test('Phase 3 should point links at a merged alias file to the canonical', () => {
+        const phase3 = new Phase3Organize(config, mockLogger, {});
+        const content = '📌 **Full entry:** [Trade.md](Trade.md)\n[Trade.md](Trade.md#L4) [Trades.md](Trades.md)\n';
+
+        expect(phase3.retargetLinks(content, 'Coding.md', 'Trade.md', 'Trading.md'))
+            .toBe('📌 **Full entry:** [Trading.md](Trading.md)\n[Trading.md](Trading.md#L4) [Trades.md](Trades.md)\n');
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Rollback Utility Tests
+ */
+
+const Rollback = require('../../src/utils/rollback');
+const Backup = require('../../src/utils/backup');
+const Transaction = require('../../src/utils/transaction');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('Rollback', () => {
+    const workspace = path.join(__dirname, '../fixtures/rollback-test');
+    const memoryDir = path.join(workspace, 'memory');
+    const mockConfig = {
+        advanced: { cache_directory: '.polish-cache' }
+    };
+    const mockLogger = {
+        debug: jest.fn(),
+        warn: jest.fn(),
+        error: jest.fn()
+    };
+    let originalCwd;
+    let backup;
+    let transaction;
+
+    beforeAll(() => {
+        originalCwd = process.cwd();
+    });
+
+    beforeEach(async () => {
+        await fs.rm(workspace, { recursive: true, force: true });
+        await fs.mkdir(memoryDir, { recursive: true });
+        process.chdir(workspace);
+
+        backup = new Backup(mockConfig, mockLogger);
+        transaction = new Transaction(mockConfig, mockLogger);
+    });
+
+    afterAll(async () => {
+        process.chdir(originalCwd);
+        await fs.rm(workspace, { recursive: true, force: true });
+    });
+
+    test('should restore modified files and remove created ones', async () => {
+        const topicPath = path.join(memoryDir, 'Topics', 'Trading.md');
+        const newTopicPath = path.join(memoryDir, 'Topics', 'Python.md');
+        await fs.mkdir(path.dirname(topicPath), { recursive: true });
+        await fs.writeFile(topicPath, '# Trading\n', 'utf8');
+
+        const beforeHash = await backup.snapshot(topicPath);
+        await fs.writeFile(topicPath, '# Trading\n\nnew entry\n', 'utf8');
+        await fs.writeFile(newTopicPath, '# Python\n', 'utf8');
+
+        const entries = [
+            { action: 'write_topic_entry', files: [transaction.fileChange(topicPath, beforeHash, '# Trading\n\nnew entry\n')] },
+            { action: 'write_topic_entry', files: [transaction.fileChange(newTopicPath, null, '# Python\n')] }
+        ];
+
+        const result = await new Rollback(mockConfig, mockLogger).revert(entries);
+
+        expect(await fs.readFile(topicPath, 'utf8')).toBe('# Trading\n');
+        await expect(fs.access(newTopicPath)).rejects.toThrow();
+        expect(result.restored).toEqual([path.join('Topics', 'Trading.md')]);
+        expect(result.removed).toEqual([path.join('Topics', 'Python.md')]);
+    });
+
+    test('should move archived files back and drop created directories', async () => {
+        const sourcePath = path.join(memoryDir, 'memory-2026-01-01.md');
+        const archiveDir = path.join(memoryDir, 'Archive', '2026');
+        const destPath = path.join(archiveDir, 'memory-2026-01-01.md');
+        await fs.writeFile(sourcePath, '## Old\n', 'utf8');
+
+        const sourceHash = await backup.snapshot(sourcePath);
+        await fs.mkdir(archiveDir, { recursive: true });
+        await fs.rename(sourcePath, destPath);
+
+        const entries = [
+            { action: 'create_directory', path: 'Archive' },
+            { action: 'create_directory', path: path.join('Archive', '2026') },
+            {
+                action: 'archive',
+                files: [
+                    transaction.fileChange(sourcePath, sourceHash, null),
+                    transaction.fileChange(destPath, null, '## Old\n')
+                ]
+            }
+        ];
+
+        await new Rollback(mockConfig, mockLogger).revert(entries);
+
+        expect(await fs.readFile(sourcePath, 'utf8')).toBe('## Old\n');
+        await expect(fs.access(path.join(memoryDir, 'Archive'))).rejects.toThrow();
+    });
+
+    test('should undo a chain of writes to the earliest before-image', async () => {
+        const topicPath = path.join(memoryDir, 'Trading.md');
+        await fs.writeFile(topicPath, 'v1', 'utf8');
+        const v1 = await backup.snapshot(topicPath);
+        await fs.writeFile(topicPath, 'v2', 'utf8');
+        const v2 = await backup.snapshot(topicPath);
+        await fs.writeFile(topicPath, 'v3', 'utf8');
+
+        const entries = [
+            { action: 'write_topic_entry', files: [transaction.fileChange(topicPath, v1, 'v2')] },
+            { action: 'heal_links', files: [transaction.fileChange(topicPath, v2, 'v3')] }
+        ];
+
+        await new Rollback(mockConfig, mockLogger).revert(entries);
+
+        expect(await fs.readFile(topicPath, 'utf8')).toBe('v1');
+    });
+
+    test('should report files changed since the session', async () => {
+        const keptPath = path.join(memoryDir, 'Kept.md');
+        const editedPath = path.join(memoryDir, 'Edited.md');
+        const createdPath = path.join(memoryDir, 'Created.md');
+        await fs.writeFile(keptPath, 'before', 'utf8');
+        await fs.writeFile(editedPath, 'before', 'utf8');
+        const keptHash = await backup.snapshot(keptPath);
+        const editedHash = await backup.snapshot(editedPath);
+        await fs.writeFile(keptPath, 'after', 'utf8');
+        await fs.writeFile(editedPath, 'after', 'utf8');
+
+        const entries = [
+            { action: 'write_topic_entry', files: [transaction.fileChange(keptPath, keptHash, 'after')] },
+            { action: 'write_topic_entry', files: [transaction.fileChange(editedPath, editedHash, 'after')] },
+            { action: 'write_topic_entry', files: [transaction.fileChange(createdPath, null, 'new')] }
+        ];
+        const rollback = new Rollback(mockConfig, mockLogger);
+
+        expect(await rollback.findConflicts(entries)).toEqual([
+            { path: 'Created.md', reason: 'deleted since the session' }
+        ]);
+
+        await fs.writeFile(createdPath, 'new', 'utf8');
+        await fs.writeFile(editedPath, 'hand edit', 'utf8');
+
+        expect(await rollback.findConflicts(entries)).toEqual([
+            { path: 'Edited.md', reason: 'modified since the session' }
+        ]);
+    });
+
+    test('should report missing before-images', async () => {
+        const topicPath = path.join(memoryDir, 'Trading.md');
+        await fs.writeFile(topicPath, 'after', 'utf8');
+        const entries = [{ action: 'write_topic_entry', files: [transaction.fileChange(topicPath, 'f'.repeat(64), 'after')] }];
+
+        const conflicts = await new Rollback(mockConfig, mockLogger).findConflicts(entries);
+
+        expect(conflicts).toEqual([{ path: 'Trading.md', reason: 'backup ffffffffffff is missing' }]);
+    });
+
+    test('should refuse paths outside memory/', async () => {
+        const entries = [{ action: 'write_topic_entry', target: 'evil', files: [{ path: '../outside.md', before_hash: null }] }];
+
+        const result = await new Rollback(mockConfig, mockLogger).revert(entries);
+
+        expect(result.failed).toHaveLength(1);
+        expect(result.failed[0].message).toContain('Security violation');
+    });
+});
@@ -3,6 +3,7 @@
  */
 
 const Scanner = require('../../src/core/scanner');
+const Phase2Extract = require('../../src/phases/phase2-extract');
 
 describe('Scanner', () => {
     let scanner;
@@ -63,6 +64,54 @@ More #trading`;
             expect(hashtags).toHaveProperty('trading');
             expect(hashtags.trading.count).toBe(3);
         });
+
+        test('Phase 2 should accept the same tags as Phase 1', () => {
+            const phase2 = new Phase2Extract(mockConfig, mockLogger, {});
+            const content = '## Note\n#123 #UPPERCASE #Trading #trading #ai';
+
+            expect(phase2.detectHashtags(content)).toEqual(['trading', 'ai']);
+            expect(phase2.detectHashtags(content)).toEqual(Object.keys(scanner.extractHashtags(content, 'test.md')));
+        });
+
+        test('should ignore code, HTML comments and link URLs', () => {
+            const content = `Fixed the build #coding with \`#define DEBUG\`
+
+\`\`\`c
+#include <stdio.h>
+\`\`\`
+
+See [the diff](https://example.com/a.js#L42) <!-- #draft -->`;
+
+            const hashtags = scanner.extractHashtags(content, 'test.md');
+
+            expect(Object.keys(hashtags)).toEqual(['coding']);
+            expect(hashtags.coding.occurrences[0]).toMatchObject({ line: 1, context: expect.stringContaining('#coding') });
+        });
+
+        test('should accept Unicode and hierarchical hashtags', () => {
+            const content = '#café #日本語 #привет\n#work/projectx, #Work/ProjectX.';
+
+            const hashtags = scanner.extractHashtags(content, 'test.md');
+
+            expect(Object.keys(hashtags).sort()).toEqual(['café', 'work/projectx', 'привет', '日本語']);
+            expect(hashtags['work/projectx'].count).toBe(2);
+        });
+
+        test('should count frontmatter tags once, at their tags: line', () => {
+            const content = '---\ndate: 2026-02-05\ntags: [Trading, health]\n---\n## Note\n#trading\n';
+
+            const hashtags = scanner.extractHashtags(content, 'notes.md');
+
+            expect(hashtags.trading.count).toBe(2);
+            expect(hashtags.health.occurrences).toEqual([{ file: 'notes.md', line: 3, context: 'tags: [Trading, health]' }]);
+        });
+
+        test('should fold composed and decomposed spellings together', () => {
+            const hashtags = scanner.extractHashtags('#cafe\u0301 #café #CAFÉ', 'test.md');
+
+            expect(Object.keys(hashtags)).toEqual(['café']);
+            expect(hashtags['café'].count).toBe(3);
+        });
     });
 
     describe('isValidHashtag', () => {
@@ -70,12 +119,16 @@ More #trading`;
             expect(scanner.isValidHashtag('trading')).toBe(true);
             expect(scanner.isValidHashtag('python-3')).toBe(true);
             expect(scanner.isValidHashtag('my_tag')).toBe(true);
+            expect(scanner.isValidHashtag('école')).toBe(true);
+            expect(scanner.isValidHashtag('work/projectx')).toBe(true);
         });
 
         test('should reject invalid hashtags', () => {
             expect(scanner.isValidHashtag('UPPERCASE')).toBe(false);
             expect(scanner.isValidHashtag('123')).toBe(false);
             expect(scanner.isValidHashtag('has space')).toBe(false);
+            expect(scanner.isValidHashtag('work//projectx')).toBe(false);
+            expect(scanner.isValidHashtag('work/..')).toBe(false);
         });
     });
 });
@@ -3,6 +3,7 @@
  */
 
 const Similarity = require('../../src/core/similarity');
+const Phase1Discover = require('../../src/phases/phase1-discover');
 
 describe('Similarity', () => {
     const mockConfig = {
@@ -93,6 +94,42 @@ describe('Similarity', () => {
 
             expect(proposals).toHaveLength(0);
         });
+
+        test('should merge plurals and stems but not agent nouns', () => {
+            const similarity = new Similarity(mockConfig, mockLogger);
+            const tags = ['meeting', 'meetings', 'trades', 'traders'];
+            const discoveredTopics = { meeting: { count: 5 }, meetings: { count: 2 }, trades: { count: 3 }, traders: { count: 2 } };
+
+            const proposals = similarity.computeMechanicalSimilarity(tags, discoveredTopics);
+
+            expect(proposals).toEqual([
+                expect.objectContaining({ canonical: 'meeting', alias: 'meetings', confidence: 1 })
+            ]);
+        });
+
+        test('should match acronyms and camelCase spellings', () => {
+            const config = { ...mockConfig, topic_similarity: { ...mockConfig.topic_similarity, mechanical: { acronyms: { ml: 'machine-learning' } } } };
+            const similarity = new Similarity(config, mockLogger);
+            const discoveredTopics = {
+                ml: { count: 4 },
+                'machine-learning': { count: 2 },
+                machinelearning: { count: 1, spelling: 'MachineLearning' }
+            };
+
+            const proposals = similarity.computeMechanicalSimilarity(Object.keys(discoveredTopics), discoveredTopics);
+
+            expect(proposals.map(p => `${p.alias}→${p.canonical}`).sort())
+                .toEqual(['machine-learning→ml', 'machinelearning→machine-learning', 'machinelearning→ml']);
+        });
+
+        test('should carry a per-signal score breakdown', () => {
+            const similarity = new Similarity(mockConfig, mockLogger);
+
+            const [proposal] = similarity.computeMechanicalSimilarity(['pyhton', 'python'], { python: { count: 5 }, pyhton: { count: 1 } });
+
+            expect(proposal.signals).toEqual({ stem: 0, acronym: 0, tokens: 0, abbreviation: 0, edit: 1 - 1 / 6 });
+            expect(Similarity.formatScores(proposal)).toBe('; edit 0.83');
+        });
     });
 
     describe('deduplicateProposals', () => {
@@ -109,4 +146,105 @@ describe('Similarity', () => {
             expect(unique).toHaveLength(2);
         });
     });
+
+    describe('topic context similarity', () => {
+        const contextConfig = {
+            topic_similarity: {
+                method: 'embedding',
+                threshold: 0.7,
+                context: { enabled: true, name_weight: 0.25, context_weight: 0.75 }
+            },
+            synonyms: []
+        };
+
+        // Names are orthogonal; the contexts decide
+        const vectors = {
+            car: [1, 0, 0],
+            automobile: [0, 1, 0],
+            banana: [0, 0, 1],
+            'engine oil change': [0.6, 0.8, 0],
+            'tyre pressure': [0.8, 0.6, 0],
+            'smoothie recipe': [0, 0, 1]
+        };
+
+        const makeSimilarity = (config = contextConfig) => {
+            const similarity = new Similarity(config, mockLogger);
+            similarity.embeddings.getEmbeddings = jest.fn(async (texts) =>
+                Object.fromEntries(texts.map(text => [text, vectors[text]])));
+            return similarity;
+        };
+
+        const discoveredTopics = { car: { count: 5 }, automobile: { count: 2 }, banana: { count: 3 } };
+        const contexts = {
+            car: ['engine oil change'],
+            automobile: ['tyre pressure'],
+            banana: ['smoothie recipe']
+        };
+
+        test('should merge tags used in similar contexts despite dissimilar names', async () => {
+            const similarity = makeSimilarity();
+
+            const proposals = await similarity.computeEmbeddingSimilarity(
+                ['car', 'automobile', 'banana'], discoveredTopics, contexts);
+
+            expect(proposals).toHaveLength(1);
+            expect(proposals[0]).toMatchObject({
+                canonical: 'car',
+                alias: 'automobile',
+                method: 'embedding_context',
+                name_similarity: 0
+            });
+            expect(proposals[0].context_similarity).toBeCloseTo(0.96, 5);
+            expect(proposals[0].confidence).toBeCloseTo(0.72, 5);
+        });
+
+        test('should compare by name only when context mode is off', async () => {
+            const similarity = makeSimilarity({
+                ...contextConfig,
+                topic_similarity: { method: 'embedding', threshold: 0.8 }
+            });
+
+            const proposals = await similarity.computeEmbeddingSimilarity(
+                ['car', 'automobile'], discoveredTopics, contexts);
+
+            expect(similarity.useContext).toBe(false);
+            expect(proposals).toHaveLength(0);
+        });
+
+        test('should pass the run signal on and not fall back when aborted', async () => {
+            const similarity = makeSimilarity();
+            const controller = new AbortController();
+            similarity.embeddings.getEmbeddings.mockImplementationOnce(async (texts, { signal }) => {
+                controller.abort();
+                signal.throwIfAborted();
+            });
+
+            await expect(similarity.computePairwiseSimilarity(
+                ['car', 'cars'], discoveredTopics, contexts, {}, { signal: controller.signal })).rejects.toThrow('aborted');
+            expect(mockLogger.info).not.toHaveBeenCalledWith('Falling back to mechanical similarity');
+        });
+
+        test('Phase 1 should collect the sections each tag occurs in', async () => {
+            const phase1 = new Phase1Discover(contextConfig, mockLogger, {});
+            const content = '## Garage\n#car\n\nChanged the **engine** oil.\n\n## Snacks\n#banana #car\n';
+
+            await phase1.collectContexts(content, 'memory-2026-02-05.md',
+                phase1.scanner.extractHashtags(content, 'memory-2026-02-05.md'));
+
+            expect(phase1.topicContexts).toEqual({
+                car: ['Garage\n#car\n\nChanged the engine oil.', 'Snacks\n#banana #car'],
+                banana: ['Snacks\n#banana #car']
+            });
+        });
+
+        test('Phase 1 should give a nested tag the context of its tagged parent section', async () => {
+            const phase1 = new Phase1Discover(contextConfig, mockLogger, {});
+            const content = '## Garage #car\nNew tyres.\n### Costs #banana\nCheap.\n';
+
+            await phase1.collectContexts(content, 'memory-2026-02-05.md',
+                phase1.scanner.extractHashtags(content, 'memory-2026-02-05.md'));
+
+            expect(phase1.topicContexts.banana).toEqual(['Garage #car\nNew tyres.\nCosts #banana\nCheap.']);
+        });
+    });
 });
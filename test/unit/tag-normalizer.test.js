@@ -0,0 +1,40 @@
+/**
+ * Tag Normalizer Module Tests
+ */
+
+const TagNormalizer = require('../../src/core/tag-normalizer');
+
+describe('TagNormalizer', () => {
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn() };
+    const normalizer = new TagNormalizer({
+        topic_similarity: { mechanical: { acronyms: { ml: 'machine-learning' } } }
+    }, mockLogger);
+
+    test('should split hyphens, underscores and camelCase', () => {
+        expect(normalizer.tokenize('machine-learning')).toEqual(['machine', 'learning']);
+        expect(normalizer.tokenize('machine_learning')).toEqual(['machine', 'learning']);
+        expect(normalizer.tokenize('MachineLearning')).toEqual(['machine', 'learning']);
+        expect(normalizer.tokenize('XMLParser')).toEqual(['xml', 'parser']);
+    });
+
+    test('should fold plurals, including irregular ones', () => {
+        expect(normalizer.singularize('categories')).toBe('category');
+        expect(normalizer.singularize('boxes')).toBe('box');
+        expect(normalizer.singularize('meetings')).toBe('meeting');
+        expect(normalizer.singularize('people')).toBe('person');
+        expect(normalizer.singularize('analysis')).toBe('analysis');
+    });
+
+    test('should stem like the Porter algorithm', () => {
+        const stems = ['trading', 'trader', 'meeting', 'relational', 'generalization', 'happiness', 'running', 'hopping']
+            .map(word => normalizer.stem(word));
+
+        expect(stems).toEqual(['trade', 'trader', 'meet', 'relat', 'gener', 'happi', 'run', 'hop']);
+    });
+
+    test('should expand acronyms from the configured table', () => {
+        expect(normalizer.normalize('ml')).toEqual({ stems: ['ml'], expanded: ['machin', 'learn'] });
+        expect(normalizer.normalize('ml-ops').expanded).toEqual(['machin', 'learn', 'op']);
+        expect(normalizer.isAcronym('ml')).toBe(true);
+    });
+});
@@ -0,0 +1,43 @@
+/**
+ * Topic Paths Module Tests
+ */
+
+const path = require('path');
+const TopicPaths = require('../../src/core/topic-paths');
+
+describe('TopicPaths', () => {
+    const mockLogger = { debug: jest.fn(), info: jest.fn(), warn: jest.fn() };
+    const topicPaths = new TopicPaths({ advanced: { topics_directory: 'Topics/' } }, mockLogger);
+    const topicsDir = path.join('/tmp', 'memory', 'Topics');
+
+    test('should nest hierarchical topics', () => {
+        expect(topicPaths.file('work/projectx')).toBe('Work/Projectx.md');
+        expect(topicPaths.title('work/projectx')).toBe('Work / Projectx');
+        expect(topicPaths.archiveName('work/projectx')).toBe('Work_Projectx');
+        expect(topicPaths.parents('a/b/c')).toEqual(['a', 'a/b']);
+        expect(topicPaths.resolve(topicsDir, 'work/projectx')).toBe(path.join(topicsDir, 'Work', 'Projectx.md'));
+    });
+
+    test('should capitalize non-Latin topic names', () => {
+        expect(topicPaths.file('école')).toBe('École.md');
+        expect(topicPaths.file('日本語')).toBe('日本語.md');
+    });
+
+    test('should keep traversal attempts inside the topics directory', () => {
+        expect(topicPaths.name('../../etc/passwd')).toBe('etc/passwd');
+        expect(topicPaths.name('a/../../b')).toBe('a/b');
+        expect(topicPaths.name('..')).toBe('unnamed');
+        expect(topicPaths.name('work/_index')).toBe('work/_index_');
+
+        for (const topic of ['../x', 'a/../../b', '/abs/path', 'a\\..\\..\\b']) {
+            expect(topicPaths.resolve(topicsDir, topic).startsWith(topicsDir + path.sep)).toBe(true);
+        }
+    });
+
+    test('should link between topic files and to daily logs', () => {
+        expect(topicPaths.link('Café.md', 'Work/Projectx.md')).toBe('Work/Projectx.md');
+        expect(topicPaths.link('Work/Projectx.md', 'Café.md')).toBe('../Café.md');
+        expect(topicPaths.memoryLink('Trading.md', 'memory-2026-02-05.md')).toBe('../memory-2026-02-05.md');
+        expect(topicPaths.memoryLink('Work/Projectx.md', 'memory-2026-02-05.md')).toBe('../../memory-2026-02-05.md');
+    });
+});
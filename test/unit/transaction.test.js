@@ -4,6 +4,7 @@
 
 const Transaction = require('../../src/utils/transaction');
 const fs = require('fs').promises;
+const path = require('path');
 
 describe('Transaction', () => {
     let transaction;
@@ -61,6 +62,49 @@ describe('Transaction', () => {
         });
     });
 
+    describe('session and file records', () => {
+        test('should stamp entries with the session ID', async () => {
+            const sessionTxn = new Transaction(mockConfig, mockLogger, { sessionId: 'session-1' });
+            await sessionTxn.log({ action: 'write_topic_entry' });
+
+            const logs = await transaction.read();
+            expect(logs[0].session_id).toBe('session-1');
+        });
+
+        test('should describe file changes relative to memory/', () => {
+            const change = transaction.fileChange(path.join(process.cwd(), 'memory', 'Topics', 'A.md'), 'abc', null);
+
+            expect(change).toEqual({ path: path.join('Topics', 'A.md'), before_hash: 'abc', after_hash: null });
+        });
+
+        test('should list items this session completed', async () => {
+            const sessionTxn = new Transaction(mockConfig, mockLogger, { sessionId: 'session-items' });
+            const otherTxn = new Transaction(mockConfig, mockLogger, { sessionId: 'session-other' });
+            await sessionTxn.log({ action: 'replace_stubs', item: 'memory-2026-02-01.md', status: 'success' });
+            await sessionTxn.log({ action: 'replace_stubs', item: 'memory-2026-02-02.md', status: 'failed' });
+            await otherTxn.log({ action: 'replace_stubs', item: 'memory-2026-02-03.md', status: 'success' });
+
+            const items = await sessionTxn.getCompletedItems('replace_stubs');
+
+            expect([...items]).toEqual(['memory-2026-02-01.md']);
+        });
+
+        test('should group entries by session and mark undone sessions', async () => {
+            const run = new Transaction(mockConfig, mockLogger, { sessionId: 'session-list-1' });
+            const undo = new Transaction(mockConfig, mockLogger, { sessionId: 'undo-list-1' });
+            await run.log({ action: 'write_topic_entry', target: 'A' });
+            await run.log({ action: 'archive', target: 'B' });
+            await undo.log({ action: 'undo', undone_session: 'session-list-1' });
+
+            const sessions = await transaction.listSessions();
+            const session = sessions.find(s => s.session_id === 'session-list-1');
+
+            expect(session.entries.map(e => e.action)).toEqual(['write_topic_entry', 'archive']);
+            expect(session.undone_by).toBe('undo-list-1');
+            expect(sessions.find(s => s.session_id === 'undo-list-1').undone_by).toBeNull();
+        });
+    });
+
     describe('getByAction', () => {
         test('should filter by action', async () => {
             await transaction.log({ action: 'backup', target: 'file1' });
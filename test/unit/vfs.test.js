@@ -0,0 +1,97 @@
+/**
+ * VirtualFS Tests
+ */
+
+const VirtualFS = require('../../src/core/vfs');
+const fs = require('fs').promises;
+const path = require('path');
+
+describe('VirtualFS', () => {
+    let vfs;
+    const testDir = path.join(__dirname, '../fixtures/vfs-test');
+
+    beforeAll(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'existing.md'), '# Existing\nline', 'utf8');
+        await fs.writeFile(path.join(testDir, 'old.md'), '# Old', 'utf8');
+    });
+
+    beforeEach(() => {
+        vfs = new VirtualFS();
+    });
+
+    afterAll(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    describe('reads and writes', () => {
+        test('should read through to disk', async () => {
+            const content = await vfs.readFile(path.join(testDir, 'existing.md'), 'utf8');
+            expect(content).toBe('# Existing\nline');
+        });
+
+        test('should never write to disk', async () => {
+            const filepath = path.join(testDir, 'new.md');
+            await vfs.writeFile(filepath, '# New', 'utf8');
+
+            expect(await vfs.readFile(filepath, 'utf8')).toBe('# New');
+            await expect(fs.access(filepath)).rejects.toThrow();
+        });
+
+        test('should hide deleted files', async () => {
+            const filepath = path.join(testDir, 'existing.md');
+            await vfs.unlink(filepath);
+
+            await expect(vfs.access(filepath)).rejects.toMatchObject({ code: 'ENOENT' });
+            expect(await vfs.readdir(testDir)).not.toContain('existing.md');
+            expect(await fs.readFile(filepath, 'utf8')).toBe('# Existing\nline');
+        });
+
+        test('should merge overlay entries into readdir', async () => {
+            await vfs.mkdir(path.join(testDir, 'Topics'), { recursive: true });
+            await vfs.writeFile(path.join(testDir, 'Topics', 'Trading.md'), '# Trading');
+
+            const entries = await vfs.readdir(testDir, { withFileTypes: true });
+            const topics = entries.find(e => e.name === 'Topics');
+
+            expect(topics.isDirectory()).toBe(true);
+            expect(await vfs.readdir(path.join(testDir, 'Topics'))).toEqual(['Trading.md']);
+        });
+    });
+
+    describe('getChanges', () => {
+        test('should report create, modify and delete', async () => {
+            await vfs.writeFile(path.join(testDir, 'new.md'), '# New');
+            await vfs.writeFile(path.join(testDir, 'existing.md'), '# Changed');
+            await vfs.unlink(path.join(testDir, 'old.md'));
+
+            const changes = await vfs.getChanges();
+            const byName = Object.fromEntries(changes.map(c => [path.basename(c.path), c.type]));
+
+            expect(byName).toEqual({ 'new.md': 'create', 'existing.md': 'modify', 'old.md': 'delete' });
+        });
+
+        test('should report a rename of a disk file as a move', async () => {
+            const source = path.join(testDir, 'old.md');
+            const dest = path.join(testDir, 'Archive', 'old.md');
+            await vfs.mkdir(path.dirname(dest), { recursive: true });
+            await vfs.rename(source, dest);
+
+            const changes = await vfs.getChanges();
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0]).toMatchObject({ type: 'move', from: source, path: dest });
+        });
+
+        test('should treat temp-file commits as plain writes', async () => {
+            const filepath = path.join(testDir, 'existing.md');
+            await vfs.writeFile(`${filepath}.tmp.1`, '# Atomic');
+            await vfs.rename(`${filepath}.tmp.1`, filepath);
+
+            const changes = await vfs.getChanges();
+
+            expect(changes).toHaveLength(1);
+            expect(changes[0]).toMatchObject({ type: 'modify', path: filepath, after: '# Atomic' });
+        });
+    });
+});